@@ -3,11 +3,29 @@
  * Chemistry Module - Battery Calculator
  * December 20th
  * 
- * Implements stoichiometric and commercial capacity calculations for 
- * AA Alkaline and NiMH batteries.
+ * Implements commercial capacity calculations for the battery
+ * chemistries in CHEMISTRIES (alkaline, zinc-carbon, lithium AA, NiMH,
+ * NiCd, Li-ion and LiPo) and stoichiometric ones for alkaline cells.
  */
 
-window.ChargedUP = window.ChargedUP || {};
+// The calculation classes also load in Node (see the end of the file)
+if (typeof window !== 'undefined') {
+    window.ChargedUP = window.ChargedUP || {};
+}
+
+// The formula, stoichiometry and electrode potential engines
+// (periodic-table.js, formula.js, stoichiometry.js and electrochemistry.js
+// load first on the page)
+const { molarMass, parseFormula, describeMolarMass } = typeof module === 'object' && module.exports
+    ? require('./formula.js')
+    : window.ChargedUP;
+const { parseEquation, electronsTransferred, solveStoichiometry } = typeof module === 'object' && module.exports
+    ? require('./stoichiometry.js')
+    : window.ChargedUP;
+const { STANDARD_POTENTIALS, CELL_PRESETS, GASES, cellReaction, reactionQuotient, checkConcentrations } =
+    typeof module === 'object' && module.exports
+        ? require('./electrochemistry.js')
+        : window.ChargedUP;
 
 /* ============================================
    Constants (with source citations)
@@ -16,11 +34,15 @@ const CHEMISTRY_CONSTANTS = {
     // Faraday constant (NIST CODATA 2018)
     FARADAY: 96485, // C/mol
 
-    // Molar masses (IUPAC 2021)
-    M_ZN: 65.38, // g/mol
-    M_MNO2: 86.936, // g/mol (Mn: 54.938 + O2: 31.998)
+    // Molar gas constant (NIST CODATA 2018), for the Nernst equation
+    GAS_CONSTANT: 8.314, // J/(mol·K)
+
+    // Molar masses (from the IUPAC 2021 atomic weights in periodic-table.js)
+    M_ZN: molarMass('Zn'), // g/mol (65.38)
+    M_MNO2: molarMass('MnO₂'), // g/mol (Mn: 54.938 + O2: 31.998)
 
-    // Nominal cell voltages
+    // Nominal cell voltages (calculateCellPotential works out the E°cell
+    // behind them from electrode potentials: 1.41 V and 1.32 V)
     V_ALKALINE: 1.5, // V
     V_NIMH: 1.2, // V
 
@@ -46,6 +68,8 @@ const BATTERY_PRESETS = {
         voltage: 1.5, // Cell voltage
         capacityMah: 2000,
         internalR: 0.3,
+        peukertExponent: 1.3, // Strong rate dependence
+        ratedHours: 20, // Capacity rated at a 20-hour discharge
         znMass: null, // Use commercial capacity
         mno2Mass: null
     },
@@ -58,6 +82,8 @@ const BATTERY_PRESETS = {
         voltage: 1.5, // Cell voltage (pack = 4 × 1.5V = 6.0V)
         capacityMah: 2000, // Same as single cell in series
         internalR: 1.2, // 4 × 0.3Ω
+        peukertExponent: 1.3,
+        ratedHours: 20,
         znMass: null,
         mno2Mass: null
     },
@@ -70,6 +96,92 @@ const BATTERY_PRESETS = {
         voltage: 1.2, // Cell voltage (pack = 4 × 1.2V = 4.8V)
         capacityMah: 2000,
         internalR: 0.08, // 4 × 0.02Ω
+        peukertExponent: 1.05, // Nearly rate-independent
+        ratedHours: 5, // NiMH capacity is rated at a 5-hour (0.2C) discharge
+        znMass: null,
+        mno2Mass: null
+    },
+    '4aa-zinc-carbon': {
+        name: '4×AA Zinc-Carbon Pack (Series)',
+        type: 'zinc-carbon',
+        cellCount: 4,
+        series: 4,
+        parallel: 1,
+        voltage: 1.5, // Cell voltage (pack = 6.0V)
+        capacityMah: 800, // "Heavy duty" AA - well under alkaline
+        internalR: 1.6, // 4 × 0.4Ω
+        peukertExponent: 1.4,
+        ratedHours: 20,
+        znMass: null,
+        mno2Mass: null
+    },
+    '4aa-lithium': {
+        name: '4×AA Lithium (Li-FeS₂) Pack (Series)',
+        type: 'lithium-fes2',
+        cellCount: 4,
+        series: 4,
+        parallel: 1,
+        voltage: 1.5, // Cell voltage (pack = 6.0V)
+        capacityMah: 3000,
+        internalR: 0.6, // 4 × 0.15Ω
+        peukertExponent: 1.1,
+        ratedHours: 20,
+        znMass: null,
+        mno2Mass: null
+    },
+    '6-cell-nicd': {
+        name: '6-Cell NiCd Stick Pack (7.2 V)',
+        type: 'nicd',
+        cellCount: 6,
+        series: 6,
+        parallel: 1,
+        voltage: 1.2, // Cell voltage (pack = 6 × 1.2V = 7.2V)
+        capacityMah: 1800, // sub-C cells
+        internalR: 0.036, // 6 × 0.006Ω
+        peukertExponent: 1.03,
+        ratedHours: 5,
+        znMass: null,
+        mno2Mass: null
+    },
+    '18650-li-ion': {
+        name: 'Li-ion 18650 Cell (3.7 V)',
+        type: 'li-ion',
+        cellCount: 1,
+        series: 1,
+        parallel: 1,
+        voltage: 3.7,
+        capacityMah: 2600,
+        internalR: 0.05,
+        peukertExponent: 1.05,
+        ratedHours: 5,
+        znMass: null,
+        mno2Mass: null
+    },
+    '2s-lipo': {
+        name: '2S LiPo Pack (7.4 V)',
+        type: 'lipo',
+        cellCount: 2,
+        series: 2,
+        parallel: 1,
+        voltage: 3.7, // Cell voltage (pack = 2 × 3.7V = 7.4V)
+        capacityMah: 2200,
+        internalR: 0.03, // 2 × 0.015Ω
+        peukertExponent: 1.02,
+        ratedHours: 1, // LiPo capacity is rated at 1C
+        znMass: null,
+        mno2Mass: null
+    },
+    '3s-lipo': {
+        name: '3S LiPo Pack (11.1 V)',
+        type: 'lipo',
+        cellCount: 3,
+        series: 3,
+        parallel: 1,
+        voltage: 3.7, // Cell voltage (pack = 3 × 3.7V = 11.1V)
+        capacityMah: 2200,
+        internalR: 0.045, // 3 × 0.015Ω
+        peukertExponent: 1.02,
+        ratedHours: 1,
         znMass: null,
         mno2Mass: null
     },
@@ -82,11 +194,196 @@ const BATTERY_PRESETS = {
         voltage: 1.5,
         capacityMah: null, // Use stoichiometry
         internalR: 0.3,
+        peukertExponent: 1.3,
+        ratedHours: 20,
         znMass: 1.0,
         mno2Mass: 2.0
     }
 };
 
+/* ============================================
+   Chemistry Registry (per cell, educational approximations)
+   ============================================ */
+// Each chemistry: its half-reactions while discharging, electrons per
+// reaction as written, the reactants used up (moles per reaction, molar
+// mass in g/mol from the periodic table), typical fresh internal
+// resistance of one cell, and its discharge curve:
+//   ocv - [state of charge, open-circuit voltage] pairs
+//   resistanceRise - R grows to (1 + k) × R₀ as the cell empties
+const CHEMISTRIES = {
+    alkaline: {
+        name: 'Alkaline (Zn/MnO₂)',
+        anode: 'Zn + 2OH⁻ → ZnO + H₂O + 2e⁻',
+        cathode: '2MnO₂ + H₂O + 2e⁻ → Mn₂O₃ + 2OH⁻',
+        overall: 'Zn + 2MnO₂ → ZnO + Mn₂O₃',
+        electrons: 2,
+        reactants: [
+            { formula: 'Zn', moles: 1, molarMass: molarMass('Zn') },
+            { formula: 'MnO₂', moles: 2, molarMass: molarMass('MnO₂') }
+        ],
+        nominalVoltage: 1.5, // V
+        cutoffVoltage: 0.9, // V per cell (typical end point for toys)
+        internalR: CHEMISTRY_CONSTANTS.R_INTERNAL_ALKALINE,
+        // Steadily sloping curve
+        ocv: [
+            [0, 0.90], [0.05, 1.02], [0.15, 1.12], [0.3, 1.20],
+            [0.5, 1.28], [0.7, 1.36], [0.9, 1.46], [1, 1.58]
+        ],
+        resistanceRise: 3.0, // R grows to (1 + 3) × R₀ as the zinc is used up
+        peukertExponent: 1.3, // Default when no preset is selected
+        ratedHours: 20,
+        rechargeable: false // charging can make the cells leak or rupture
+    },
+    'zinc-carbon': {
+        name: 'Zinc-Carbon (Leclanché)',
+        anode: 'Zn → Zn²⁺ + 2e⁻',
+        cathode: '2MnO₂ + 2NH₄⁺ + 2e⁻ → Mn₂O₃ + 2NH₃ + H₂O',
+        overall: 'Zn + 2MnO₂ + 2NH₄Cl → ZnCl₂ + Mn₂O₃ + 2NH₃ + H₂O',
+        electrons: 2,
+        reactants: [
+            { formula: 'Zn', moles: 1, molarMass: molarMass('Zn') },
+            { formula: 'MnO₂', moles: 2, molarMass: molarMass('MnO₂') },
+            { formula: 'NH₄Cl', moles: 2, molarMass: molarMass('NH₄Cl') }
+        ],
+        nominalVoltage: 1.5,
+        cutoffVoltage: 0.9,
+        internalR: 0.4,
+        // Slopes more than alkaline, and sags badly under heavy loads
+        ocv: [
+            [0, 0.90], [0.1, 1.00], [0.3, 1.15], [0.5, 1.25],
+            [0.7, 1.35], [0.9, 1.45], [1, 1.60]
+        ],
+        resistanceRise: 4.0,
+        peukertExponent: 1.4,
+        ratedHours: 20,
+        rechargeable: false
+    },
+    'lithium-fes2': {
+        name: 'Lithium Iron Disulfide (Li-FeS₂)',
+        anode: 'Li → Li⁺ + e⁻ (× 4)',
+        cathode: 'FeS₂ + 4Li⁺ + 4e⁻ → Fe + 2Li₂S',
+        overall: '4Li + FeS₂ → Fe + 2Li₂S',
+        electrons: 4,
+        reactants: [
+            { formula: 'Li', moles: 4, molarMass: molarMass('Li') },
+            { formula: 'FeS₂', moles: 1, molarMass: molarMass('FeS₂') }
+        ],
+        nominalVoltage: 1.5,
+        cutoffVoltage: 0.9,
+        internalR: 0.15,
+        // Starts near 1.8 V, then a long flat plateau
+        ocv: [
+            [0, 0.90], [0.03, 1.20], [0.1, 1.40], [0.3, 1.47],
+            [0.6, 1.52], [0.9, 1.60], [1, 1.80]
+        ],
+        resistanceRise: 0.5,
+        peukertExponent: 1.1,
+        ratedHours: 20,
+        rechargeable: false // lithium primary cells can vent or catch fire if charged
+    },
+    nimh: {
+        name: 'Nickel-Metal Hydride (NiMH)',
+        // The hydrogen-storing alloy, written here as LaNi₅ (AB₅ type)
+        anode: 'LaNi₅H₆ + 6OH⁻ → LaNi₅ + 6H₂O + 6e⁻',
+        cathode: 'NiOOH + H₂O + e⁻ → Ni(OH)₂ + OH⁻ (× 6)',
+        overall: 'LaNi₅H₆ + 6NiOOH → LaNi₅ + 6Ni(OH)₂',
+        electrons: 6,
+        reactants: [
+            { formula: 'LaNi₅H₆', moles: 1, molarMass: molarMass('LaNi₅H₆') },
+            { formula: 'NiOOH', moles: 6, molarMass: molarMass('NiOOH') }
+        ],
+        nominalVoltage: 1.2,
+        cutoffVoltage: 1.0,
+        internalR: CHEMISTRY_CONSTANTS.R_INTERNAL_NIMH,
+        // Flat plateau around 1.2-1.25 V, sharp "knee" near empty
+        ocv: [
+            [0, 1.00], [0.05, 1.13], [0.1, 1.18], [0.2, 1.21],
+            [0.5, 1.24], [0.8, 1.27], [0.9, 1.30], [1, 1.40]
+        ],
+        resistanceRise: 0.5,
+        peukertExponent: 1.05,
+        ratedHours: 5,
+        rechargeable: true
+    },
+    nicd: {
+        name: 'Nickel-Cadmium (NiCd)',
+        anode: 'Cd + 2OH⁻ → Cd(OH)₂ + 2e⁻',
+        cathode: '2NiOOH + 2H₂O + 2e⁻ → 2Ni(OH)₂ + 2OH⁻',
+        overall: 'Cd + 2NiOOH + 2H₂O → Cd(OH)₂ + 2Ni(OH)₂',
+        electrons: 2,
+        reactants: [
+            { formula: 'Cd', moles: 1, molarMass: molarMass('Cd') },
+            { formula: 'NiOOH', moles: 2, molarMass: molarMass('NiOOH') },
+            { formula: 'H₂O', moles: 2, molarMass: molarMass('H₂O') }
+        ],
+        nominalVoltage: 1.2,
+        cutoffVoltage: 1.0,
+        internalR: 0.006, // sub-C racing cell
+        // Flatter still than NiMH, and happy at very high currents
+        ocv: [
+            [0, 1.00], [0.05, 1.12], [0.1, 1.17], [0.2, 1.20],
+            [0.5, 1.23], [0.8, 1.26], [0.9, 1.29], [1, 1.38]
+        ],
+        resistanceRise: 0.4,
+        peukertExponent: 1.03,
+        ratedHours: 5,
+        rechargeable: true
+    },
+    'li-ion': {
+        name: 'Lithium-Ion (LiCoO₂/graphite)',
+        anode: 'LiC₆ → C₆ + Li⁺ + e⁻',
+        cathode: 'CoO₂ + Li⁺ + e⁻ → LiCoO₂',
+        overall: 'LiC₆ + CoO₂ → C₆ + LiCoO₂',
+        electrons: 1,
+        reactants: [
+            { formula: 'LiC₆', moles: 1, molarMass: molarMass('LiC₆') },
+            { formula: 'CoO₂', moles: 1, molarMass: molarMass('CoO₂') }
+        ],
+        nominalVoltage: 3.7,
+        cutoffVoltage: 3.0,
+        internalR: 0.05, // 18650 cell
+        // 4.2 V full, sloping through 3.7 V, falling fast below 3.5 V
+        ocv: [
+            [0, 3.00], [0.05, 3.45], [0.1, 3.60], [0.2, 3.68],
+            [0.4, 3.75], [0.6, 3.85], [0.8, 4.00], [0.9, 4.08], [1, 4.20]
+        ],
+        resistanceRise: 0.6,
+        peukertExponent: 1.05,
+        ratedHours: 5,
+        rechargeable: true
+    },
+    lipo: {
+        name: 'Lithium Polymer (LiPo)',
+        // The same cell reaction as Li-ion, in a gel electrolyte and a flat pouch
+        anode: 'LiC₆ → C₆ + Li⁺ + e⁻',
+        cathode: 'CoO₂ + Li⁺ + e⁻ → LiCoO₂',
+        overall: 'LiC₆ + CoO₂ → C₆ + LiCoO₂',
+        electrons: 1,
+        reactants: [
+            { formula: 'LiC₆', moles: 1, molarMass: molarMass('LiC₆') },
+            { formula: 'CoO₂', moles: 1, molarMass: molarMass('CoO₂') }
+        ],
+        nominalVoltage: 3.7,
+        cutoffVoltage: 3.2, // RC speed controllers cut off early to protect the pack
+        internalR: 0.015, // hobby pack cell, built for high currents
+        ocv: [
+            [0, 3.00], [0.05, 3.45], [0.1, 3.60], [0.2, 3.68],
+            [0.4, 3.75], [0.6, 3.85], [0.8, 4.00], [0.9, 4.08], [1, 4.20]
+        ],
+        resistanceRise: 0.5,
+        peukertExponent: 1.02,
+        ratedHours: 1, // capacity is rated at 1C
+        rechargeable: true
+    }
+};
+
+// The registry by its older name - everything the discharge model needs
+// is in each entry
+const DISCHARGE_CURVES = CHEMISTRIES;
+
+// The reaction calculateFromMass works out
+const ALKALINE_EQUATION = parseEquation(CHEMISTRIES.alkaline.overall).equation;
+
 /* ============================================
    Battery Calculator Class
    ============================================ */
@@ -102,33 +399,39 @@ class BatteryCalculator {
      * Electrons per reaction: 2
      */
     calculateFromMass(znMass, mno2Mass, voltage = 1.5, electronsPerRxn = 2) {
-        const F = this.constants.FARADAY;
-        const Mzn = this.constants.M_ZN;
-        const Mmno2 = this.constants.M_MNO2;
-
-        // Step 1: Calculate moles
-        const molesZn = znMass / Mzn;
-        const molesMnO2 = mno2Mass / Mmno2;
+        const results = this.calculateFromEquation(ALKALINE_EQUATION, [znMass, mno2Mass], voltage, electronsPerRxn);
+        const [zn, mno2] = results.reactants;
+        results.molesZn = zn.moles;
+        results.molesMnO2 = mno2.moles;
+        return results;
+    }
 
-        // Step 2: Determine limiting reagent (ratio 1:2)
-        const znNeeded = molesMnO2 / 2; // Zn needed for all MnO2
-        const mno2Needed = molesZn * 2; // MnO2 needed for all Zn
+    /**
+     * Calculate charge and energy from reactant masses for any balanced
+     * cell reaction
+     * @param {Object} equation - From parseEquation (stoichiometry.js)
+     * @param {Array<number|null>} masses - g of each reactant, in order
+     *   (null for one in excess)
+     * @param {number} voltage - Cell voltage (V)
+     * @param {number|null} electronsPerRxn - null to work it out from the
+     *   oxidation states
+     * @throws {Error} When electronsPerRxn is null and the oxidation
+     *   states can't be worked out
+     */
+    calculateFromEquation(equation, masses, voltage = 1.5, electronsPerRxn = null) {
+        const F = this.constants.FARADAY;
 
-        let limitingReagent, molesReaction, excessMoles, excessReagent;
-
-        if (molesZn <= znNeeded) {
-            limitingReagent = 'Zn';
-            molesReaction = molesZn;
-            excessMoles = molesMnO2 - mno2Needed;
-            excessReagent = 'MnO₂';
-        } else {
-            limitingReagent = 'MnO₂';
-            molesReaction = molesMnO2 / 2;
-            excessMoles = molesZn - znNeeded;
-            excessReagent = 'Zn';
-        }
+        // Steps 1-2: Calculate moles and determine the limiting reagent
+        const { reactants, limiting, molesReaction } = solveStoichiometry(equation, masses);
+        const excess = reactants.find(reactant => !reactant.limiting && reactant.moles !== null);
 
         // Step 3: Calculate electrons transferred
+        let oxidation = null;
+        if (electronsPerRxn === null) {
+            oxidation = electronsTransferred(equation);
+            if (oxidation.errors.length) throw new Error(oxidation.errors[0]);
+            electronsPerRxn = oxidation.electrons;
+        }
         const molesElectrons = molesReaction * electronsPerRxn;
 
         // Step 4: Calculate charge (Q = n × F)
@@ -144,13 +447,14 @@ class BatteryCalculator {
 
         this.results = {
             method: 'stoichiometry',
-            molesZn,
-            molesMnO2,
-            limitingReagent,
-            excessReagent,
-            excessMoles,
+            equation: equation.text,
+            reactants,
+            limitingReagent: limiting ? limiting.formula : null,
+            excessReagent: excess ? excess.formula : null,
+            excessMoles: excess ? excess.excessMoles : 0,
             molesReaction,
             molesElectrons,
+            oxidationChanges: oxidation ? oxidation.changes : null,
             chargeC,
             voltage,
             energyJ,
@@ -162,6 +466,59 @@ class BatteryCalculator {
         return this.results;
     }
 
+    /**
+     * Cell voltage from standard reduction potentials, corrected for
+     * concentration and temperature with the Nernst equation. The
+     * potential can go straight into calculateFromMass as its voltage.
+     * @param {Object} options
+     * @param {string} options.anode - Half-reaction oxidized at the anode
+     *   (key of STANDARD_POTENTIALS in electrochemistry.js)
+     * @param {string} options.cathode - Half-reaction reduced at the cathode
+     * @param {number} options.temperatureC - Cell temperature (°C)
+     * @param {Object} options.concentrations - mol/L (atm for gases) by
+     *   species, e.g. { 'Zn²⁺': 0.1 }; 1 for any left out
+     * @returns {Object} The cell from cellReaction plus temperatureK,
+     *   concentrations, reactionQuotient, nernstShift (V), potential (V),
+     *   standardGibbsKJ and gibbsKJ (kJ per mole of reaction) and spontaneous
+     * @throws {Error} For an unknown half-reaction, a concentration of 0
+     *   or less, or a temperature at or below absolute zero
+     */
+    calculateCellPotential({ anode, cathode, temperatureC = 25, concentrations = {} }) {
+        const F = this.constants.FARADAY;
+        const R = this.constants.GAS_CONSTANT;
+
+        const cell = cellReaction(anode, cathode);
+        if (!cell) throw new Error(`Unknown half-reaction "${STANDARD_POTENTIALS[anode] ? cathode : anode}"`);
+        const problems = checkConcentrations(cell.quotient, concentrations);
+        if (problems.length) throw new Error(problems[0]);
+        const temperatureK = temperatureC + 273.15;
+        if (!(temperatureK > 0)) throw new Error('The temperature must be above absolute zero (−273.15 °C)');
+
+        const used = {};
+        Object.keys(cell.quotient).forEach(formula => {
+            used[formula] = concentrations[formula] ?? 1;
+        });
+
+        // Nernst equation: E = E° − (RT / nF) ln Q
+        const quotient = reactionQuotient(cell.quotient, used);
+        const nernstShift = (R * temperatureK) / (cell.electrons * F) * Math.log(quotient);
+        const potential = cell.standardPotential - nernstShift;
+
+        // Gibbs energy: ΔG = −nFE, per mole of reaction as written
+        return {
+            ...cell,
+            temperatureC,
+            temperatureK,
+            concentrations: used,
+            reactionQuotient: quotient,
+            nernstShift,
+            potential,
+            standardGibbsKJ: -cell.electrons * F * cell.standardPotential / 1000,
+            gibbsKJ: -cell.electrons * F * potential / 1000,
+            spontaneous: potential > 0
+        };
+    }
+
     /**
      * Calculate charge and energy from commercial capacity (mAh)
      */
@@ -216,13 +573,47 @@ class BatteryCalculator {
         };
     }
 
+    /**
+     * Rate-dependent capacity (Peukert's law)
+     * C_eff = C × (I_rated / I)^(k - 1), where I_rated = C / H
+     *
+     * @param {number} capacityMah - Label capacity (mAh)
+     * @param {number} currentA - Load current (A)
+     * @param {number} peukertExponent - k (1 = ideal, ~1.3 for alkaline)
+     * @param {number} ratedHours - H, the discharge time the label is rated at
+     * @returns {object} Nominal and effective capacity
+     */
+    calculateEffectiveCapacity(capacityMah, currentA, peukertExponent = 1, ratedHours = 20) {
+        const ratedCurrentA = (capacityMah / 1000) / ratedHours;
+        const ratio = currentA > 0
+            ? Math.pow(ratedCurrentA / currentA, peukertExponent - 1)
+            : 1;
+
+        return {
+            nominalMah: capacityMah,
+            effectiveMah: capacityMah * ratio,
+            ratio,
+            ratedCurrentA,
+            cRate: currentA / (capacityMah / 1000),
+            peukertExponent,
+            ratedHours
+        };
+    }
+
     /**
      * Estimate runtime given capacity and current draw
+     * Pass Peukert parameters ({ exponent, ratedHours }) to derate the
+     * capacity for the load; without them capacity is treated as fixed.
      */
-    estimateRuntime(capacityMah, currentA) {
+    estimateRuntime(capacityMah, currentA, peukert = null) {
         if (currentA <= 0) return { hours: Infinity, minutes: Infinity };
 
-        const capacityAh = capacityMah / 1000;
+        const effective = peukert
+            ? this.calculateEffectiveCapacity(capacityMah, currentA, peukert.exponent, peukert.ratedHours)
+            : null;
+        const usableMah = effective ? effective.effectiveMah : capacityMah;
+
+        const capacityAh = usableMah / 1000;
         const hours = capacityAh / currentA;
         const minutes = hours * 60;
 
@@ -230,11 +621,131 @@ class BatteryCalculator {
             hours,
             minutes,
             capacityMah,
+            effectiveCapacityMah: usableMah,
+            cRate: effective?.cRate,
             currentA,
             note: 'Approximate - actual runtime depends on discharge curve and cutoff voltage'
         };
     }
 
+    /**
+     * Open-circuit voltage of one cell at a given state of charge (0-1)
+     * Linear interpolation between the points of the chemistry's curve,
+     * scaled so the curve matches the chosen nominal cell voltage.
+     */
+    getOpenCircuitVoltage(type, soc, cellVoltage) {
+        const curve = CHEMISTRIES[type] || CHEMISTRIES.alkaline;
+        const points = curve.ocv;
+        const s = Math.min(1, Math.max(0, soc));
+        const scale = cellVoltage ? cellVoltage / curve.nominalVoltage : 1;
+
+        for (let i = 1; i < points.length; i++) {
+            const [s0, v0] = points[i - 1];
+            const [s1, v1] = points[i];
+            if (s <= s1) {
+                return (v0 + (v1 - v0) * (s - s0) / (s1 - s0)) * scale;
+            }
+        }
+        return points[points.length - 1][1] * scale;
+    }
+
+    /**
+     * Internal resistance at a given state of charge
+     * R = R₀ × (1 + k × (1 - SOC)²), where k depends on chemistry
+     */
+    getInternalResistance(type, soc, freshR) {
+        const curve = CHEMISTRIES[type] || CHEMISTRIES.alkaline;
+        const depth = 1 - Math.min(1, Math.max(0, soc));
+        return freshR * (1 + curve.resistanceRise * depth * depth);
+    }
+
+    /**
+     * Time-stepped discharge simulation
+     * Steps state of charge through time under a constant-current load
+     * (currentA) or a fixed resistive load (loadOhms), until the loaded
+     * pack voltage falls to the cutoff or the pack is empty.
+     *
+     * @param {object} options - type, cellVoltage, series, parallel,
+     *   capacityMah (per cell), internalR (per cell), currentA or loadOhms,
+     *   cutoffVoltage (per cell), maxHours
+     * @returns {object} Time series of voltage, current, SOC and energy
+     */
+    simulateDischarge(options) {
+        const {
+            type = 'alkaline',
+            cellVoltage,
+            series = 1,
+            parallel = 1,
+            capacityMah,
+            internalR = 0.3,
+            currentA = 0,
+            loadOhms = null,
+            maxHours = 100
+        } = options;
+
+        const curve = CHEMISTRIES[type] || CHEMISTRIES.alkaline;
+        const cutoffCell = options.cutoffVoltage || curve.cutoffVoltage;
+        const scale = cellVoltage ? cellVoltage / curve.nominalVoltage : 1;
+        const packCutoff = cutoffCell * scale * series;
+        const packCapacityMah = capacityMah * parallel;
+        const freshPackR = internalR * series / parallel;
+
+        if (!(packCapacityMah > 0) || (!(currentA > 0) && !(loadOhms > 0))) {
+            return null;
+        }
+
+        // Aim for ~300 steps over the nominal runtime
+        const estCurrent = loadOhms > 0
+            ? (curve.nominalVoltage * scale * series) / (loadOhms + freshPackR)
+            : currentA;
+        const nominalHours = (packCapacityMah / 1000) / estCurrent;
+        const dt = Math.max(1, (nominalHours * 3600) / 300); // seconds
+        const maxSteps = Math.ceil(Math.min(maxHours, nominalHours * 3) * 3600 / dt);
+
+        const samples = [];
+        let soc = 1;
+        let t = 0;
+        let deliveredMah = 0;
+        let deliveredWh = 0;
+        let endReason = 'timeout';
+
+        for (let step = 0; step <= maxSteps; step++) {
+            const ocv = this.getOpenCircuitVoltage(type, soc, cellVoltage) * series;
+            const packR = this.getInternalResistance(type, soc, freshPackR);
+            const current = loadOhms > 0 ? ocv / (loadOhms + packR) : currentA;
+            const voltage = ocv - current * packR;
+
+            samples.push({ t, voltage, current, soc, energyWh: deliveredWh, internalR: packR });
+
+            if (voltage <= packCutoff) {
+                endReason = 'cutoff';
+                break;
+            }
+            if (soc <= 0) {
+                endReason = 'empty';
+                break;
+            }
+
+            // Coulomb counting: ΔQ = I × Δt (1 mAh = 3.6 C)
+            const dq = current * dt / 3.6;
+            soc = Math.max(0, soc - dq / packCapacityMah);
+            deliveredMah += dq;
+            deliveredWh += voltage * current * dt / 3600;
+            t += dt;
+        }
+
+        return {
+            type,
+            samples,
+            packCutoff,
+            runtimeMinutes: t / 60,
+            deliveredMah,
+            deliveredWh,
+            finalSoc: soc,
+            endReason
+        };
+    }
+
     /**
      * Generate step-by-step work for stoichiometry calculation
      */
@@ -245,23 +756,45 @@ class BatteryCalculator {
 
         const r = this.results;
         const F = this.constants.FARADAY;
+        const ratio = r.reactants.map(reactant => reactant.coefficient).join(':');
+        const measured = r.reactants.filter(reactant => reactant.moles !== null);
+        const formatState = state => {
+            const value = parseFloat(state.toFixed(2));
+            return value > 0 ? `+${value}` : value < 0 ? `−${-value}` : '0';
+        };
+
+        const molesLines = r.reactants.map(reactant => (reactant.moles === null
+            ? `<p class="work-step__formula">${reactant.formula}: no mass given, so taken to be in excess</p>`
+            : `<p class="work-step__formula">${describeMolarMass(parseFormula(reactant.formula).formula)}</p>
+          <p class="work-step__formula">n(${reactant.formula}) = ${reactant.mass} g / ${reactant.molarMass.toFixed(3)} g/mol = ${reactant.moles.toFixed(5)} mol</p>`
+        )).join('');
+        const reactionLines = measured.map(reactant =>
+            `<p class="work-step__formula">n(${reactant.formula}) / ${reactant.coefficient} = ${(reactant.moles / reactant.coefficient).toFixed(5)} mol of reaction</p>`
+        ).join('');
+        const excessLines = measured.filter(reactant => !reactant.limiting).map(reactant =>
+            `<p class="work-step__formula">Excess ${reactant.formula}: ${reactant.excessMoles.toFixed(5)} mol</p>`
+        ).join('');
+        const oxidationLines = (r.oxidationChanges || []).map(change =>
+            `<p class="work-step__formula">${change.symbol}: ${formatState(change.from)} → ${formatState(change.to)} (${change.to > change.from ? 'oxidized' : 'reduced'})</p>`
+        ).join('');
 
         return `
       <div class="work-step">
         <span class="work-step__number">1</span>
         <div class="work-step__content">
           <strong>Calculate moles of each reactant:</strong>
-          <p class="work-step__formula">n(Zn) = mass / M = ${r.molesZn.toFixed(5)} mol</p>
-          <p class="work-step__formula">n(MnO₂) = mass / M = ${r.molesMnO2.toFixed(5)} mol</p>
+          <p class="work-step__formula">${r.equation}</p>
+          ${molesLines}
         </div>
       </div>
       
       <div class="work-step">
         <span class="work-step__number">2</span>
         <div class="work-step__content">
-          <strong>Identify limiting reagent (ratio 1:2):</strong>
+          <strong>Identify limiting reagent (ratio ${ratio}):</strong>
+          ${reactionLines}
           <p class="work-step__formula">Limiting reagent: <strong class="text-cyan">${r.limitingReagent}</strong></p>
-          <p class="work-step__formula">Excess ${r.excessReagent}: ${r.excessMoles.toFixed(5)} mol</p>
+          ${excessLines}
         </div>
       </div>
       
@@ -269,6 +802,7 @@ class BatteryCalculator {
         <span class="work-step__number">3</span>
         <div class="work-step__content">
           <strong>Calculate electrons transferred:</strong>
+          ${oxidationLines}
           <p class="work-step__formula">n(e⁻) = n(reaction) × ${r.electronsPerRxn} = ${r.molesElectrons.toFixed(5)} mol</p>
         </div>
       </div>
@@ -300,15 +834,100 @@ class BatteryCalculator {
       </div>
     `;
     }
+
+    /**
+     * Generate step-by-step work for a cell from calculateCellPotential
+     */
+    generateCellPotentialSteps(cell) {
+        const F = this.constants.FARADAY;
+        const R = this.constants.GAS_CONSTANT;
+        const signed = value => (value < 0 ? `−${Math.abs(value).toFixed(2)}` : `+${value.toFixed(2)}`);
+        const scaled = (scale, reaction) => (scale > 1 ? `${scale} × (${reaction})` : reaction);
+        const minus = (value, digits) => value.toFixed(digits).replace(/^-/, '−');
+        const factor = value => (value < 0 ? `(${minus(value, 3)})` : value.toFixed(3));
+        const subtract = value => (value < 0 ? `(${minus(value, 2)})` : value.toFixed(2));
+
+        // Q written out with its terms, then with the numbers in
+        const terms = Object.entries(cell.quotient);
+        const side = (sign, value) => {
+            const chosen = terms.filter(([, power]) => Math.sign(power) === sign);
+            if (!chosen.length) return '1';
+            return chosen.map(([formula, power]) => {
+                const base = value(formula);
+                return Math.abs(power) === 1 ? base : `${base}^${Math.abs(power)}`;
+            }).join(' × ');
+        };
+        const fraction = value => (terms.some(([, power]) => power < 0)
+            ? `${side(1, value)} / ${side(-1, value)}`
+            : side(1, value));
+        const units = formula => (GASES.includes(formula) ? 'atm' : 'mol/L');
+        const givenLines = terms.map(([formula]) =>
+            `<p class="work-step__formula">[${formula}] = ${cell.concentrations[formula]} ${units(formula)}</p>`
+        ).join('');
+
+        const nernstLines = terms.length
+            ? `${givenLines}
+          <p class="work-step__formula">Q = ${fraction(formula => `[${formula}]`)} = ${fraction(formula => cell.concentrations[formula])} = ${parseFloat(cell.reactionQuotient.toPrecision(4))}</p>
+          <p class="work-step__formula">E = E° − (RT / nF) ln Q = ${minus(cell.standardPotential, 2)} − (${R} × ${cell.temperatureK.toFixed(2)} / (${cell.electrons} × ${F})) × ln(${parseFloat(cell.reactionQuotient.toPrecision(4))})</p>`
+            : `<p class="work-step__formula">Only solids and water take part, so Q = 1 and ln Q = 0: E = E°</p>`;
+        const verdict = cell.spontaneous
+            ? 'ΔG &lt; 0, so the cell reaction is spontaneous: the cell can drive a current'
+            : 'ΔG ≥ 0, so the reaction doesn\'t run as written: swap the anode and cathode';
+
+        return `
+      <div class="work-step">
+        <span class="work-step__number">1</span>
+        <div class="work-step__content">
+          <strong>Write the half-reactions (${cell.electrons} e⁻ per reaction):</strong>
+          <p class="work-step__formula">Anode (oxidation): ${scaled(cell.anodeScale, cell.anode.oxidation)}, E° = ${signed(cell.anode.potential)} V</p>
+          <p class="work-step__formula">Cathode (reduction): ${scaled(cell.cathodeScale, cell.cathode.reaction)}, E° = ${signed(cell.cathode.potential)} V</p>
+          ${cell.anodeScale > 1 || cell.cathodeScale > 1 ? '<p class="work-step__formula">Multiplying a half-reaction to match the electrons doesn\'t change its E°</p>' : ''}
+        </div>
+      </div>
+
+      <div class="work-step">
+        <span class="work-step__number">2</span>
+        <div class="work-step__content">
+          <strong>Calculate the standard cell potential:</strong>
+          <p class="work-step__formula">E°cell = E°cathode − E°anode = ${minus(cell.cathode.potential, 2)} − ${subtract(cell.anode.potential)}</p>
+          <p class="work-step__formula">E°cell = <strong class="text-teal">${signed(cell.standardPotential)} V</strong></p>
+        </div>
+      </div>
+
+      <div class="work-step">
+        <span class="work-step__number">3</span>
+        <div class="work-step__content">
+          <strong>Apply the Nernst equation at ${cell.temperatureK.toFixed(2)} K:</strong>
+          ${nernstLines}
+          <p class="work-step__formula">E = <strong class="text-teal">${minus(cell.potential, 3)} V</strong></p>
+        </div>
+      </div>
+
+      <div class="work-step">
+        <span class="work-step__number">4</span>
+        <div class="work-step__content">
+          <strong>Calculate the Gibbs energy:</strong>
+          <p class="work-step__formula">ΔG = −nFE = −${cell.electrons} × ${F} × ${factor(cell.potential)}</p>
+          <p class="work-step__formula">ΔG = <strong class="text-teal">${minus(cell.gibbsKJ, 1)} kJ/mol</strong></p>
+          <p class="work-step__formula">${verdict}</p>
+        </div>
+      </div>
+    `;
+    }
 }
 
 /* ============================================
    Battery Calculator UI Class
    ============================================ */
+// Reactant masses (g) the stoichiometry inputs start with
+const DEFAULT_REACTANT_MASSES = { Zn: 1.0, 'MnO₂': 2.0 };
+
 class BatteryCalculatorUI {
     constructor() {
         this.calculator = new BatteryCalculator();
         this.currentPreset = null;
+        this.reactantMasses = { ...DEFAULT_REACTANT_MASSES }; // g, by formula
+        this.renderedReactants = null;
         this.init();
     }
 
@@ -316,14 +935,32 @@ class BatteryCalculatorUI {
         this.bindElements();
         this.bindEvents();
         this.loadFromURL();
+        this.bindProjectSync();
+    }
+
+    /**
+     * Re-render when another tab changes the battery or a different
+     * project is opened (a project with no battery starts from the defaults)
+     */
+    bindProjectSync() {
+        window.ChargedUP?.ProjectState?.onChange(({ value, source }) => {
+            if (source === 'local') return;
+            if (value) {
+                this.restoreFromProject(value);
+            } else {
+                this.resetInputs();
+            }
+        }, 'battery');
     }
 
     bindElements() {
         // Input elements
         this.presetBtns = document.querySelectorAll('[data-battery-preset]');
         this.inputMode = document.getElementById('input-mode');
-        this.inputZnMass = document.getElementById('input-zn-mass');
-        this.inputMno2Mass = document.getElementById('input-mno2-mass');
+        this.inputChemistry = document.getElementById('input-chemistry');
+        this.inputEquation = document.getElementById('input-equation');
+        this.inputElectrons = document.getElementById('input-electrons');
+        this.reactantMassList = document.getElementById('reactant-masses');
         this.inputCapacity = document.getElementById('input-capacity');
         this.inputVoltage = document.getElementById('input-voltage');
         this.inputCellCount = document.getElementById('input-cell-count');
@@ -334,16 +971,24 @@ class BatteryCalculatorUI {
 
         // Display elements
         this.displayInternalR = document.getElementById('display-internal-r');
+        this.chemistryInfo = document.getElementById('chemistry-info');
+        this.equationStatus = document.getElementById('equation-status');
 
         // Result elements
         this.resultCharge = document.getElementById('result-charge');
         this.resultEnergy = document.getElementById('result-energy');
         this.resultEnergyWh = document.getElementById('result-energy-wh');
         this.resultCapacity = document.getElementById('result-capacity');
+        this.resultEffectiveCapacity = document.getElementById('result-effective-capacity');
         this.resultPackVoltage = document.getElementById('result-pack-voltage');
         this.resultLoadedVoltage = document.getElementById('result-loaded-voltage');
         this.resultRuntime = document.getElementById('result-runtime');
         this.resultLimiting = document.getElementById('result-limiting');
+        this.resultCutoffRuntime = document.getElementById('result-cutoff-runtime');
+        this.resultDelivered = document.getElementById('result-delivered');
+
+        // Discharge curve canvas
+        this.dischargeCanvas = document.getElementById('discharge-canvas');
 
         // Work steps container
         this.workSteps = document.getElementById('chemistry-work-steps');
@@ -363,7 +1008,7 @@ class BatteryCalculatorUI {
 
         // Input changes
         const inputs = [
-            this.inputZnMass, this.inputMno2Mass, this.inputCapacity,
+            this.inputEquation, this.inputElectrons, this.inputCapacity,
             this.inputVoltage, this.inputCellCount, this.inputSeries,
             this.inputParallel, this.inputMotorCurrent
         ];
@@ -374,6 +1019,31 @@ class BatteryCalculatorUI {
             }
         });
 
+        // Reactant masses are rebuilt with the equation, so listen on their list
+        if (this.reactantMassList) {
+            this.reactantMassList.addEventListener('input', (e) => {
+                const formula = e.target.dataset.formula;
+                if (!formula) return;
+                const mass = parseFloat(e.target.value);
+                this.reactantMasses[formula] = Number.isFinite(mass) && mass >= 0 ? mass : null;
+                this.calculate();
+            });
+        }
+
+        if (this.inputChemistry) {
+            this.inputChemistry.addEventListener('change', () => {
+                if (this.inputMode?.value === 'stoichiometry') {
+                    this.useChemistryEquation(this.inputChemistry.value);
+                }
+                this.calculate();
+            });
+        }
+
+        // Redraw the discharge curve at the new canvas size
+        window.addEventListener('resize', () => {
+            if (this.lastDischarge) this.drawDischargeCurve(this.lastDischarge);
+        });
+
         // Internal resistance slider
         if (this.inputInternalR) {
             this.inputInternalR.addEventListener('input', () => {
@@ -404,12 +1074,12 @@ class BatteryCalculatorUI {
 
         this.currentPreset = presetKey;
 
-        // Update inputs based on preset
-        if (preset.znMass !== null && this.inputZnMass) {
-            this.inputZnMass.value = preset.znMass;
-        }
-        if (preset.mno2Mass !== null && this.inputMno2Mass) {
-            this.inputMno2Mass.value = preset.mno2Mass;
+        // Update inputs based on preset (mass presets use the alkaline reaction)
+        if (preset.znMass !== null) {
+            if (this.inputEquation) this.inputEquation.value = CHEMISTRIES.alkaline.overall;
+            if (this.inputElectrons) this.inputElectrons.value = '';
+            this.reactantMasses = { Zn: preset.znMass, 'MnO₂': preset.mno2Mass };
+            this.renderedReactants = null;
         }
         if (preset.capacityMah !== null && this.inputCapacity) {
             this.inputCapacity.value = preset.capacityMah;
@@ -417,6 +1087,9 @@ class BatteryCalculatorUI {
         if (this.inputVoltage) {
             this.inputVoltage.value = preset.voltage;
         }
+        if (this.inputChemistry) {
+            this.inputChemistry.value = preset.type;
+        }
         if (this.inputSeries) {
             this.inputSeries.value = preset.series;
         }
@@ -465,13 +1138,13 @@ class BatteryCalculatorUI {
         const parallel = parseInt(this.inputParallel?.value) || 1;
         const internalR = parseFloat(this.inputInternalR?.value) || 0.3;
         const motorCurrent = parseFloat(this.inputMotorCurrent?.value) || 0;
+        const chemistry = this.inputChemistry?.value || 'alkaline';
 
         let results;
 
         if (mode === 'stoichiometry') {
-            const znMass = parseFloat(this.inputZnMass?.value) || 1;
-            const mno2Mass = parseFloat(this.inputMno2Mass?.value) || 2;
-            results = this.calculator.calculateFromMass(znMass, mno2Mass, voltage);
+            results = this.calculateStoichiometry(voltage);
+            if (!results) return;
         } else {
             const capacity = parseFloat(this.inputCapacity?.value) || 2000;
             results = this.calculator.calculateFromCapacity(capacity, voltage, series * parallel, series, parallel);
@@ -488,22 +1161,192 @@ class BatteryCalculatorUI {
 
         // Calculate runtime
         const capacityMah = results.packCapacityMah || results.capacityMah || 0;
-        const runtime = motorCurrent > 0 ? this.calculator.estimateRuntime(capacityMah, motorCurrent) : null;
+        const peukert = this.getPeukertParams(chemistry);
+        const runtime = motorCurrent > 0
+            ? this.calculator.estimateRuntime(capacityMah, motorCurrent, peukert)
+            : null;
+
+        // Step the discharge curve at the chosen motor current
+        const cellCapacityMah = mode === 'stoichiometry'
+            ? results.capacityMah
+            : parseFloat(this.inputCapacity?.value) || 2000;
+        const discharge = motorCurrent > 0 ? this.calculator.simulateDischarge({
+            type: chemistry,
+            cellVoltage: voltage,
+            series,
+            parallel: mode === 'stoichiometry' ? 1 : parallel,
+            capacityMah: cellCapacityMah,
+            internalR,
+            currentA: motorCurrent
+        }) : null;
+        this.lastDischarge = discharge;
 
-        // Store for physics transfer
+        // Store for physics transfer (summary only - the time series stays local)
         this.lastResults = {
             ...results,
+            chemistry,
             loadedResults,
             runtime,
+            peukert,
+            discharge: discharge ? {
+                runtimeMinutes: discharge.runtimeMinutes,
+                deliveredMah: discharge.deliveredMah,
+                deliveredWh: discharge.deliveredWh,
+                endReason: discharge.endReason
+            } : null,
             packVoltage,
             packInternalR,
             motorCurrent
         };
 
-        // Save to localStorage for physics import
-        window.ChargedUP?.AppState?.save('battery_results', JSON.stringify(this.lastResults));
+        // Share with the physics, integrated and RC car pages
+        this.saveToProject({
+            preset: this.currentPreset,
+            mode,
+            chemistry,
+            cellVoltage: voltage,
+            series,
+            parallel,
+            capacityMah: cellCapacityMah,
+            equation: mode === 'stoichiometry' ? this.inputEquation?.value.trim() : null,
+            electrons: mode === 'stoichiometry' ? parseInt(this.inputElectrons?.value, 10) || null : null,
+            masses: mode === 'stoichiometry' ? { ...this.reactantMasses } : null,
+            internalR,
+            motorCurrent,
+            packVoltage,
+            packCapacityMah: capacityMah,
+            packInternalR,
+            energyWh: results.energyWh,
+            loadedResults,
+            runtime,
+            peukert,
+            discharge: this.lastResults.discharge
+        });
 
         this.displayResults(results, loadedResults, runtime);
+        this.displayDischarge(discharge);
+        this.displayChemistry(chemistry);
+    }
+
+    /**
+     * Stoichiometry for the typed equation and reactant masses, or null
+     * (with the problem shown under the equation) when it can't be worked out
+     */
+    calculateStoichiometry(voltage) {
+        const { equation, errors } = parseEquation(this.inputEquation?.value || '');
+        const typedElectrons = parseInt(this.inputElectrons?.value, 10);
+        const electrons = typedElectrons > 0 ? typedElectrons : null;
+
+        if (equation) {
+            this.renderReactantInputs(equation);
+            const masses = equation.reactants.map(reactant => this.reactantMasses[reactant.formula] ?? null);
+            if (masses.every(mass => mass === null)) {
+                errors.push('Enter the mass of at least one reactant');
+            }
+            if (electrons === null) {
+                const oxidation = electronsTransferred(equation);
+                errors.push(...oxidation.errors.map(error => `${error} - enter the electrons per reaction`));
+            }
+            if (!errors.length) {
+                this.showEquationStatus([]);
+                return this.calculator.calculateFromEquation(equation, masses, voltage, electrons);
+            }
+        }
+
+        this.showEquationStatus(errors);
+        if (this.workSteps) {
+            this.workSteps.innerHTML = '<p class="text-muted">Fix the reaction above to see step-by-step calculations.</p>';
+        }
+        return null;
+    }
+
+    showEquationStatus(errors) {
+        if (!this.equationStatus) return;
+        this.equationStatus.textContent = errors.length ? `${errors.join('. ')}.` : '';
+    }
+
+    /**
+     * One mass input per reactant, rebuilt only when the reactants change
+     * so typing a mass doesn't lose focus
+     */
+    renderReactantInputs(equation) {
+        if (!this.reactantMassList) return;
+        const formulas = equation.reactants.map(reactant => reactant.formula);
+        if (this.renderedReactants === formulas.join(' + ')) return;
+        this.renderedReactants = formulas.join(' + ');
+
+        // Built node by node: formulas and masses can come from an imported file
+        this.reactantMassList.replaceChildren(...equation.reactants.map((reactant, i) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `input-reactant-${i}`;
+            label.textContent = `Mass of ${reactant.formula} (g)`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `input-reactant-${i}`;
+            input.className = 'form-input form-input--number';
+            input.dataset.formula = reactant.formula;
+            input.min = '0';
+            input.step = '0.1';
+            input.placeholder = 'in excess';
+            input.value = this.reactantMasses[reactant.formula] ?? '';
+
+            const molarMass = document.createElement('span');
+            molarMass.className = 'text-muted text-sm';
+            molarMass.textContent = `M = ${reactant.molarMass.toFixed(3)} g/mol`;
+
+            group.append(label, input, molarMass);
+            return group;
+        }));
+    }
+
+    /**
+     * Put a chemistry's overall reaction in the equation input, with its
+     * electrons only when they can't be worked out from oxidation states
+     */
+    useChemistryEquation(chemistry) {
+        const entry = CHEMISTRIES[chemistry];
+        if (!entry || !this.inputEquation) return;
+
+        this.inputEquation.value = entry.overall;
+        if (this.inputElectrons) {
+            const { equation } = parseEquation(entry.overall);
+            const worked = equation ? electronsTransferred(equation).electrons : null;
+            this.inputElectrons.value = worked === entry.electrons ? '' : entry.electrons;
+        }
+    }
+
+    /**
+     * The chosen chemistry's reaction, under its select
+     */
+    displayChemistry(chemistry) {
+        if (!this.chemistryInfo) return;
+        const entry = CHEMISTRIES[chemistry];
+        if (!entry) {
+            this.chemistryInfo.textContent = '';
+            return;
+        }
+
+        this.chemistryInfo.textContent = `${entry.overall} (${entry.electrons} e⁻ per reaction). ` +
+            `Nominal ${entry.nominalVoltage} V per cell, cutoff ${entry.cutoffVoltage} V. ` +
+            (entry.rechargeable ? 'Rechargeable.' : 'Not rechargeable.');
+    }
+
+    /**
+     * Peukert parameters for the selected chemistry - taken from the active
+     * preset when it matches, otherwise the chemistry's defaults
+     */
+    getPeukertParams(chemistry) {
+        const preset = BATTERY_PRESETS[this.currentPreset];
+        const source = preset && preset.type === chemistry && preset.peukertExponent
+            ? preset
+            : CHEMISTRIES[chemistry] || CHEMISTRIES.alkaline;
+
+        return { exponent: source.peukertExponent, ratedHours: source.ratedHours };
     }
 
     displayResults(results, loadedResults, runtime) {
@@ -528,6 +1371,14 @@ class BatteryCalculatorUI {
         if (this.resultLoadedVoltage && loadedResults) {
             this.resultLoadedVoltage.textContent = `${loadedResults.loadedVoltage?.toFixed(2)} V`;
         }
+        if (this.resultEffectiveCapacity) {
+            if (runtime && runtime.cRate !== undefined) {
+                this.resultEffectiveCapacity.textContent =
+                    `${runtime.effectiveCapacityMah.toFixed(0)} mAh @ ${runtime.currentA} A (${runtime.cRate.toFixed(2)}C)`;
+            } else {
+                this.resultEffectiveCapacity.textContent = '— mAh';
+            }
+        }
         if (this.resultRuntime && runtime) {
             if (runtime.minutes < 60) {
                 this.resultRuntime.textContent = `≈ ${runtime.minutes.toFixed(1)} min`;
@@ -545,18 +1396,135 @@ class BatteryCalculatorUI {
         }
     }
 
+    displayDischarge(discharge) {
+        if (this.resultCutoffRuntime) {
+            if (!discharge) {
+                this.resultCutoffRuntime.textContent = '— min';
+            } else if (discharge.runtimeMinutes < 60) {
+                this.resultCutoffRuntime.textContent = `${discharge.runtimeMinutes.toFixed(1)} min`;
+            } else {
+                this.resultCutoffRuntime.textContent = `${(discharge.runtimeMinutes / 60).toFixed(2)} hrs`;
+            }
+        }
+        if (this.resultDelivered) {
+            this.resultDelivered.textContent = discharge
+                ? `${discharge.deliveredWh.toFixed(2)} Wh (${discharge.deliveredMah.toFixed(0)} mAh)`
+                : '— Wh';
+        }
+
+        this.drawDischargeCurve(discharge);
+    }
+
+    /**
+     * Plot loaded voltage (left axis) and state of charge (right axis)
+     * against time, with the cutoff voltage marked
+     */
+    drawDischargeCurve(discharge) {
+        const canvas = this.dischargeCanvas;
+        if (!canvas) return;
+
+        canvas.width = canvas.offsetWidth || 500;
+        canvas.height = canvas.offsetHeight || 150;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const pad = { left: 44, right: 40, top: 14, bottom: 24 };
+        const plotW = w - pad.left - pad.right;
+        const plotH = h - pad.top - pad.bottom;
+
+        ctx.fillStyle = '#071733';
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter, sans-serif';
+
+        if (!discharge || discharge.samples.length < 2) {
+            ctx.fillText('Enter a motor current to simulate the discharge curve', pad.left, h / 2);
+            return;
+        }
+
+        const samples = discharge.samples;
+        const tMax = samples[samples.length - 1].t || 1;
+        const vMax = Math.max(...samples.map(s => s.voltage)) * 1.05;
+        const vMin = Math.min(discharge.packCutoff, ...samples.map(s => s.voltage)) * 0.9;
+
+        const x = t => pad.left + (t / tMax) * plotW;
+        const yV = v => pad.top + (1 - (v - vMin) / (vMax - vMin)) * plotH;
+        const ySoc = soc => pad.top + (1 - soc) * plotH;
+
+        // Axes
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+
+        // Cutoff voltage
+        ctx.strokeStyle = '#ff6347';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, yV(discharge.packCutoff));
+        ctx.lineTo(pad.left + plotW, yV(discharge.packCutoff));
+        ctx.stroke();
+
+        // State of charge (dashed teal)
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.beginPath();
+        samples.forEach((s, i) => {
+            i === 0 ? ctx.moveTo(x(s.t), ySoc(s.soc)) : ctx.lineTo(x(s.t), ySoc(s.soc));
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Loaded voltage (solid cyan)
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        samples.forEach((s, i) => {
+            i === 0 ? ctx.moveTo(x(s.t), yV(s.voltage)) : ctx.lineTo(x(s.t), yV(s.voltage));
+        });
+        ctx.stroke();
+
+        // Labels
+        const minutes = tMax / 60;
+        ctx.fillStyle = '#00D1FF';
+        ctx.fillText(`${vMax.toFixed(1)} V`, 4, pad.top + 8);
+        ctx.fillText(`${vMin.toFixed(1)} V`, 4, pad.top + plotH);
+        ctx.fillStyle = '#3EF1C6';
+        ctx.fillText('100%', w - pad.right + 4, pad.top + 8);
+        ctx.fillText('SOC', w - pad.right + 4, pad.top + plotH);
+        ctx.fillStyle = '#ff6347';
+        ctx.fillText(`cutoff ${discharge.packCutoff.toFixed(2)} V`, pad.left + 6, yV(discharge.packCutoff) - 4);
+        ctx.fillStyle = '#B6C0C9';
+        ctx.fillText('0', pad.left, h - 8);
+        ctx.fillText(minutes < 60 ? `${minutes.toFixed(0)} min` : `${(minutes / 60).toFixed(1)} h`,
+            pad.left + plotW - 36, h - 8);
+    }
+
     loadFromURL() {
         const params = new URLSearchParams(window.location.search);
+        const saved = window.ChargedUP?.ProjectState?.get('battery');
 
         if (params.has('preset')) {
             this.loadPreset(params.get('preset'));
+        } else if (!params.toString() && saved) {
+            this.restoreFromProject(saved);
         } else {
             // Load individual params
-            if (params.has('znMass') && this.inputZnMass) {
-                this.inputZnMass.value = params.get('znMass');
+            if (params.has('znMass')) {
+                this.reactantMasses.Zn = parseFloat(params.get('znMass')) || 0;
             }
-            if (params.has('mno2Mass') && this.inputMno2Mass) {
-                this.inputMno2Mass.value = params.get('mno2Mass');
+            if (params.has('mno2Mass')) {
+                this.reactantMasses['MnO₂'] = parseFloat(params.get('mno2Mass')) || 0;
+            }
+            // A problem set as a link: ?equation=...&electrons=... (masses left to the student)
+            if (params.has('equation') && this.inputEquation) {
+                this.inputEquation.value = params.get('equation');
+                this.reactantMasses = {};
+                if (this.inputElectrons) this.inputElectrons.value = params.get('electrons') || '';
+                if (this.inputMode) {
+                    this.inputMode.value = 'stoichiometry';
+                    this.toggleInputMode();
+                }
             }
             if (params.has('capacity') && this.inputCapacity) {
                 this.inputCapacity.value = params.get('capacity');
@@ -569,13 +1537,97 @@ class BatteryCalculatorUI {
         }
     }
 
+    /**
+     * Put the inputs back to the battery saved in the project state
+     */
+    restoreFromProject(battery) {
+        const fields = [
+            [this.inputChemistry, battery.chemistry],
+            [this.inputVoltage, battery.cellVoltage],
+            [this.inputSeries, battery.series],
+            [this.inputParallel, battery.parallel],
+            [this.inputCapacity, battery.capacityMah],
+            [this.inputEquation, battery.equation],
+            [this.inputInternalR, battery.internalR],
+            [this.inputMotorCurrent, battery.motorCurrent],
+            [this.inputMode, battery.mode]
+        ];
+        fields.forEach(([input, value]) => {
+            if (input && value !== undefined) input.value = value;
+        });
+
+        // Blank electrons (worked out) aren't saved
+        if (this.inputElectrons && battery.equation !== undefined) {
+            this.inputElectrons.value = battery.electrons ?? '';
+        }
+
+        // Projects saved before equations were typed in hold just Zn and MnO₂
+        if (battery.masses) {
+            this.reactantMasses = { ...battery.masses };
+        } else if (battery.znMass !== undefined || battery.mno2Mass !== undefined) {
+            if (this.inputEquation) this.inputEquation.value = CHEMISTRIES.alkaline.overall;
+            this.reactantMasses = { Zn: battery.znMass ?? null, 'MnO₂': battery.mno2Mass ?? null };
+        }
+        this.renderedReactants = null;
+
+        if (this.displayInternalR && battery.internalR !== undefined) {
+            this.displayInternalR.textContent = `${battery.internalR} Ω`;
+        }
+
+        this.currentPreset = battery.preset || null;
+        this.presetBtns.forEach(btn => {
+            btn.classList.toggle('preset-btn--active', btn.dataset.batteryPreset === this.currentPreset);
+        });
+
+        this.toggleInputMode();
+        this.calculate();
+    }
+
+    /**
+     * Put the inputs back to the values the page opened with
+     */
+    resetInputs() {
+        [
+            this.inputMode, this.inputChemistry, this.inputVoltage, this.inputSeries,
+            this.inputParallel, this.inputCapacity, this.inputEquation, this.inputElectrons,
+            this.inputInternalR, this.inputMotorCurrent
+        ].forEach(input => {
+            if (!input) return;
+            if (input.tagName === 'SELECT') {
+                const option = [...input.options].find(o => o.defaultSelected) || input.options[0];
+                input.value = option.value;
+            } else {
+                input.value = input.defaultValue;
+            }
+        });
+
+        if (this.displayInternalR && this.inputInternalR) {
+            this.displayInternalR.textContent = `${this.inputInternalR.value} Ω`;
+        }
+
+        this.reactantMasses = { ...DEFAULT_REACTANT_MASSES };
+        this.renderedReactants = null;
+
+        this.currentPreset = null;
+        this.presetBtns.forEach(btn => btn.classList.remove('preset-btn--active'));
+
+        this.toggleInputMode();
+        this.calculate();
+    }
+
+    saveToProject(battery) {
+        const result = window.ChargedUP?.ProjectState?.set('battery', battery);
+        if (result && result.errors.length) {
+            console.warn('Some battery values were not saved:', result.errors);
+        }
+    }
+
     transferToPhysics() {
         if (!this.lastResults) {
             this.calculate();
         }
 
-        // Save to localStorage
-        localStorage.setItem('chargedup_battery_for_physics', JSON.stringify(this.lastResults));
+        // calculate() has already saved the battery to the project state
 
         // Navigate to physics with params
         const params = new URLSearchParams({
@@ -588,6 +1640,193 @@ class BatteryCalculatorUI {
     }
 }
 
+/* ============================================
+   Cell Potential UI Class
+   ============================================ */
+class CellPotentialUI {
+    /**
+     * @param {BatteryCalculatorUI|null} batteryUI - Calculator that takes
+     *   the cell voltage when "Use in Battery Calculator" is pressed
+     */
+    constructor(batteryUI = null) {
+        this.calculator = new BatteryCalculator();
+        this.batteryUI = batteryUI;
+        this.concentrations = {}; // mol/L (atm for gases), by species
+        this.renderedSpecies = null;
+        this.lastCell = null;
+        this.init();
+    }
+
+    init() {
+        this.bindElements();
+        this.renderHalfReactionOptions();
+        this.bindEvents();
+        this.loadPreset('daniell');
+    }
+
+    bindElements() {
+        this.presetBtns = document.querySelectorAll('[data-cell-preset]');
+        this.inputAnode = document.getElementById('cell-anode');
+        this.inputCathode = document.getElementById('cell-cathode');
+        this.inputTemperature = document.getElementById('cell-temperature');
+        this.concentrationList = document.getElementById('cell-concentrations');
+        this.status = document.getElementById('cell-status');
+
+        this.resultStandard = document.getElementById('result-cell-standard');
+        this.resultVoltage = document.getElementById('result-cell-voltage');
+        this.resultElectrons = document.getElementById('result-cell-electrons');
+        this.resultGibbs = document.getElementById('result-cell-gibbs');
+        this.workSteps = document.getElementById('cell-work-steps');
+
+        this.btnUseVoltage = document.getElementById('btn-use-cell-voltage');
+    }
+
+    /**
+     * Both selects list every half-reaction, most oxidizing first
+     */
+    renderHalfReactionOptions() {
+        const options = Object.entries(STANDARD_POTENTIALS).map(([key, entry]) => {
+            const sign = entry.potential < 0 ? '−' : '+';
+            return `<option value="${key}">${entry.reaction} (E° = ${sign}${Math.abs(entry.potential).toFixed(2)} V)</option>`;
+        }).join('');
+        [this.inputAnode, this.inputCathode].forEach(select => {
+            if (select) select.innerHTML = options;
+        });
+    }
+
+    bindEvents() {
+        this.presetBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.loadPreset(btn.dataset.cellPreset));
+        });
+
+        [this.inputAnode, this.inputCathode].forEach(select => {
+            if (select) select.addEventListener('change', () => this.calculate());
+        });
+        if (this.inputTemperature) {
+            this.inputTemperature.addEventListener('input', () => this.calculate());
+        }
+
+        // Concentration inputs are rebuilt with the cell, so listen on their list
+        if (this.concentrationList) {
+            this.concentrationList.addEventListener('input', (e) => {
+                const formula = e.target.dataset.species;
+                if (!formula) return;
+                this.concentrations[formula] = parseFloat(e.target.value);
+                this.calculate();
+            });
+        }
+
+        if (this.btnUseVoltage) {
+            this.btnUseVoltage.addEventListener('click', () => this.useVoltage());
+        }
+    }
+
+    loadPreset(presetKey) {
+        const preset = CELL_PRESETS[presetKey];
+        if (!preset || !this.inputAnode || !this.inputCathode) return;
+
+        this.inputAnode.value = preset.anode;
+        this.inputCathode.value = preset.cathode;
+        this.presetBtns.forEach(btn => {
+            btn.classList.toggle('preset-btn--active', btn.dataset.cellPreset === presetKey);
+        });
+        this.calculate();
+    }
+
+    calculate() {
+        const anode = this.inputAnode?.value;
+        const cathode = this.inputCathode?.value;
+        const reaction = cellReaction(anode, cathode);
+        if (!reaction) return;
+        this.renderConcentrationInputs(Object.keys(reaction.quotient));
+
+        const temperature = parseFloat(this.inputTemperature?.value);
+        const concentrations = {};
+        Object.keys(reaction.quotient).forEach(formula => {
+            if (formula in this.concentrations) concentrations[formula] = this.concentrations[formula];
+        });
+
+        let cell;
+        try {
+            cell = this.calculator.calculateCellPotential({
+                anode,
+                cathode,
+                temperatureC: Number.isFinite(temperature) ? temperature : 25,
+                concentrations
+            });
+        } catch (error) {
+            this.lastCell = null;
+            this.showStatus(`${error.message}.`);
+            if (this.btnUseVoltage) this.btnUseVoltage.disabled = true;
+            return;
+        }
+
+        this.lastCell = cell;
+        if (anode === cathode) {
+            this.showStatus('The anode and cathode are the same half-reaction, so there is no voltage.');
+        } else if (!cell.spontaneous) {
+            this.showStatus('E is negative: this cell runs the other way. Swap the anode and cathode.');
+        } else {
+            this.showStatus('');
+        }
+        this.displayResults(cell);
+    }
+
+    /**
+     * One input per ion or gas in Q, rebuilt only when they change so
+     * typing a concentration doesn't lose focus
+     */
+    renderConcentrationInputs(species) {
+        if (!this.concentrationList) return;
+        if (this.renderedSpecies === species.join(',')) return;
+        this.renderedSpecies = species.join(',');
+
+        if (!species.length) {
+            this.concentrationList.innerHTML = '<p class="text-muted text-sm">Only solids and water take part, ' +
+                'so concentrations don\'t change this cell\'s voltage.</p>';
+            return;
+        }
+        this.concentrationList.innerHTML = species.map((formula, i) => {
+            const units = GASES.includes(formula) ? 'atm' : 'mol/L';
+            const value = this.concentrations[formula];
+            return `
+          <div class="form-group">
+            <label class="form-label" for="cell-species-${i}">[${formula}] (${units})</label>
+            <input type="number" id="cell-species-${i}" class="form-input form-input--number"
+              data-species="${formula}" min="0" step="0.1" value="${Number.isFinite(value) ? value : 1}">
+          </div>`;
+        }).join('');
+    }
+
+    displayResults(cell) {
+        const signed = value => (value < 0 ? `−${Math.abs(value).toFixed(3)}` : `+${value.toFixed(3)}`);
+
+        if (this.resultStandard) this.resultStandard.textContent = `${signed(cell.standardPotential)} V`;
+        if (this.resultVoltage) this.resultVoltage.textContent = `${signed(cell.potential)} V`;
+        if (this.resultElectrons) this.resultElectrons.textContent = `${cell.electrons} e⁻`;
+        if (this.resultGibbs) this.resultGibbs.textContent = `${cell.gibbsKJ.toFixed(1).replace(/^-/, '−')} kJ/mol`;
+        if (this.workSteps) this.workSteps.innerHTML = this.calculator.generateCellPotentialSteps(cell);
+        if (this.btnUseVoltage) this.btnUseVoltage.disabled = !cell.spontaneous;
+    }
+
+    showStatus(message) {
+        if (this.status) this.status.textContent = message;
+    }
+
+    /**
+     * Put the cell voltage into the Battery Calculator, where it sets the
+     * energy of the stoichiometry (calculateFromMass) and capacity modes
+     */
+    useVoltage() {
+        const input = this.batteryUI?.inputVoltage;
+        if (!this.lastCell?.spontaneous || !input) return;
+
+        input.value = this.lastCell.potential.toFixed(2);
+        input.dispatchEvent(new Event('input'));
+        this.showStatus(`Battery Calculator cell voltage set to ${input.value} V.`);
+    }
+}
+
 /* ============================================
    Battery Discharge Animation
    ============================================ */
@@ -676,29 +1915,73 @@ class BatteryAnimation {
     }
 }
 
+/* ============================================
+   Chemistry Comparison Table
+   ============================================ */
+function renderChemistryTable(tbody) {
+    tbody.innerHTML = Object.values(CHEMISTRIES).map(entry => `
+      <tr>
+        <td>${entry.name}</td>
+        <td><code>${entry.anode}</code></td>
+        <td><code>${entry.cathode}</code></td>
+        <td>${entry.electrons}</td>
+        <td>${entry.nominalVoltage.toFixed(1)} V</td>
+        <td>${entry.rechargeable ? 'Yes' : 'No'}</td>
+      </tr>`).join('');
+}
+
 /* ============================================
    Initialize on DOM Ready
    ============================================ */
 let batteryCalculatorUI = null;
+let cellPotentialUI = null;
 let batteryAnimation = null;
 
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize calculator if on chemistry page
-    if (document.getElementById('battery-calculator')) {
-        batteryCalculatorUI = new BatteryCalculatorUI();
-    }
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Initialize calculator if on chemistry page
+        if (document.getElementById('battery-calculator')) {
+            batteryCalculatorUI = new BatteryCalculatorUI();
+        }
 
-    // Initialize animation if canvas exists
-    const animCanvas = document.getElementById('electron-flow-canvas');
-    if (animCanvas) {
-        batteryAnimation = new BatteryAnimation('electron-flow-canvas');
-        batteryAnimation.start();
-    }
-});
+        // Cell voltage from electrode potentials, feeding the calculator
+        if (document.getElementById('cell-potential')) {
+            cellPotentialUI = new CellPotentialUI(batteryCalculatorUI);
+        }
+
+        const chemistryTable = document.getElementById('chemistry-table-body');
+        if (chemistryTable) {
+            renderChemistryTable(chemistryTable);
+        }
+
+        // Initialize animation if canvas exists
+        const animCanvas = document.getElementById('electron-flow-canvas');
+        if (animCanvas) {
+            batteryAnimation = new BatteryAnimation('electron-flow-canvas');
+            batteryAnimation.start();
+        }
+    });
+}
 
 // Export to global namespace
-window.ChargedUP.BatteryCalculator = BatteryCalculator;
-window.ChargedUP.BatteryCalculatorUI = BatteryCalculatorUI;
-window.ChargedUP.BatteryAnimation = BatteryAnimation;
-window.ChargedUP.BATTERY_PRESETS = BATTERY_PRESETS;
-window.ChargedUP.CHEMISTRY_CONSTANTS = CHEMISTRY_CONSTANTS;
+if (typeof window !== 'undefined') {
+    window.ChargedUP.BatteryCalculator = BatteryCalculator;
+    window.ChargedUP.BatteryCalculatorUI = BatteryCalculatorUI;
+    window.ChargedUP.CellPotentialUI = CellPotentialUI;
+    window.ChargedUP.BatteryAnimation = BatteryAnimation;
+    window.ChargedUP.BATTERY_PRESETS = BATTERY_PRESETS;
+    window.ChargedUP.CHEMISTRY_CONSTANTS = CHEMISTRY_CONSTANTS;
+    window.ChargedUP.CHEMISTRIES = CHEMISTRIES;
+    window.ChargedUP.DISCHARGE_CURVES = DISCHARGE_CURVES;
+}
+
+// Node: the models without the page UI
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BatteryCalculator,
+        BATTERY_PRESETS,
+        CHEMISTRY_CONSTANTS,
+        CHEMISTRIES,
+        DISCHARGE_CURVES
+    };
+}
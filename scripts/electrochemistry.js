@@ -0,0 +1,205 @@
+/* ============================================
+   ChargedUP: Electrode Potentials
+   Standard reduction potentials, and the cell a chosen anode and
+   cathode make: its electrons, E°cell and reaction quotient
+   ============================================ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChargedUP = root.ChargedUP || {};
+        Object.assign(root.ChargedUP, factory());
+    }
+}(typeof window !== 'undefined' ? window : this, function () {
+    'use strict';
+
+    /* ============================================
+       Standard Reduction Potentials
+       ============================================ */
+    // E° (V) at 25 °C with 1 mol/L ions and 1 atm gases (CRC Handbook of
+    // Chemistry and Physics), written as reductions, most oxidizing first.
+    // oxidized and reduced list what goes into the reaction quotient on
+    // each side of the arrow - ions (mol/L) and gases (atm) with their
+    // coefficients; solids and water count as 1 and are left out
+    const STANDARD_POTENTIALS = {
+        fluorine: { name: 'Fluorine', reaction: 'F₂ + 2e⁻ → 2F⁻', electrons: 2, potential: 2.87, oxidized: { 'F₂': 1 }, reduced: { 'F⁻': 2 } },
+        'lead-dioxide': {
+            name: 'Lead dioxide (lead-acid +)',
+            reaction: 'PbO₂ + SO₄²⁻ + 4H⁺ + 2e⁻ → PbSO₄ + 2H₂O',
+            electrons: 2,
+            potential: 1.69,
+            oxidized: { 'SO₄²⁻': 1, 'H⁺': 4 },
+            reduced: {}
+        },
+        gold: { name: 'Gold', reaction: 'Au³⁺ + 3e⁻ → Au', electrons: 3, potential: 1.50, oxidized: { 'Au³⁺': 1 }, reduced: {} },
+        chlorine: { name: 'Chlorine', reaction: 'Cl₂ + 2e⁻ → 2Cl⁻', electrons: 2, potential: 1.36, oxidized: { 'Cl₂': 1 }, reduced: { 'Cl⁻': 2 } },
+        oxygen: {
+            name: 'Oxygen (acidic)',
+            reaction: 'O₂ + 4H⁺ + 4e⁻ → 2H₂O',
+            electrons: 4,
+            potential: 1.23,
+            oxidized: { 'O₂': 1, 'H⁺': 4 },
+            reduced: {}
+        },
+        silver: { name: 'Silver', reaction: 'Ag⁺ + e⁻ → Ag', electrons: 1, potential: 0.80, oxidized: { 'Ag⁺': 1 }, reduced: {} },
+        'iron-iii': { name: 'Iron(III)', reaction: 'Fe³⁺ + e⁻ → Fe²⁺', electrons: 1, potential: 0.77, oxidized: { 'Fe³⁺': 1 }, reduced: { 'Fe²⁺': 1 } },
+        'nickel-oxyhydroxide': {
+            name: 'Nickel oxyhydroxide (NiCd/NiMH +)',
+            reaction: 'NiOOH + H₂O + e⁻ → Ni(OH)₂ + OH⁻',
+            electrons: 1,
+            potential: 0.49,
+            oxidized: {},
+            reduced: { 'OH⁻': 1 }
+        },
+        copper: { name: 'Copper', reaction: 'Cu²⁺ + 2e⁻ → Cu', electrons: 2, potential: 0.34, oxidized: { 'Cu²⁺': 1 }, reduced: {} },
+        'manganese-dioxide': {
+            name: 'Manganese dioxide (alkaline +)',
+            reaction: '2MnO₂ + H₂O + 2e⁻ → Mn₂O₃ + 2OH⁻',
+            electrons: 2,
+            potential: 0.15,
+            oxidized: {},
+            reduced: { 'OH⁻': 2 }
+        },
+        hydrogen: { name: 'Hydrogen', reaction: '2H⁺ + 2e⁻ → H₂', electrons: 2, potential: 0, oxidized: { 'H⁺': 2 }, reduced: { 'H₂': 1 } },
+        lead: { name: 'Lead', reaction: 'Pb²⁺ + 2e⁻ → Pb', electrons: 2, potential: -0.13, oxidized: { 'Pb²⁺': 1 }, reduced: {} },
+        tin: { name: 'Tin', reaction: 'Sn²⁺ + 2e⁻ → Sn', electrons: 2, potential: -0.14, oxidized: { 'Sn²⁺': 1 }, reduced: {} },
+        nickel: { name: 'Nickel', reaction: 'Ni²⁺ + 2e⁻ → Ni', electrons: 2, potential: -0.26, oxidized: { 'Ni²⁺': 1 }, reduced: {} },
+        'lead-sulfate': {
+            name: 'Lead sulfate (lead-acid −)',
+            reaction: 'PbSO₄ + 2e⁻ → Pb + SO₄²⁻',
+            electrons: 2,
+            potential: -0.36,
+            oxidized: {},
+            reduced: { 'SO₄²⁻': 1 }
+        },
+        cadmium: { name: 'Cadmium', reaction: 'Cd²⁺ + 2e⁻ → Cd', electrons: 2, potential: -0.40, oxidized: { 'Cd²⁺': 1 }, reduced: {} },
+        iron: { name: 'Iron', reaction: 'Fe²⁺ + 2e⁻ → Fe', electrons: 2, potential: -0.45, oxidized: { 'Fe²⁺': 1 }, reduced: {} },
+        zinc: { name: 'Zinc', reaction: 'Zn²⁺ + 2e⁻ → Zn', electrons: 2, potential: -0.76, oxidized: { 'Zn²⁺': 1 }, reduced: {} },
+        'cadmium-hydroxide': {
+            name: 'Cadmium hydroxide (NiCd −)',
+            reaction: 'Cd(OH)₂ + 2e⁻ → Cd + 2OH⁻',
+            electrons: 2,
+            potential: -0.81,
+            oxidized: {},
+            reduced: { 'OH⁻': 2 }
+        },
+        'metal-hydride': {
+            name: 'Metal hydride (NiMH −)',
+            reaction: 'M + H₂O + e⁻ → MH + OH⁻',
+            electrons: 1,
+            potential: -0.83,
+            oxidized: {},
+            reduced: { 'OH⁻': 1 }
+        },
+        'zinc-oxide': {
+            name: 'Zinc oxide (alkaline −)',
+            reaction: 'ZnO + H₂O + 2e⁻ → Zn + 2OH⁻',
+            electrons: 2,
+            potential: -1.26,
+            oxidized: {},
+            reduced: { 'OH⁻': 2 }
+        },
+        aluminium: { name: 'Aluminium', reaction: 'Al³⁺ + 3e⁻ → Al', electrons: 3, potential: -1.66, oxidized: { 'Al³⁺': 1 }, reduced: {} },
+        magnesium: { name: 'Magnesium', reaction: 'Mg²⁺ + 2e⁻ → Mg', electrons: 2, potential: -2.37, oxidized: { 'Mg²⁺': 1 }, reduced: {} },
+        sodium: { name: 'Sodium', reaction: 'Na⁺ + e⁻ → Na', electrons: 1, potential: -2.71, oxidized: { 'Na⁺': 1 }, reduced: {} },
+        lithium: { name: 'Lithium', reaction: 'Li⁺ + e⁻ → Li', electrons: 1, potential: -3.04, oxidized: { 'Li⁺': 1 }, reduced: {} }
+    };
+
+    // Cells to start from, as [anode, cathode] half-reactions
+    const CELL_PRESETS = {
+        daniell: { name: 'Daniell cell (Zn/Cu)', anode: 'zinc', cathode: 'copper' },
+        alkaline: { name: 'Alkaline AA', anode: 'zinc-oxide', cathode: 'manganese-dioxide' },
+        nicd: { name: 'NiCd', anode: 'cadmium-hydroxide', cathode: 'nickel-oxyhydroxide' },
+        nimh: { name: 'NiMH', anode: 'metal-hydride', cathode: 'nickel-oxyhydroxide' },
+        'lead-acid': { name: 'Lead-acid', anode: 'lead-sulfate', cathode: 'lead-dioxide' }
+    };
+
+    // Gases go into the reaction quotient as pressures (atm), the rest as mol/L
+    const GASES = ['F₂', 'Cl₂', 'O₂', 'H₂'];
+
+    /* ============================================
+       Cells
+       ============================================ */
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+    /**
+     * A reduction written the other way round, as an oxidation
+     */
+    function reverseReaction(reaction) {
+        const [left, right] = reaction.split(' → ');
+        return `${right} → ${left}`;
+    }
+
+    /**
+     * The cell an anode (oxidized) and cathode (reduced) half-reaction make,
+     * each scaled so they pass the same number of electrons
+     * @param {string} anodeKey - Key of STANDARD_POTENTIALS
+     * @param {string} cathodeKey - Key of STANDARD_POTENTIALS
+     * @returns {{ anode, cathode, anodeScale, cathodeScale, electrons,
+     *   standardPotential (V), quotient: { species: power } }|null} null
+     *   for an unknown half-reaction. quotient holds each ion or gas's
+     *   power in Q (products +, reactants −), leaving out any that cancel
+     */
+    function cellReaction(anodeKey, cathodeKey) {
+        const anode = STANDARD_POTENTIALS[anodeKey];
+        const cathode = STANDARD_POTENTIALS[cathodeKey];
+        if (!anode || !cathode) return null;
+
+        const electrons = anode.electrons * cathode.electrons / gcd(anode.electrons, cathode.electrons);
+        const anodeScale = electrons / anode.electrons;
+        const cathodeScale = electrons / cathode.electrons;
+
+        // The anode runs backwards: its reduced side is used up
+        const quotient = {};
+        const add = (species, scale) => Object.entries(species).forEach(([formula, coefficient]) => {
+            quotient[formula] = (quotient[formula] || 0) + coefficient * scale;
+        });
+        add(anode.reduced, -anodeScale);
+        add(anode.oxidized, anodeScale);
+        add(cathode.oxidized, -cathodeScale);
+        add(cathode.reduced, cathodeScale);
+        Object.keys(quotient).forEach(formula => {
+            if (!quotient[formula]) delete quotient[formula];
+        });
+
+        return {
+            anode: { key: anodeKey, ...anode, oxidation: reverseReaction(anode.reaction) },
+            cathode: { key: cathodeKey, ...cathode },
+            anodeScale,
+            cathodeScale,
+            electrons,
+            standardPotential: Math.round((cathode.potential - anode.potential) * 1000) / 1000,
+            quotient
+        };
+    }
+
+    /**
+     * Q from the quotient's powers and the concentrations (mol/L) or
+     * pressures (atm) given by species; any not given count as 1
+     */
+    function reactionQuotient(quotient, concentrations = {}) {
+        return Object.entries(quotient).reduce((q, [formula, power]) => {
+            const value = concentrations[formula];
+            return q * Math.pow(value > 0 ? value : 1, power);
+        }, 1);
+    }
+
+    /**
+     * Problems with a cell's concentrations, as messages (empty when fine)
+     */
+    function checkConcentrations(quotient, concentrations = {}) {
+        return Object.keys(quotient)
+            .filter(formula => formula in concentrations && !(concentrations[formula] > 0))
+            .map(formula => `[${formula}] must be above 0`);
+    }
+
+    return {
+        STANDARD_POTENTIALS,
+        CELL_PRESETS,
+        GASES,
+        cellReaction,
+        reactionQuotient,
+        checkConcentrations
+    };
+}));
@@ -0,0 +1,214 @@
+/* ============================================
+   ChargedUP: Chemical Formulas
+   Reads formulas such as "Mn2O3", "Ni(OH)2", "CuSO4·5H2O" or "NH4^+"
+   into atom counts, charge and molar mass from the periodic table
+   ============================================ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./periodic-table.js'));
+    } else {
+        root.ChargedUP = root.ChargedUP || {};
+        Object.assign(root.ChargedUP, factory(root.ChargedUP));
+    }
+}(typeof window !== 'undefined' ? window : this, function (periodicTable) {
+    'use strict';
+
+    const { ELEMENTS } = periodicTable;
+
+    /* ============================================
+       Constants
+       ============================================ */
+    const MAX_FORMULA_LENGTH = 60; // characters
+
+    const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+    const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+    // Separators between the parts of a hydrate (CuSO4·5H2O, CuSO4.5H2O)
+    const HYDRATE_DOTS = /[·•⋅.*]/;
+
+    // A charge written at the end: NH4^+, Zn^2+, Zn^+2, Zn²⁺, SO4 2- or
+    // OH-. A bare sign is a charge of 1, but not straight after a digit:
+    // Fe3+ could be Fe³⁺ or Fe₃⁺, so it is refused (no read)
+    const CHARGE_FORMS = [
+        [/\s*\^\s*(\d*)\s*([+\-−])$/, match => [match[1], match[2]]],
+        [/\s*\^\s*([+\-−])\s*(\d*)$/, match => [match[2], match[1]]],
+        [/\s*([⁰¹²³⁴⁵⁶⁷⁸⁹]*)([⁺⁻])$/, match => [[...match[1]].map(d => SUPERSCRIPTS.indexOf(d)).join(''), match[2]]],
+        [/\s+(\d*)([+\-−])$/, match => [match[1], match[2]]],
+        [/(\d)([+\-−])$/, null],
+        [/([+\-−])$/, match => ['', match[1]]]
+    ];
+
+    /* ============================================
+       Parsing
+       ============================================ */
+    const toDigits = text => text.replace(/[₀-₉]/g, digit => SUBSCRIPTS.indexOf(digit));
+    const subscript = digits => [...String(digits)].map(digit => SUBSCRIPTS[digit]).join('');
+    const superscript = digits => [...String(digits)].map(digit => SUPERSCRIPTS[digit]).join('');
+
+    /**
+     * Charge at the end of a formula, and the formula without it (counts
+     * still as written)
+     * @throws {Error} When the charge could be read two ways
+     */
+    function splitCharge(text) {
+        for (const [pattern, read] of CHARGE_FORMS) {
+            const match = pattern.exec(text);
+            if (!match) continue;
+            if (!read) {
+                const [, digit, sign] = match;
+                const body = text.slice(0, match.index);
+                throw new Error(`"${text}" is ambiguous - write ${body}^${digit}${sign} for a ${digit}${sign} charge, ` +
+                    `or ${body}${digit}^${sign} for a count of ${digit} and a 1${sign} charge`);
+            }
+            const [digits, sign] = read(match);
+            const size = digits ? parseInt(digits, 10) : 1;
+            return { body: text.slice(0, match.index), charge: sign === '+' || sign === '⁺' ? size : -size };
+        }
+        return { body: text, charge: 0 };
+    }
+
+    /**
+     * Atoms in one part of a formula (no dots or charge), as
+     * { symbol: count } in the order they are written
+     * @throws {Error} When the part can't be read
+     */
+    function countAtoms(part, formula) {
+        let index = 0;
+
+        const group = closing => {
+            const atoms = {};
+            while (index < part.length && part[index] !== closing) {
+                const char = part[index];
+                let inner;
+                if (char === '(' || char === '[') {
+                    const close = char === '(' ? ')' : ']';
+                    index++;
+                    inner = group(close);
+                    if (part[index] !== close) throw new Error(`"${formula}" has an unclosed "${char}"`);
+                    index++;
+                } else {
+                    const symbol = /^[A-Z][a-z]?/.exec(part.slice(index))?.[0];
+                    if (!symbol) throw new Error(`"${formula}" has "${char}" where an element should be`);
+                    if (!ELEMENTS[symbol]) {
+                        throw new Error(symbol === formula ? `"${symbol}" isn't an element` : `"${symbol}" in "${formula}" isn't an element`);
+                    }
+                    index += symbol.length;
+                    inner = { [symbol]: 1 };
+                }
+                const digits = /^\d*/.exec(part.slice(index))[0];
+                index += digits.length;
+                const count = digits ? parseInt(digits, 10) : 1;
+                if (!count) throw new Error(`"${formula}" has a count of 0`);
+                Object.entries(inner).forEach(([symbol, n]) => {
+                    atoms[symbol] = (atoms[symbol] || 0) + n * count;
+                });
+            }
+            return atoms;
+        };
+
+        return group(null);
+    }
+
+    /**
+     * Read a formula: element symbols with counts (plain digits or
+     * subscripts), ( ) and [ ] groups, hydrate parts after a dot
+     * (CuSO4·5H2O) and a charge at the end (NH4^+, Zn²⁺, SO4 2-, OH-; not
+     * Fe3+, which could be Fe³⁺ or Fe₃⁺). The
+     * electrons an ion gains or loses are too light to change its molar mass.
+     * @returns {{ formula: Object|null, errors: string[] }}
+     *   formula - { text (written with subscripts), atoms ({ symbol: count }),
+     *   charge, molarMass (g/mol), breakdown: [{ symbol, name, count,
+     *   atomicMass, mass }] } with one breakdown row per element
+     */
+    function parseFormula(text) {
+        // Subscripts become digits after the charge is read: Fe₃+ is clear
+        const source = typeof text === 'string' ? text.trim() : '';
+        if (!source) return { formula: null, errors: ['The formula is empty'] };
+        if (source.length > MAX_FORMULA_LENGTH) {
+            return { formula: null, errors: [`The formula must be at most ${MAX_FORMULA_LENGTH} characters`] };
+        }
+
+        const atoms = {};
+        const parts = [];
+        let charge = 0;
+        try {
+            const split = splitCharge(source);
+            charge = split.charge;
+            toDigits(split.body).replace(/\s+/g, '').split(HYDRATE_DOTS).forEach((piece, i) => {
+                const [, digits, part] = /^(\d*)(.*)$/.exec(piece);
+                if (!part) throw new Error(i ? `"${text}" has nothing after a dot` : `"${text}" has no elements`);
+                if (digits && i === 0) {
+                    throw new Error(`"${text}" starts with a number - a molar mass is for one formula unit, ` +
+                        'so leave out the coefficient');
+                }
+                const times = digits ? parseInt(digits, 10) : 1;
+                Object.entries(countAtoms(part, text)).forEach(([symbol, n]) => {
+                    atoms[symbol] = (atoms[symbol] || 0) + n * times;
+                });
+                const written = part.replace(/([A-Za-z)\]])(\d+)/g, (_, before, count) => before + subscript(count));
+                parts.push((times > 1 ? times : '') + written);
+            });
+        } catch (error) {
+            return { formula: null, errors: [error.message] };
+        }
+
+        const breakdown = Object.entries(atoms).map(([symbol, count]) => ({
+            symbol,
+            name: ELEMENTS[symbol].name,
+            count,
+            atomicMass: ELEMENTS[symbol].mass,
+            mass: count * ELEMENTS[symbol].mass
+        }));
+        const chargeText = !charge ? '' : (Math.abs(charge) > 1 ? superscript(Math.abs(charge)) : '') + (charge > 0 ? '⁺' : '⁻');
+
+        return {
+            formula: {
+                text: parts.join('·') + chargeText,
+                atoms,
+                charge,
+                molarMass: breakdown.reduce((sum, row) => sum + row.mass, 0),
+                breakdown
+            },
+            errors: []
+        };
+    }
+
+    /**
+     * Molar mass (g/mol) of a formula
+     * @throws {Error} When the formula can't be read
+     */
+    function molarMass(text) {
+        const { formula, errors } = parseFormula(text);
+        if (!formula) throw new Error(errors[0]);
+        return formula.molarMass;
+    }
+
+    /**
+     * A formula written with subscripts and superscripts: "Ni(OH)2" →
+     * "Ni(OH)₂", "NH4^+" → "NH₄⁺" (text that can't be read comes back as is)
+     */
+    function formatFormula(text) {
+        return parseFormula(text).formula?.text ?? text;
+    }
+
+    /**
+     * The molar mass sum written out: "M(MnO₂) = 54.938 + 2 × 15.999 = 86.936 g/mol"
+     */
+    function describeMolarMass(formula) {
+        const total = `${formula.molarMass.toFixed(3)} g/mol`;
+        const [first] = formula.breakdown;
+        if (formula.breakdown.length === 1 && first.count === 1) return `M(${formula.text}) = ${total}`;
+
+        const terms = formula.breakdown.map(row => (row.count === 1 ? `${row.atomicMass}` : `${row.count} × ${row.atomicMass}`));
+        return `M(${formula.text}) = ${terms.join(' + ')} = ${total}`;
+    }
+
+    return {
+        MAX_FORMULA_LENGTH,
+        parseFormula,
+        molarMass,
+        formatFormula,
+        describeMolarMass
+    };
+}));
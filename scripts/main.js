@@ -9,10 +9,12 @@
     /* ============================================
        Constants
        ============================================ */
+    const APP_VERSION = '2.0.0';
+
     const STORAGE_KEYS = {
         THEME: 'chargedup-theme',
         TEXT_SIZE: 'chargedup-text-size',
-        CHEMISTRY_DATA: 'chargedup-chemistry-data'
+        PROJECT: 'chargedup-project'
     };
 
     /* ============================================
@@ -404,18 +406,19 @@
 
     /* ============================================
        Data Storage (Chemistry → Physics transfer)
+       Kept for older callers - the battery lives in ProjectState
+       (project-state.js) alongside the motor and car settings
        ============================================ */
     function saveChemistryData(data) {
-        localStorage.setItem(STORAGE_KEYS.CHEMISTRY_DATA, JSON.stringify(data));
+        return window.ChargedUP.ProjectState.set('battery', data);
     }
 
     function getChemistryData() {
-        const data = localStorage.getItem(STORAGE_KEYS.CHEMISTRY_DATA);
-        return data ? JSON.parse(data) : null;
+        return window.ChargedUP.ProjectState.get('battery');
     }
 
     function clearChemistryData() {
-        localStorage.removeItem(STORAGE_KEYS.CHEMISTRY_DATA);
+        window.ChargedUP.ProjectState.clear('battery');
     }
 
     /* ============================================
@@ -431,6 +434,25 @@
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Download rows (arrays of cells) as a CSV file that spreadsheets
+     * open with the units and symbols intact
+     */
+    function exportToCSV(rows, filename) {
+        const escape = (cell) => {
+            const text = cell === null || cell === undefined ? '' : String(cell);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = rows.map(row => row.map(escape).join(',')).join('\r\n');
+        const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
     function copyToClipboard(text) {
         navigator.clipboard.writeText(text).then(() => {
             showNotification('Copied to clipboard!', 'success');
@@ -523,7 +545,22 @@
             panel.className = 'settings-panel';
             panel.innerHTML = `
                 <div style="font-weight: 600; font-size: 1.1rem; margin-bottom: 1rem; color: #3EF1C6;">⚙️ Settings</div>
-                
+
+                <div id="project-group" style="margin-bottom: 1rem;" hidden>
+                    <label for="project-select" style="font-size: 0.85rem; color: #94A3B8; display: block; margin-bottom: 0.5rem;">Project</label>
+                    <select id="project-select" style="width: 100%; padding: 0.5rem; border-radius: 6px; border: 1px solid #334155; background: transparent; color: inherit; margin-bottom: 0.5rem;"></select>
+                    <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                        <button class="settings-panel__btn" data-project-action="new" style="padding: 0.4rem 0.6rem; border-radius: 6px; border: 1px solid #334155; background: transparent; color: #F8FAFC; cursor: pointer; font-size: 0.8rem;">➕ New</button>
+                        <button class="settings-panel__btn" data-project-action="rename" style="padding: 0.4rem 0.6rem; border-radius: 6px; border: 1px solid #334155; background: transparent; color: #F8FAFC; cursor: pointer; font-size: 0.8rem;">✏️ Rename</button>
+                        <button class="settings-panel__btn" data-project-action="duplicate" style="padding: 0.4rem 0.6rem; border-radius: 6px; border: 1px solid #334155; background: transparent; color: #F8FAFC; cursor: pointer; font-size: 0.8rem;">📄 Duplicate</button>
+                        <button class="settings-panel__btn" data-project-action="delete" style="padding: 0.4rem 0.6rem; border-radius: 6px; border: 1px solid #334155; background: transparent; color: #F8FAFC; cursor: pointer; font-size: 0.8rem;">🗑️ Delete</button>
+                        <button class="settings-panel__btn" data-project-action="export" style="padding: 0.4rem 0.6rem; border-radius: 6px; border: 1px solid #334155; background: transparent; color: #F8FAFC; cursor: pointer; font-size: 0.8rem;">⬇️ Export</button>
+                        <button class="settings-panel__btn" data-project-action="import" style="padding: 0.4rem 0.6rem; border-radius: 6px; border: 1px solid #334155; background: transparent; color: #F8FAFC; cursor: pointer; font-size: 0.8rem;">⬆️ Import</button>
+                    </div>
+                    <input type="file" id="project-import-file" accept=".json,application/json" hidden>
+                    <div id="project-import-errors" class="settings-panel__conflict" style="margin-top: 0.5rem;" hidden></div>
+                </div>
+
                 <div style="margin-bottom: 1rem;">
                     <span style="font-size: 0.85rem; color: #94A3B8; display: block; margin-bottom: 0.5rem;">Theme</span>
                     <div style="display: flex; gap: 0.5rem;">
@@ -541,6 +578,11 @@
                     </div>
                 </div>
 
+                <div id="sync-conflicts" style="margin-bottom: 1rem;" hidden>
+                    <span style="font-size: 0.85rem; color: #94A3B8; display: block; margin-bottom: 0.5rem;">⚠️ Changed in Another Tab</span>
+                    <div id="sync-conflict-list"></div>
+                </div>
+
                 <div style="border-top: 1px solid #334155; padding-top: 1rem; margin-top: 0.5rem;">
                     <button id="clear-data-btn" style="padding: 0.5rem 1rem; border-radius: 6px; border: 1px solid #ef4444; background: transparent; color: #ef4444; cursor: pointer; width: 100%;">🗑️ Clear All Data</button>
                 </div>
@@ -588,6 +630,40 @@
                 });
             }
 
+            // Named projects and cross-tab conflicts from the project state
+            const projectState = window.ChargedUP.ProjectState;
+            if (projectState) {
+                this.renderProjects();
+                projectState.onChange(() => this.renderProjects(), 'projects');
+
+                this.panel.querySelector('#project-select').addEventListener('change', (e) => {
+                    projectState.switchProject(e.target.value);
+                });
+                this.panel.querySelectorAll('[data-project-action]').forEach(btn => {
+                    btn.addEventListener('click', () => this.handleProjectAction(btn.dataset.projectAction));
+                });
+                this.panel.querySelector('#project-import-file').addEventListener('change', (e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (file) this.importProjectFile(file);
+                });
+
+                window.addEventListener(projectState.CONFLICT_EVENT, (e) => {
+                    const hadConflicts = this.conflictCount > 0;
+                    this.renderConflicts(e.detail.conflicts);
+                    if (e.detail.conflicts.length > 0 && !hadConflicts) {
+                        showNotification('Another tab changed the same settings - see ⚙️ Settings', 'info');
+                    }
+                });
+
+                this.panel.querySelector('#sync-conflict-list').addEventListener('click', (e) => {
+                    const btn = e.target.closest('[data-resolve]');
+                    if (btn) {
+                        projectState.resolveConflict(parseInt(btn.dataset.conflictId, 10), btn.dataset.resolve);
+                    }
+                });
+            }
+
             // Close on click outside
             document.addEventListener('click', (e) => {
                 if (this.isOpen && !this.panel.contains(e.target) && !this.fab.contains(e.target)) {
@@ -631,6 +707,139 @@
             this.panel.classList.remove('active');
         },
 
+        /**
+         * Fill the project picker; each project keeps its own battery,
+         * motor, car and lab settings
+         */
+        renderProjects() {
+            const projectState = window.ChargedUP.ProjectState;
+            const select = this.panel.querySelector('#project-select');
+            const projects = projectState.listProjects();
+
+            this.panel.querySelector('#project-group').hidden = false;
+            select.innerHTML = '';
+            projects.forEach(project => {
+                const option = document.createElement('option');
+                option.value = project.id;
+                option.textContent = project.name;
+                option.selected = project.active;
+                select.appendChild(option);
+            });
+
+            this.panel.querySelector('[data-project-action="delete"]').disabled = projects.length < 2;
+        },
+
+        handleProjectAction(action) {
+            const projectState = window.ChargedUP.ProjectState;
+            const current = projectState.getActiveProject();
+
+            if (action === 'new') {
+                const name = prompt('Name for the new project:', '');
+                if (name === null) return;
+                projectState.createProject(name);
+                showNotification('New project started', 'success');
+            } else if (action === 'rename') {
+                const name = prompt('Rename project:', current.name);
+                if (name === null) return;
+                if (!projectState.renameProject(current.id, name)) {
+                    showNotification('Project names can\'t be empty', 'error');
+                }
+            } else if (action === 'duplicate') {
+                projectState.duplicateProject(current.id);
+                showNotification(`Copied "${current.name}"`, 'success');
+            } else if (action === 'delete') {
+                if (!confirm(`Delete "${current.name}"? Its saved settings will be lost.`)) return;
+                if (projectState.deleteProject(current.id)) {
+                    showNotification(`Deleted "${current.name}"`, 'success');
+                }
+            } else if (action === 'export') {
+                const slug = current.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+                exportToJSON(projectState.exportProject(current.id), `chargedup-${slug}.json`);
+            } else if (action === 'import') {
+                this.panel.querySelector('#project-import-file').click();
+            }
+        },
+
+        /**
+         * Load a project file handed in by a student; a file with any
+         * problems is refused and each problem is listed in the panel
+         */
+        importProjectFile(file) {
+            const box = this.panel.querySelector('#project-import-errors');
+
+            file.text().then(text => {
+                const result = window.ChargedUP.ProjectState.importProject(text);
+                box.hidden = result.ok;
+                box.innerHTML = '';
+                if (result.ok) {
+                    showNotification(`Imported "${window.ChargedUP.ProjectState.getActiveProject().name}"`, 'success');
+                    return;
+                }
+
+                const title = document.createElement('strong');
+                title.textContent = `Couldn't import ${file.name}`;
+                const list = document.createElement('ul');
+                list.style.cssText = 'margin: 0.25rem 0 0; padding-left: 1.1rem;';
+                result.errors.forEach(error => {
+                    const item = document.createElement('li');
+                    item.textContent = `${error.field} ${error.message}`;
+                    list.appendChild(item);
+                });
+                box.append(title, list);
+                showNotification('Import failed - see ⚙️ Settings', 'error');
+            }).catch(() => {
+                showNotification(`Couldn't read ${file.name}`, 'error');
+            });
+        },
+
+        conflictCount: 0,
+
+        /**
+         * List fields that this tab and another tab both changed, each with
+         * "keep this tab's" / "use other tab's" choices
+         */
+        renderConflicts(conflicts) {
+            const group = this.panel.querySelector('#sync-conflicts');
+            const list = this.panel.querySelector('#sync-conflict-list');
+            const sectionNames = { battery: 'Battery', motor: 'Motor', car: 'RC Car', labs: 'Lab Inputs', track: 'Track' };
+            const format = (value) => {
+                if (value === undefined) return '(not set)';
+                if (typeof value === 'boolean') return value ? 'on' : 'off';
+                if (Array.isArray(value)) return `(${value.length} item${value.length === 1 ? '' : 's'})`;
+                return typeof value === 'object' ? '(calculated)' : String(value);
+            };
+
+            this.conflictCount = conflicts.length;
+            group.hidden = conflicts.length === 0;
+            this.fab.classList.toggle('settings-fab--alert', conflicts.length > 0);
+            list.innerHTML = '';
+
+            conflicts.forEach(conflict => {
+                const item = document.createElement('div');
+                item.className = 'settings-panel__conflict';
+
+                const title = document.createElement('strong');
+                title.textContent = `${sectionNames[conflict.section] || conflict.section}: ${conflict.label}`;
+
+                const values = document.createElement('p');
+                values.textContent = `This tab: ${format(conflict.mine)} · Other tab: ${format(conflict.theirs)}`;
+
+                const actions = document.createElement('div');
+                actions.className = 'settings-panel__options';
+                [['mine', 'Keep this tab\'s'], ['theirs', 'Use other tab\'s']].forEach(([choice, text]) => {
+                    const btn = document.createElement('button');
+                    btn.className = 'settings-panel__btn';
+                    btn.dataset.resolve = choice;
+                    btn.dataset.conflictId = conflict.id;
+                    btn.textContent = text;
+                    actions.appendChild(btn);
+                });
+
+                item.append(title, values, actions);
+                list.appendChild(item);
+            });
+        },
+
         updateActiveButtons() {
             const currentTheme = localStorage.getItem(STORAGE_KEYS.THEME) || 'dark';
             const currentTextSize = localStorage.getItem(STORAGE_KEYS.TEXT_SIZE) || 'default';
@@ -683,11 +892,13 @@
         getChemistryData,
         clearChemistryData,
         exportToJSON,
+        exportToCSV,
         copyToClipboard,
         showNotification,
         printPage,
         getUrlParams,
         setUrlParams,
+        APP_VERSION,
         STORAGE_KEYS
     };
 
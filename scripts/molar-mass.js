@@ -0,0 +1,101 @@
+/* ============================================
+   ChargedUP: Molar Mass Calculator
+   Type a formula, get its molar mass added up element by element
+   (chemistry page and glossary)
+   ============================================ */
+
+(function () {
+    'use strict';
+
+    const { parseFormula, describeMolarMass } = window.ChargedUP;
+
+    class MolarMassCalculatorUI {
+        constructor() {
+            this.input = document.getElementById('molar-mass-input');
+            this.status = document.getElementById('molar-mass-status');
+            this.result = document.getElementById('molar-mass-result');
+            this.workSteps = document.getElementById('molar-mass-steps');
+
+            this.input.addEventListener('input', () => this.calculate());
+            this.calculate();
+        }
+
+        calculate() {
+            // Nothing typed yet is not a mistake
+            const typed = this.input.value.trim();
+            const { formula, errors } = typed ? parseFormula(typed) : { formula: null, errors: [] };
+            if (this.status) this.status.textContent = errors.length ? `${errors.join('. ')}.` : '';
+            if (!formula) {
+                if (this.result) this.result.textContent = '— g/mol';
+                if (this.workSteps) this.workSteps.innerHTML = '';
+                return;
+            }
+
+            if (this.result) this.result.textContent = `${formula.molarMass.toFixed(3)} g/mol`;
+            if (this.workSteps) this.workSteps.innerHTML = this.generateWorkSteps(formula);
+        }
+
+        /**
+         * Step-by-step work: count the atoms, weigh each element, add up
+         */
+        generateWorkSteps(formula) {
+            const countLines = formula.breakdown.map(row =>
+                `<p class="work-step__formula">${row.symbol} (${row.name}): ${row.count} atom${row.count === 1 ? '' : 's'}</p>`
+            ).join('');
+            const massLines = formula.breakdown.map(row =>
+                `<p class="work-step__formula">${row.symbol}: ${row.count} × ${row.atomicMass} g/mol = ${row.mass.toFixed(3)} g/mol</p>`
+            ).join('');
+            const chargeNote = formula.charge
+                ? '<p class="text-muted text-sm">The charge doesn\'t change the molar mass: an electron ' +
+                    'weighs about 1/1836 of a hydrogen atom.</p>'
+                : '';
+
+            return `
+      <div class="work-step">
+        <span class="work-step__number">1</span>
+        <div class="work-step__content">
+          <strong>Count the atoms of each element in ${formula.text}:</strong>
+          ${countLines}
+        </div>
+      </div>
+
+      <div class="work-step">
+        <span class="work-step__number">2</span>
+        <div class="work-step__content">
+          <strong>Multiply by each element's atomic mass:</strong>
+          ${massLines}
+        </div>
+      </div>
+
+      <div class="work-step">
+        <span class="work-step__number">3</span>
+        <div class="work-step__content">
+          <strong>Add them up:</strong>
+          <p class="work-step__formula">${describeMolarMass(formula)}</p>
+          <p class="work-step__formula">M = <strong class="text-teal">${formula.molarMass.toFixed(3)} g/mol</strong></p>
+          ${chargeNote}
+        </div>
+      </div>
+    `;
+        }
+    }
+
+    /* ============================================
+       Initialize on DOM Ready
+       ============================================ */
+    function initMolarMassCalculator() {
+        if (document.getElementById('molar-mass-input')) {
+            window.molarMassCalculator = new MolarMassCalculatorUI();
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initMolarMassCalculator);
+    } else {
+        initMolarMassCalculator();
+    }
+
+    // Export for external use
+    window.MolarMassCalculatorUI = MolarMassCalculatorUI;
+
+})();
@@ -0,0 +1,76 @@
+/* ============================================
+   ChargedUP: Periodic Table
+   Standard atomic weights (IUPAC 2021, abridged to five significant
+   figures or as published) by element symbol
+   ============================================ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChargedUP = root.ChargedUP || {};
+        Object.assign(root.ChargedUP, factory());
+    }
+}(typeof window !== 'undefined' ? window : this, function () {
+    'use strict';
+
+    // [symbol, name, atomic weight in g/mol], by atomic number. Elements
+    // with no stable isotopes have no standard atomic weight: they carry
+    // the mass number of their longest-lived isotope, flagged with true
+    const ROWS = [
+        ['H', 'Hydrogen', 1.008], ['He', 'Helium', 4.0026],
+        ['Li', 'Lithium', 6.94], ['Be', 'Beryllium', 9.0122], ['B', 'Boron', 10.81],
+        ['C', 'Carbon', 12.011], ['N', 'Nitrogen', 14.007], ['O', 'Oxygen', 15.999],
+        ['F', 'Fluorine', 18.998], ['Ne', 'Neon', 20.180],
+        ['Na', 'Sodium', 22.990], ['Mg', 'Magnesium', 24.305], ['Al', 'Aluminium', 26.982],
+        ['Si', 'Silicon', 28.085], ['P', 'Phosphorus', 30.974], ['S', 'Sulfur', 32.06],
+        ['Cl', 'Chlorine', 35.45], ['Ar', 'Argon', 39.95],
+        ['K', 'Potassium', 39.098], ['Ca', 'Calcium', 40.078], ['Sc', 'Scandium', 44.956],
+        ['Ti', 'Titanium', 47.867], ['V', 'Vanadium', 50.942], ['Cr', 'Chromium', 51.996],
+        ['Mn', 'Manganese', 54.938], ['Fe', 'Iron', 55.845], ['Co', 'Cobalt', 58.933],
+        ['Ni', 'Nickel', 58.693], ['Cu', 'Copper', 63.546], ['Zn', 'Zinc', 65.38],
+        ['Ga', 'Gallium', 69.723], ['Ge', 'Germanium', 72.630], ['As', 'Arsenic', 74.922],
+        ['Se', 'Selenium', 78.971], ['Br', 'Bromine', 79.904], ['Kr', 'Krypton', 83.798],
+        ['Rb', 'Rubidium', 85.468], ['Sr', 'Strontium', 87.62], ['Y', 'Yttrium', 88.906],
+        ['Zr', 'Zirconium', 91.222], ['Nb', 'Niobium', 92.906], ['Mo', 'Molybdenum', 95.95],
+        ['Tc', 'Technetium', 97, true], ['Ru', 'Ruthenium', 101.07], ['Rh', 'Rhodium', 102.91],
+        ['Pd', 'Palladium', 106.42], ['Ag', 'Silver', 107.87], ['Cd', 'Cadmium', 112.41],
+        ['In', 'Indium', 114.82], ['Sn', 'Tin', 118.71], ['Sb', 'Antimony', 121.76],
+        ['Te', 'Tellurium', 127.60], ['I', 'Iodine', 126.90], ['Xe', 'Xenon', 131.29],
+        ['Cs', 'Caesium', 132.91], ['Ba', 'Barium', 137.33], ['La', 'Lanthanum', 138.91],
+        ['Ce', 'Cerium', 140.12], ['Pr', 'Praseodymium', 140.91], ['Nd', 'Neodymium', 144.24],
+        ['Pm', 'Promethium', 145, true], ['Sm', 'Samarium', 150.36], ['Eu', 'Europium', 151.96],
+        ['Gd', 'Gadolinium', 157.25], ['Tb', 'Terbium', 158.93], ['Dy', 'Dysprosium', 162.50],
+        ['Ho', 'Holmium', 164.93], ['Er', 'Erbium', 167.26], ['Tm', 'Thulium', 168.93],
+        ['Yb', 'Ytterbium', 173.05], ['Lu', 'Lutetium', 174.97], ['Hf', 'Hafnium', 178.49],
+        ['Ta', 'Tantalum', 180.95], ['W', 'Tungsten', 183.84], ['Re', 'Rhenium', 186.21],
+        ['Os', 'Osmium', 190.23], ['Ir', 'Iridium', 192.22], ['Pt', 'Platinum', 195.08],
+        ['Au', 'Gold', 196.97], ['Hg', 'Mercury', 200.59], ['Tl', 'Thallium', 204.38],
+        ['Pb', 'Lead', 207.2], ['Bi', 'Bismuth', 208.98], ['Po', 'Polonium', 209, true],
+        ['At', 'Astatine', 210, true], ['Rn', 'Radon', 222, true],
+        ['Fr', 'Francium', 223, true], ['Ra', 'Radium', 226, true], ['Ac', 'Actinium', 227, true],
+        ['Th', 'Thorium', 232.04], ['Pa', 'Protactinium', 231.04], ['U', 'Uranium', 238.03],
+        ['Np', 'Neptunium', 237, true], ['Pu', 'Plutonium', 244, true], ['Am', 'Americium', 243, true],
+        ['Cm', 'Curium', 247, true], ['Bk', 'Berkelium', 247, true], ['Cf', 'Californium', 251, true],
+        ['Es', 'Einsteinium', 252, true], ['Fm', 'Fermium', 257, true], ['Md', 'Mendelevium', 258, true],
+        ['No', 'Nobelium', 259, true], ['Lr', 'Lawrencium', 262, true], ['Rf', 'Rutherfordium', 267, true],
+        ['Db', 'Dubnium', 268, true], ['Sg', 'Seaborgium', 269, true], ['Bh', 'Bohrium', 270, true],
+        ['Hs', 'Hassium', 269, true], ['Mt', 'Meitnerium', 278, true], ['Ds', 'Darmstadtium', 281, true],
+        ['Rg', 'Roentgenium', 282, true], ['Cn', 'Copernicium', 285, true], ['Nh', 'Nihonium', 286, true],
+        ['Fl', 'Flerovium', 289, true], ['Mc', 'Moscovium', 290, true], ['Lv', 'Livermorium', 293, true],
+        ['Ts', 'Tennessine', 294, true], ['Og', 'Oganesson', 294, true]
+    ];
+
+    /**
+     * Elements by symbol: { number, symbol, name, mass (g/mol),
+     * massNumber (true when mass is a longest-lived isotope's mass number) }
+     */
+    const ELEMENTS = Object.freeze(ROWS.reduce((elements, [symbol, name, mass, massNumber = false], i) => {
+        elements[symbol] = Object.freeze({ number: i + 1, symbol, name, mass, massNumber });
+        return elements;
+    }, {}));
+
+    return {
+        ELEMENTS
+    };
+}));
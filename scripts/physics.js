@@ -3,11 +3,14 @@
  * Physics Module - Motor & Magnetic Field Simulator
  * December 20th
  * 
- * Implements magnetic field calculations, DC motor conceptual model,
- * and speed estimation with clear approximation disclaimers.
+ * Implements magnetic field calculations, a DC motor electrical-mechanical
+ * model, and speed estimation with clear approximation disclaimers.
  */
 
-window.ChargedUP = window.ChargedUP || {};
+// The calculation classes also load in Node (see the end of the file)
+if (typeof window !== 'undefined') {
+    window.ChargedUP = window.ChargedUP || {};
+}
 
 /* ============================================
    Physics Constants (with source citations)
@@ -46,6 +49,12 @@ const MOTOR_PRESETS = {
         coilLength: 0.02, // 2 cm
         ratedVoltage: 6,
         noLoadRPM: 6000,
+        // Electrical-mechanical constants (derived from 6 V, 6000 RPM, 0.1 A no-load)
+        torqueConstant: 0.00907, // Kt, N·m/A
+        backEmfConstant: 0.00907, // Ke, V·s/rad (equal to Kt in SI units)
+        inductance: 0.0015, // H
+        rotorInertia: 5e-7, // kg·m²
+        frictionTorque: 0.00091, // N·m (= Kt × no-load current)
         description: 'Typical motor found in small RC cars'
     },
     'hobby-motor': {
@@ -56,6 +65,12 @@ const MOTOR_PRESETS = {
         coilLength: 0.035,
         ratedVoltage: 7.2,
         noLoadRPM: 15000,
+        // Derived from 7.2 V, 15000 RPM, 0.8 A no-load
+        torqueConstant: 0.00433,
+        backEmfConstant: 0.00433,
+        inductance: 0.0001,
+        rotorInertia: 3e-6,
+        frictionTorque: 0.00346,
         description: 'Common in 1:10 scale RC vehicles'
     },
     'demo-solenoid': {
@@ -66,6 +81,11 @@ const MOTOR_PRESETS = {
         coilLength: 0.05,
         ratedVoltage: 6,
         noLoadRPM: null, // Not a rotating motor
+        torqueConstant: null,
+        backEmfConstant: null,
+        inductance: 0.002,
+        rotorInertia: null,
+        frictionTorque: null,
         description: 'For B-field demonstration'
     }
 };
@@ -196,6 +216,204 @@ class MagneticFieldCalculator {
     }
 }
 
+/* ============================================
+   DC Motor Model (Electrical-Mechanical)
+   ============================================ */
+class DCMotorModel {
+    /**
+     * Permanent-magnet brushed DC motor:
+     *   Electrical:  V = I × R + L × dI/dt + Kₑ × ω
+     *   Mechanical:  J × dω/dt = Kₜ × I - τ_friction - τ_load
+     *
+     * @param {object} preset - Entry from MOTOR_PRESETS
+     * @param {number} armatureR - Optional armature resistance override (Ω)
+     */
+    constructor(preset = MOTOR_PRESETS['small-dc-motor'], armatureR = preset.armatureR) {
+        this.preset = preset;
+        this.R = armatureR;
+        this.Kt = preset.torqueConstant;
+        this.Ke = preset.backEmfConstant;
+        this.L = preset.inductance;
+        this.J = preset.rotorInertia;
+        this.frictionTorque = preset.frictionTorque || 0;
+    }
+
+    isRotating() {
+        return Boolean(this.preset.noLoadRPM && this.Kt && this.Ke);
+    }
+
+    /**
+     * Build an operating point from current and speed
+     * Input power is measured at the motor terminals: P_in = V_terminal × I
+     */
+    buildPoint(supplyVoltage, current, omega, sourceR = 0) {
+        const terminalVoltage = supplyVoltage - current * sourceR;
+        const backEmf = this.Ke * omega;
+        const torque = Math.max(0, this.Kt * current - this.frictionTorque); // shaft torque
+        const inputPower = terminalVoltage * current;
+        const outputPower = torque * omega;
+
+        return {
+            current,
+            omega,
+            rpm: omega * 60 / (2 * Math.PI),
+            torque,
+            backEmf,
+            terminalVoltage,
+            inputPower,
+            outputPower,
+            copperLoss: current * current * this.R,
+            frictionLoss: this.frictionTorque * omega,
+            efficiency: inputPower > 0 ? outputPower / inputPower : 0
+        };
+    }
+
+    /**
+     * Steady state for a given load torque on the shaft
+     * I = (τ_load + τ_friction) / Kₜ,  ω = (V - I × R_total) / Kₑ
+     */
+    steadyState(supplyVoltage, loadTorque = 0, sourceR = 0) {
+        const totalR = this.R + sourceR;
+        const current = (loadTorque + this.frictionTorque) / this.Kt;
+        const omega = (supplyVoltage - current * totalR) / this.Ke;
+
+        if (omega <= 0) {
+            // Load is more than the motor can turn: stalled
+            return { ...this.buildPoint(supplyVoltage, supplyVoltage / totalR, 0, sourceR), stalled: true };
+        }
+
+        return { ...this.buildPoint(supplyVoltage, current, omega, sourceR), stalled: false };
+    }
+
+    /**
+     * Operating point when the motor is drawing a known current
+     * ω = (V - I × R_total) / Kₑ - the back-EMF is what's left after the I·R drop
+     */
+    operatingPointAtCurrent(supplyVoltage, current, sourceR = 0) {
+        const omega = Math.max(0, (supplyVoltage - current * (this.R + sourceR)) / this.Ke);
+        return this.buildPoint(supplyVoltage, current, omega, sourceR);
+    }
+
+    stallCurrent(supplyVoltage, sourceR = 0) {
+        return supplyVoltage / (this.R + sourceR);
+    }
+
+    stallTorque(supplyVoltage, sourceR = 0) {
+        return Math.max(0, this.Kt * this.stallCurrent(supplyVoltage, sourceR) - this.frictionTorque);
+    }
+
+    /**
+     * Classic motor curves: speed, current, output power and efficiency
+     * against shaft torque, from no load to stall
+     */
+    performanceCurves(supplyVoltage, sourceR = 0, points = 50) {
+        if (!this.isRotating()) return [];
+
+        const maxTorque = this.stallTorque(supplyVoltage, sourceR);
+        const curve = [];
+        for (let i = 0; i <= points; i++) {
+            const loadTorque = maxTorque * i / points;
+            curve.push(this.steadyState(supplyVoltage, loadTorque, sourceR));
+        }
+        return curve;
+    }
+
+    /**
+     * Transient spin-up from rest (RK4 integration of current and speed)
+     *
+     * @param {number} supplyVoltage - Applied voltage (V)
+     * @param {object} options - sourceR, loadTorque, duration (s)
+     * @returns {object} Sampled current/speed history and key figures
+     */
+    simulateSpinUp(supplyVoltage, options = {}) {
+        if (!this.isRotating()) return null;
+
+        const { sourceR = 0, loadTorque = 0 } = options;
+        const totalR = this.R + sourceR;
+        const electricalTau = this.L / totalR;
+        const mechanicalTau = this.J * totalR / (this.Kt * this.Ke);
+        const duration = options.duration || Math.max(0.05, 5 * mechanicalTau);
+        const dt = Math.max(duration / 20000, Math.min(electricalTau / 10, mechanicalTau / 200));
+        const steps = Math.ceil(duration / dt);
+        const sampleEvery = Math.max(1, Math.floor(steps / 200));
+
+        const derivatives = (i, w) => {
+            const di = (supplyVoltage - i * totalR - this.Ke * w) / this.L;
+            const drive = this.Kt * i - loadTorque;
+            // Static friction holds the rotor until the drive torque overcomes it
+            if (w <= 0 && drive <= this.frictionTorque) return [di, 0];
+            return [di, (drive - this.frictionTorque) / this.J];
+        };
+
+        let i = 0;
+        let w = 0;
+        let peakCurrent = 0;
+        const samples = [];
+
+        for (let step = 0; step <= steps; step++) {
+            if (step % sampleEvery === 0) {
+                samples.push({ t: step * dt, current: i, rpm: w * 60 / (2 * Math.PI), torque: this.Kt * i });
+            }
+            peakCurrent = Math.max(peakCurrent, i);
+
+            const [a1, b1] = derivatives(i, w);
+            const [a2, b2] = derivatives(i + a1 * dt / 2, w + b1 * dt / 2);
+            const [a3, b3] = derivatives(i + a2 * dt / 2, w + b2 * dt / 2);
+            const [a4, b4] = derivatives(i + a3 * dt, w + b3 * dt);
+            i += (a1 + 2 * a2 + 2 * a3 + a4) * dt / 6;
+            w = Math.max(0, w + (b1 + 2 * b2 + 2 * b3 + b4) * dt / 6);
+        }
+
+        const finalRpm = w * 60 / (2 * Math.PI);
+        const riseSample = samples.find(sample => sample.rpm >= 0.632 * finalRpm);
+
+        return {
+            samples,
+            peakCurrent,
+            finalRpm,
+            finalCurrent: i,
+            electricalTau,
+            mechanicalTau,
+            riseTime: riseSample ? riseSample.t : null // time to 63% of final speed
+        };
+    }
+
+    /**
+     * Generate step-by-step work for the motor operating point
+     * R_total is the armature plus the battery's internal resistance
+     */
+    generateWorkSteps(point, supplyVoltage, firstStep = 1, sourceR = 0) {
+        return `
+        <div class="work-step">
+          <span class="work-step__number">${firstStep}</span>
+          <div class="work-step__content">
+            <strong>Back-EMF from the voltage equation:</strong>
+            <p class="work-step__formula">V = I × R_total + Kₑ × ω  →  E = V - I × R_total</p>
+            <p class="work-step__formula">E = ${supplyVoltage} - ${point.current.toFixed(2)} × (${this.R} + ${sourceR}) = <strong class="text-teal">${point.backEmf.toFixed(2)} V</strong></p>
+          </div>
+        </div>
+
+        <div class="work-step">
+          <span class="work-step__number">${firstStep + 1}</span>
+          <div class="work-step__content">
+            <strong>Speed from back-EMF:</strong>
+            <p class="work-step__formula">ω = E / Kₑ = ${point.backEmf.toFixed(2)} / ${this.Ke} = ${point.omega.toFixed(1)} rad/s</p>
+            <p class="work-step__formula">RPM = ω × 60 / 2π = <strong class="text-cyan">${Math.round(point.rpm)} RPM</strong></p>
+          </div>
+        </div>
+
+        <div class="work-step">
+          <span class="work-step__number">${firstStep + 2}</span>
+          <div class="work-step__content">
+            <strong>Torque and efficiency:</strong>
+            <p class="work-step__formula">τ = Kₜ × I - τ_friction = ${this.Kt} × ${point.current.toFixed(2)} - ${this.frictionTorque} = ${(point.torque * 1000).toFixed(2)} mN·m</p>
+            <p class="work-step__formula">η = τω / VI = ${point.outputPower.toFixed(2)} W / ${point.inputPower.toFixed(2)} W = <strong class="text-teal">${(point.efficiency * 100).toFixed(1)}%</strong></p>
+          </div>
+        </div>
+      `;
+    }
+}
+
 /* ============================================
    Motor Speed Estimator (Conceptual Model)
    ============================================ */
@@ -204,9 +422,9 @@ class MotorSpeedEstimator {
      * IMPORTANT: This is a simplified educational model.
      * Real motor behavior depends on many factors not modeled here.
      * 
-     * Simple proportional model:
-     * Speed ≈ (V_applied - I × R_armature) / k
-     * where k is the motor constant (approximated from no-load conditions)
+     * Speed from the DC motor voltage equation:
+     * ω = (V_applied - I × R_armature) / Kₑ
+     * where Kₑ is the back-EMF constant (see DCMotorModel)
      */
 
     constructor(preset = MOTOR_PRESETS['small-dc-motor']) {
@@ -237,44 +455,35 @@ class MotorSpeedEstimator {
     }
 
     /**
-     * Estimate motor speed from current (proportional model)
+     * Estimate motor speed from current (DC motor model)
      * 
-     * This is a SIMPLIFIED educational approximation:
-     * - At no-load, motor spins at max RPM with minimal current
-     * - At stall, motor has zero RPM and maximum current
-     * - Linear interpolation in between
+     * - The I × R drop across the armature is subtracted from the supply
+     * - What remains is the back-EMF, which is proportional to speed
+     * - The same current sets the torque: τ = Kₜ × I - τ_friction
      * 
-     * DISCLAIMER: Actual motor behavior is more complex and depends
-     * on load, back-EMF, magnetic saturation, friction, etc.
+     * DISCLAIMER: Actual motor behavior also depends on magnetic
+     * saturation, brush losses, temperature, etc.
      */
-    estimateSpeed(current, supplyVoltage) {
-        const noLoadRPM = this.preset.noLoadRPM;
-        const ratedVoltage = this.preset.ratedVoltage;
-        const armatureR = this.preset.armatureR;
-
-        if (!noLoadRPM) {
+    estimateSpeed(current, supplyVoltage, armatureR = this.preset.armatureR, sourceR = 0) {
+        if (!this.preset.noLoadRPM) {
             return { rpm: null, note: 'Not a rotating motor' };
         }
 
-        // Scale by voltage ratio
-        const voltageRatio = Math.min(supplyVoltage / ratedVoltage, 1.5);
-
-        // Back-EMF reduces effective voltage and thus speed
-        // Simplified: RPM ∝ (V - IR)
-        const backEMFvoltage = current * armatureR;
-        const effectiveVoltage = supplyVoltage - backEMFvoltage;
-
-        // Approximate RPM
-        const speedRatio = Math.max(0, effectiveVoltage / ratedVoltage);
-        const rpm = noLoadRPM * speedRatio * voltageRatio;
+        const model = new DCMotorModel(this.preset, armatureR);
+        const point = model.operatingPointAtCurrent(supplyVoltage, current, sourceR);
+        const noLoad = model.steadyState(supplyVoltage, 0, sourceR);
 
         return {
-            rpm: Math.round(rpm),
-            speedPercent: (speedRatio * 100).toFixed(1),
-            effectiveVoltage: effectiveVoltage.toFixed(2),
-            backEMFvoltage: backEMFvoltage.toFixed(2),
-            disclaimer: '⚠️ Approximate educational estimate only. Actual RPM varies with load, motor design, and operating conditions.',
-            note: 'Simple proportional model: RPM ∝ (V - IR)'
+            rpm: Math.round(point.rpm),
+            speedPercent: (noLoad.omega > 0 ? point.omega / noLoad.omega * 100 : 0).toFixed(1),
+            effectiveVoltage: point.backEmf.toFixed(2),
+            backEMFvoltage: point.backEmf.toFixed(2),
+            torque: point.torque,
+            outputPower: point.outputPower,
+            efficiency: point.efficiency,
+            point,
+            disclaimer: '⚠️ Educational DC motor model. Actual RPM varies with load, motor design, and operating conditions.',
+            note: 'DC motor model: ω = (V - I × R) / Kₑ'
         };
     }
 
@@ -288,6 +497,225 @@ class MotorSpeedEstimator {
     }
 }
 
+/* ============================================
+   Motor Performance Chart
+   ============================================ */
+const MOTOR_CHART_VIEWS = {
+    'torque-speed': {
+        title: 'Torque vs Speed',
+        x: p => p.rpm, xLabel: 'Speed (RPM)',
+        y: p => p.torque * 1000, yLabel: 'Torque (mN·m)'
+    },
+    'current-torque': {
+        title: 'Current vs Torque',
+        x: p => p.torque * 1000, xLabel: 'Torque (mN·m)',
+        y: p => p.current, yLabel: 'Current (A)'
+    },
+    'power-torque': {
+        title: 'Output Power vs Torque',
+        x: p => p.torque * 1000, xLabel: 'Torque (mN·m)',
+        y: p => p.outputPower, yLabel: 'Output Power (W)'
+    },
+    'efficiency-torque': {
+        title: 'Efficiency vs Torque',
+        x: p => p.torque * 1000, xLabel: 'Torque (mN·m)',
+        y: p => p.efficiency * 100, yLabel: 'Efficiency (%)'
+    }
+};
+
+class MotorChartPanel {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) return;
+
+        this.ctx = this.canvas.getContext('2d');
+        this.view = 'torque-speed';
+        this.curve = [];
+        this.point = null;
+        this.hoverX = null;
+        this.pad = { left: 54, right: 16, top: 28, bottom: 36 };
+
+        this.viewBtns = document.querySelectorAll('[data-motor-chart]');
+        this.readout = document.getElementById('motor-chart-readout');
+
+        this.bindEvents();
+        this.resize();
+    }
+
+    bindEvents() {
+        this.viewBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setView(btn.dataset.motorChart));
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.hoverX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+            this.draw();
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverX = null;
+            this.draw();
+        });
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        this.canvas.width = this.canvas.offsetWidth || 500;
+        this.canvas.height = this.canvas.offsetHeight || 260;
+        this.draw();
+    }
+
+    setView(view) {
+        if (!MOTOR_CHART_VIEWS[view]) return;
+        this.view = view;
+        this.viewBtns.forEach(btn => {
+            const isActive = btn.dataset.motorChart === view;
+            btn.classList.toggle('btn--primary', isActive);
+            btn.classList.toggle('btn--ghost', !isActive);
+            btn.setAttribute('aria-pressed', isActive);
+        });
+        this.draw();
+    }
+
+    /**
+     * @param {Array} curve - Output of DCMotorModel.performanceCurves()
+     * @param {object} point - Operating point found by MotorSimulatorUI.calculate()
+     */
+    update(curve, point) {
+        this.curve = curve || [];
+        this.point = point || null;
+        this.draw();
+    }
+
+    /**
+     * Round an axis maximum up to 1, 2 or 5 × 10ⁿ
+     */
+    niceMax(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(m => m * magnitude >= value);
+        return step * magnitude;
+    }
+
+    draw() {
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const pad = this.pad;
+        const plotW = w - pad.left - pad.right;
+        const plotH = h - pad.top - pad.bottom;
+        const view = MOTOR_CHART_VIEWS[this.view];
+
+        ctx.fillStyle = '#071733';
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.font = '11px Inter, sans-serif';
+        if (this.curve.length < 2) {
+            ctx.fillStyle = '#B6C0C9';
+            ctx.fillText('Select a rotating motor preset to see its performance curves', pad.left, h / 2);
+            if (this.readout) this.readout.textContent = '';
+            return;
+        }
+
+        const xs = this.curve.map(view.x);
+        const ys = this.curve.map(view.y);
+        // Keep the operating point on the chart even beyond stall
+        const xMax = this.niceMax(Math.max(...xs, this.point ? view.x(this.point) : 0));
+        const yMax = this.niceMax(Math.max(...ys, this.point ? view.y(this.point) : 0));
+        const px = v => pad.left + (v / xMax) * plotW;
+        const py = v => pad.top + (1 - v / yMax) * plotH;
+
+        // Grid and tick labels
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#B6C0C9';
+        for (let i = 0; i <= 5; i++) {
+            const gx = pad.left + plotW * i / 5;
+            const gy = pad.top + plotH * i / 5;
+            ctx.beginPath();
+            ctx.moveTo(gx, pad.top);
+            ctx.lineTo(gx, pad.top + plotH);
+            ctx.moveTo(pad.left, gy);
+            ctx.lineTo(pad.left + plotW, gy);
+            ctx.stroke();
+            ctx.fillText(this.formatTick(xMax * i / 5), gx - 10, pad.top + plotH + 14);
+            ctx.fillText(this.formatTick(yMax * (5 - i) / 5), 6, gy + 4);
+        }
+
+        // Axis titles
+        ctx.fillStyle = '#F8FAFC';
+        ctx.fillText(view.xLabel, pad.left + plotW / 2 - 30, h - 6);
+        ctx.fillText(view.yLabel, pad.left, pad.top - 12);
+
+        // Curve
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        this.curve.forEach((p, i) => {
+            i === 0 ? ctx.moveTo(px(xs[i]), py(ys[i])) : ctx.lineTo(px(xs[i]), py(ys[i]));
+        });
+        ctx.stroke();
+
+        // Operating point crosshair
+        if (this.point) {
+            const ox = px(view.x(this.point));
+            const oy = py(view.y(this.point));
+            ctx.strokeStyle = '#3EF1C6';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(ox, pad.top);
+            ctx.lineTo(ox, pad.top + plotH);
+            ctx.moveTo(pad.left, oy);
+            ctx.lineTo(pad.left + plotW, oy);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = '#3EF1C6';
+            ctx.beginPath();
+            ctx.arc(ox, oy, 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillText('operating point', Math.min(ox + 8, pad.left + plotW - 90), Math.max(oy - 8, pad.top + 10));
+        }
+
+        // Hover cursor: snap to the nearest curve point
+        let readPoint = this.point;
+        if (this.hoverX !== null && this.hoverX >= pad.left && this.hoverX <= pad.left + plotW) {
+            let nearest = 0;
+            xs.forEach((x, i) => {
+                if (Math.abs(px(x) - this.hoverX) < Math.abs(px(xs[nearest]) - this.hoverX)) nearest = i;
+            });
+            readPoint = this.curve[nearest];
+
+            ctx.strokeStyle = 'rgba(248, 250, 252, 0.5)';
+            ctx.beginPath();
+            ctx.moveTo(px(xs[nearest]), pad.top);
+            ctx.lineTo(px(xs[nearest]), pad.top + plotH);
+            ctx.stroke();
+            ctx.fillStyle = '#F8FAFC';
+            ctx.beginPath();
+            ctx.arc(px(xs[nearest]), py(ys[nearest]), 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        if (this.readout && readPoint) {
+            const label = readPoint === this.point ? 'Operating point' : 'Cursor';
+            this.readout.textContent = `${label}: ${Math.round(readPoint.rpm)} RPM · ` +
+                `${(readPoint.torque * 1000).toFixed(2)} mN·m · ${readPoint.current.toFixed(2)} A · ` +
+                `${readPoint.outputPower.toFixed(2)} W out · ${(readPoint.efficiency * 100).toFixed(1)}% efficient`;
+        }
+    }
+
+    formatTick(value) {
+        if (value >= 1000) return `${(value / 1000).toFixed(value >= 10000 ? 0 : 1)}k`;
+        if (value >= 10) return value.toFixed(0);
+        return value.toFixed(value >= 1 ? 1 : 2);
+    }
+}
+
 /* ============================================
    Motor Simulator UI Class
    ============================================ */
@@ -295,6 +723,7 @@ class MotorSimulatorUI {
     constructor() {
         this.fieldCalc = new MagneticFieldCalculator();
         this.speedEstimator = new MotorSpeedEstimator();
+        this.chartPanel = new MotorChartPanel('motor-chart-canvas');
         this.currentPreset = null;
         this.init();
     }
@@ -304,6 +733,27 @@ class MotorSimulatorUI {
         this.bindEvents();
         this.loadFromURL();
         this.checkBatteryImport();
+        this.bindProjectSync();
+    }
+
+    /**
+     * Re-render when another tab changes the motor (or the imported battery)
+     * or a different project is opened
+     */
+    bindProjectSync() {
+        window.ChargedUP?.ProjectState?.onChange(({ section, value, source }) => {
+            if (source === 'local') return;
+
+            if (section === 'motor') {
+                if (value) {
+                    this.restoreFromProject(value);
+                } else {
+                    this.resetInputs();
+                }
+            } else if (section === 'battery' && value && this.importBattery?.checked) {
+                this.importBatteryData();
+            }
+        });
     }
 
     bindElements() {
@@ -328,6 +778,10 @@ class MotorSimulatorUI {
         this.resultFormula = document.getElementById('result-formula');
         this.resultCurrent = document.getElementById('result-current');
         this.resultPower = document.getElementById('result-power');
+        this.resultTorque = document.getElementById('result-torque');
+        this.resultBackEmf = document.getElementById('result-back-emf');
+        this.resultEfficiency = document.getElementById('result-efficiency');
+        this.resultSpinUp = document.getElementById('result-spin-up');
 
         // Motor gauge elements
         this.gaugeValue = document.getElementById('gauge-value');
@@ -429,33 +883,27 @@ class MotorSimulatorUI {
     }
 
     importBatteryData() {
-        const storedData = localStorage.getItem('chargedup_battery_for_physics');
-        if (!storedData) {
+        const data = window.ChargedUP?.ProjectState?.get('battery');
+        if (!data) {
             alert('No battery data found. Please run the battery calculator first.');
             this.importBattery.checked = false;
             return;
         }
 
-        try {
-            const data = JSON.parse(storedData);
-
-            if (data.packVoltage && this.inputVoltage) {
-                this.inputVoltage.value = data.packVoltage;
-            }
-            if (data.packInternalR && this.inputBatteryR) {
-                this.inputBatteryR.value = data.packInternalR;
-            }
-            if (data.motorCurrent && this.inputCurrent) {
-                this.inputCurrent.value = data.motorCurrent;
-                if (this.displayCurrent) {
-                    this.displayCurrent.textContent = `${data.motorCurrent} A`;
-                }
+        if (data.packVoltage && this.inputVoltage) {
+            this.inputVoltage.value = data.packVoltage;
+        }
+        if (data.packInternalR && this.inputBatteryR) {
+            this.inputBatteryR.value = data.packInternalR;
+        }
+        if (data.motorCurrent && this.inputCurrent) {
+            this.inputCurrent.value = data.motorCurrent;
+            if (this.displayCurrent) {
+                this.displayCurrent.textContent = `${data.motorCurrent} A`;
             }
-
-            this.calculate();
-        } catch (e) {
-            console.error('Failed to parse battery data:', e);
         }
+
+        this.calculate();
     }
 
     calculate() {
@@ -479,19 +927,31 @@ class MotorSimulatorUI {
         );
 
         // Estimate motor speed
-        const speedResult = this.speedEstimator.estimateSpeed(current, voltage);
+        const speedResult = this.speedEstimator.estimateSpeed(current, voltage, motorR, batteryR);
+
+        // Spin-up from rest through the battery's internal resistance
+        const motorModel = new DCMotorModel(this.speedEstimator.preset, motorR);
+        const spinUp = motorModel.simulateSpinUp(voltage, { sourceR: batteryR });
+
+        // Performance curves with the operating point marked
+        this.chartPanel.update(motorModel.performanceCurves(voltage, batteryR), speedResult.point);
 
         // Store results
         this.lastResults = {
             bField: bFieldResult,
             current: currentResult,
             speed: speedResult,
-            inputs: { voltage, current, motorR, coilTurns, coilLength, material }
+            spinUp,
+            inputs: { voltage, current, motorR, coilTurns, coilLength, material, batteryR }
         };
 
         this.displayResults(bFieldResult, currentResult, speedResult);
+        this.displayMotorModel(speedResult, spinUp);
         this.updateFieldCanvas(bFieldResult, current);
         this.updateWorkSteps('solenoid', bFieldResult.inputs, bFieldResult);
+        if (this.workSteps && speedResult.point) {
+            this.workSteps.innerHTML += motorModel.generateWorkSteps(speedResult.point, voltage, 4, batteryR);
+        }
 
         // Auto-save for integrated page
         this.autoSaveForIntegrated();
@@ -534,6 +994,25 @@ class MotorSimulatorUI {
         }
     }
 
+    displayMotorModel(speed, spinUp) {
+        const hasModel = speed.rpm !== null;
+
+        if (this.resultTorque) {
+            this.resultTorque.textContent = hasModel ? `${(speed.torque * 1000).toFixed(2)} mN·m` : '— mN·m';
+        }
+        if (this.resultBackEmf) {
+            this.resultBackEmf.textContent = hasModel ? `${speed.backEMFvoltage} V` : '— V';
+        }
+        if (this.resultEfficiency) {
+            this.resultEfficiency.textContent = hasModel ? `${(speed.efficiency * 100).toFixed(1)}%` : '—';
+        }
+        if (this.resultSpinUp) {
+            this.resultSpinUp.textContent = spinUp && spinUp.riseTime !== null
+                ? `${(spinUp.riseTime * 1000).toFixed(0)} ms (peak ${spinUp.peakCurrent.toFixed(2)} A)`
+                : '—';
+        }
+    }
+
     updateFieldCanvas(bField, current) {
         if (!this.fieldCanvas) return;
 
@@ -610,9 +1089,12 @@ class MotorSimulatorUI {
 
     loadFromURL() {
         const params = new URLSearchParams(window.location.search);
+        const saved = window.ChargedUP?.ProjectState?.get('motor');
 
         if (params.has('preset')) {
             this.loadPreset(params.get('preset'));
+        } else if (!params.toString() && saved) {
+            this.restoreFromProject(saved);
         } else {
             if (params.has('voltage') && this.inputVoltage) {
                 this.inputVoltage.value = params.get('voltage');
@@ -631,19 +1113,84 @@ class MotorSimulatorUI {
         }
     }
 
+    /**
+     * Put the inputs back to the motor saved in the project state
+     */
+    restoreFromProject(motor) {
+        const preset = MOTOR_PRESETS[motor.preset];
+        if (preset) {
+            this.currentPreset = motor.preset;
+            this.speedEstimator = new MotorSpeedEstimator(preset);
+            this.presetBtns.forEach(btn => {
+                btn.classList.toggle('preset-btn--active', btn.dataset.motorPreset === motor.preset);
+            });
+        }
+
+        const fields = [
+            [this.inputVoltage, motor.voltage],
+            [this.inputCurrent, motor.current],
+            [this.inputMotorR, motor.motorR],
+            [this.inputBatteryR, motor.batteryR],
+            [this.inputCoilTurns, motor.coilTurns],
+            [this.inputCoilLength, motor.coilLength !== undefined ? Math.round(motor.coilLength * 1000) / 10 : undefined], // cm
+            [this.inputMaterial, motor.material]
+        ];
+        fields.forEach(([input, value]) => {
+            if (input && value !== undefined) input.value = value;
+        });
+
+        if (this.displayCurrent && motor.current !== undefined) {
+            this.displayCurrent.textContent = `${motor.current} A`;
+        }
+
+        this.calculate();
+    }
+
+    /**
+     * Put the inputs back to the values the page opened with
+     */
+    resetInputs() {
+        [
+            this.inputVoltage, this.inputCurrent, this.inputMotorR, this.inputBatteryR,
+            this.inputCoilTurns, this.inputCoilLength, this.inputMaterial
+        ].forEach(input => {
+            if (!input) return;
+            if (input.tagName === 'SELECT') {
+                const option = [...input.options].find(o => o.defaultSelected) || input.options[0];
+                input.value = option.value;
+            } else {
+                input.value = input.defaultValue;
+            }
+        });
+
+        if (this.displayCurrent && this.inputCurrent) {
+            this.displayCurrent.textContent = `${this.inputCurrent.value} A`;
+        }
+
+        this.currentPreset = null;
+        this.speedEstimator = new MotorSpeedEstimator();
+        this.presetBtns.forEach(btn => btn.classList.remove('preset-btn--active'));
+
+        this.calculate();
+    }
+
     autoSaveForIntegrated() {
         if (!this.lastResults) return;
 
-        const dataForIntegrated = {
+        const inputs = this.lastResults.inputs || {};
+        window.ChargedUP?.ProjectState?.set('motor', {
+            preset: this.currentPreset,
+            voltage: inputs.voltage,
+            current: inputs.current,
+            motorR: inputs.motorR,
+            batteryR: inputs.batteryR,
+            coilTurns: inputs.coilTurns,
+            coilLength: inputs.coilLength,
+            material: inputs.material,
             bField: this.lastResults.bField?.B_mT,
             motorPower: this.lastResults.current?.powerMotor,
-            estimatedRPM: this.lastResults.speed?.rpm,
-            current: this.lastResults.inputs?.current,
-            voltage: this.lastResults.inputs?.voltage,
-            timestamp: Date.now()
-        };
-
-        localStorage.setItem('chargedup_motor_for_integrated', JSON.stringify(dataForIntegrated));
+            estimatedRPM: this.lastResults.speed?.rpm
+        });
     }
 
     saveForIntegrated() {
@@ -826,23 +1373,40 @@ class RightHandRuleDemonstrator {
 let motorSimulatorUI = null;
 let rightHandRuleDemo = null;
 
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize motor simulator if on physics page
-    if (document.getElementById('motor-simulator')) {
-        motorSimulatorUI = new MotorSimulatorUI();
-    }
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Initialize motor simulator if on physics page
+        if (document.getElementById('motor-simulator')) {
+            motorSimulatorUI = new MotorSimulatorUI();
+        }
 
-    // Initialize right-hand rule demo if canvas exists
-    const rhrCanvas = document.getElementById('rhr-canvas');
-    if (rhrCanvas) {
-        rightHandRuleDemo = new RightHandRuleDemonstrator('rhr-canvas');
-    }
-});
+        // Initialize right-hand rule demo if canvas exists
+        const rhrCanvas = document.getElementById('rhr-canvas');
+        if (rhrCanvas) {
+            rightHandRuleDemo = new RightHandRuleDemonstrator('rhr-canvas');
+        }
+    });
+}
 
 // Export to global namespace
-window.ChargedUP.MagneticFieldCalculator = MagneticFieldCalculator;
-window.ChargedUP.MotorSpeedEstimator = MotorSpeedEstimator;
-window.ChargedUP.MotorSimulatorUI = MotorSimulatorUI;
-window.ChargedUP.RightHandRuleDemonstrator = RightHandRuleDemonstrator;
-window.ChargedUP.MOTOR_PRESETS = MOTOR_PRESETS;
-window.ChargedUP.PHYSICS_CONSTANTS = PHYSICS_CONSTANTS;
+if (typeof window !== 'undefined') {
+    window.ChargedUP.MagneticFieldCalculator = MagneticFieldCalculator;
+    window.ChargedUP.DCMotorModel = DCMotorModel;
+    window.ChargedUP.MotorSpeedEstimator = MotorSpeedEstimator;
+    window.ChargedUP.MotorChartPanel = MotorChartPanel;
+    window.ChargedUP.MotorSimulatorUI = MotorSimulatorUI;
+    window.ChargedUP.RightHandRuleDemonstrator = RightHandRuleDemonstrator;
+    window.ChargedUP.MOTOR_PRESETS = MOTOR_PRESETS;
+    window.ChargedUP.PHYSICS_CONSTANTS = PHYSICS_CONSTANTS;
+}
+
+// Node: the models without the page UI
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        MagneticFieldCalculator,
+        DCMotorModel,
+        MotorSpeedEstimator,
+        MOTOR_PRESETS,
+        PHYSICS_CONSTANTS
+    };
+}
@@ -0,0 +1,1043 @@
+/* ============================================
+   ChargedUP: Project State
+   One versioned store of named projects - each a battery, motor,
+   RC car, track and virtual lab configuration - shared by every page
+   ============================================ */
+
+(function () {
+    'use strict';
+
+    /* ============================================
+       Constants
+       ============================================ */
+    const STORAGE_KEY = window.ChargedUP.STORAGE_KEYS.PROJECT;
+    const SCHEMA_VERSION = 2;
+    const DEFAULT_PROJECT = { id: 'default', name: 'My Project' };
+    const MAX_NAME_LENGTH = 60;
+    const CHANGE_EVENT = 'chargedup:state-change';
+    const CONFLICT_EVENT = 'chargedup:state-conflict';
+    const FILE_FORMAT = 'chargedup-project';
+
+    // Bookkeeping stored alongside each section rather than validated
+    const META_FIELDS = ['updatedAt', 'baseUpdatedAt'];
+
+    // Keys written by earlier versions of the site - imported once, then removed
+    const LEGACY_KEYS = {
+        battery: 'chargedup_battery_for_physics',
+        chemistryData: 'chargedup-chemistry-data',
+        motor: 'chargedup_motor_for_integrated'
+    };
+
+    /* ============================================
+       Schema
+       Each field: type ('number' | 'integer' | 'string' | 'boolean' |
+       'record' | 'map' | 'points' | 'tracks'), a readable label, optional
+       unit, min/max for numbers (and point coordinates), values and
+       maxLength for strings and minItems/maxItems for lists. 'record' is an
+       object whose own fields are checked against its fields rules (none
+       may be missing a rule); 'map' is up to maxItems names (each at most
+       maxLength characters) with a value checked against its entry rule;
+       'points' is a list of [x, y]; 'tracks' a list of { name, points }.
+       result: true marks values the calculators work out (as opposed to
+       inputs the student chose).
+       ============================================ */
+    const SECTION_SCHEMAS = {
+        battery: {
+            preset: { type: 'string', label: 'Preset' },
+            mode: { type: 'string', label: 'Input mode', values: ['commercial', 'stoichiometry'] },
+            chemistry: { type: 'string', label: 'Chemistry' },
+            cellVoltage: { type: 'number', label: 'Cell voltage', unit: 'V', min: 0.1, max: 5 },
+            series: { type: 'integer', label: 'Cells in series', min: 1, max: 12 },
+            parallel: { type: 'integer', label: 'Cells in parallel', min: 1, max: 12 },
+            capacityMah: { type: 'number', label: 'Cell capacity', unit: 'mAh', min: 0, max: 100000 },
+            znMass: { type: 'number', label: 'Zn mass', unit: 'g', min: 0, max: 1000 },
+            mno2Mass: { type: 'number', label: 'MnO₂ mass', unit: 'g', min: 0, max: 1000 },
+            equation: { type: 'string', label: 'Cell reaction', maxLength: 200 },
+            electrons: { type: 'integer', label: 'Electrons per reaction', min: 1, max: 20 },
+            masses: {
+                type: 'map',
+                label: 'Reactant masses',
+                unit: 'g',
+                maxItems: 50,
+                maxLength: 60,
+                entry: { type: 'number', min: 0, max: 1000 } // by formula; null: in excess
+            },
+            internalR: { type: 'number', label: 'Internal resistance (per cell)', unit: 'Ω', min: 0, max: 10 },
+            motorCurrent: { type: 'number', label: 'Motor current', unit: 'A', min: 0, max: 100 },
+            packVoltage: { type: 'number', label: 'Pack voltage', unit: 'V', min: 0, max: 100, result: true },
+            packCapacityMah: { type: 'number', label: 'Pack capacity', unit: 'mAh', min: 0, max: 1000000, result: true },
+            packInternalR: { type: 'number', label: 'Pack internal resistance', unit: 'Ω', min: 0, max: 100, result: true },
+            energyWh: { type: 'number', label: 'Pack energy', unit: 'Wh', min: 0, max: 10000, result: true },
+            loadedResults: {
+                type: 'record',
+                label: 'Loaded results',
+                result: true,
+                fields: {
+                    openCircuitVoltage: { type: 'number', min: 0, max: 100 },
+                    loadedVoltage: { type: 'number', min: 0, max: 100 },
+                    voltageDrop: { type: 'number', min: 0 },
+                    current: { type: 'number', min: 0, max: 100 },
+                    internalR: { type: 'number', min: 0, max: 100 },
+                    powerLossW: { type: 'number', min: 0 }
+                }
+            },
+            runtime: {
+                type: 'record',
+                label: 'Runtime estimate',
+                result: true,
+                fields: {
+                    hours: { type: 'number', min: 0 },
+                    minutes: { type: 'number', min: 0 },
+                    capacityMah: { type: 'number', min: 0, max: 1000000 },
+                    effectiveCapacityMah: { type: 'number', min: 0, max: 1000000 },
+                    cRate: { type: 'number', min: 0 },
+                    currentA: { type: 'number', min: 0, max: 100 },
+                    note: { type: 'string', maxLength: 200 }
+                }
+            },
+            peukert: {
+                type: 'record',
+                label: 'Peukert parameters',
+                result: true,
+                fields: {
+                    exponent: { type: 'number', min: 1, max: 2 },
+                    ratedHours: { type: 'number', min: 0, max: 1000 }
+                }
+            },
+            discharge: {
+                type: 'record',
+                label: 'Discharge summary',
+                result: true,
+                fields: {
+                    runtimeMinutes: { type: 'number', min: 0 },
+                    deliveredMah: { type: 'number', min: 0 },
+                    deliveredWh: { type: 'number', min: 0 },
+                    endReason: { type: 'string', values: ['timeout', 'cutoff', 'empty'] }
+                }
+            }
+        },
+        motor: {
+            preset: { type: 'string', label: 'Preset' },
+            voltage: { type: 'number', label: 'Supply voltage', unit: 'V', min: 0, max: 100 },
+            current: { type: 'number', label: 'Current', unit: 'A', min: 0, max: 100 },
+            motorR: { type: 'number', label: 'Armature resistance', unit: 'Ω', min: 0.01, max: 100 },
+            batteryR: { type: 'number', label: 'Battery resistance', unit: 'Ω', min: 0, max: 100 },
+            coilTurns: { type: 'integer', label: 'Coil turns', min: 1, max: 100000 },
+            coilLength: { type: 'number', label: 'Coil length', unit: 'm', min: 0, max: 10 },
+            material: { type: 'string', label: 'Core material' },
+            bField: { type: 'number', label: 'B-field', unit: 'mT', min: 0, result: true },
+            motorPower: { type: 'number', label: 'Motor power', unit: 'W', result: true },
+            estimatedRPM: { type: 'number', label: 'Estimated RPM', unit: 'rpm', min: 0, result: true }
+        },
+        car: {
+            batteryPreset: { type: 'string', label: 'Battery pack' },
+            motorPreset: { type: 'string', label: 'Motor' },
+            mass: { type: 'number', label: 'Car mass', unit: 'kg', min: 0.05, max: 20 },
+            frictionCoeff: { type: 'number', label: 'Friction (μ)', min: 0, max: 2 },
+            startCharge: { type: 'number', label: 'Starting charge', unit: '%', min: 0, max: 100 },
+            gearRatio: { type: 'number', label: 'Gear ratio', min: 1, max: 100 },
+            pinionTeeth: { type: 'integer', label: 'Pinion teeth', min: 8, max: 40 },
+            spurTeeth: { type: 'integer', label: 'Spur gear teeth', min: 30, max: 120 },
+            drivetrainEfficiency: { type: 'number', label: 'Gearbox efficiency', min: 0.5, max: 1 },
+            wheelRadius: { type: 'number', label: 'Wheel radius', unit: 'm', min: 0.01, max: 0.075 },
+            tyre: { type: 'string', label: 'Tyres', values: ['standard', 'slick', 'foam', 'knobby', 'plastic'] },
+            integrator: { type: 'string', label: 'Integration method', values: ['euler', 'semi-implicit', 'rk4'] },
+            cornerBraking: { type: 'boolean', label: 'Brake for corners' },
+            regenBraking: { type: 'boolean', label: 'Regenerative braking' },
+            reverse: { type: 'boolean', label: 'Reverse' },
+            controller: { type: 'string', label: 'Throttle controller', values: ['constant', 'cruise', 'eco', 'script'] },
+            targetSpeed: { type: 'number', label: 'Cruise speed', unit: 'm/s', min: 0.05, max: 10 },
+            kp: { type: 'number', label: 'PID proportional gain (Kp)', min: 0, max: 100 },
+            ki: { type: 'number', label: 'PID integral gain (Ki)', min: 0, max: 100 },
+            kd: { type: 'number', label: 'PID derivative gain (Kd)', min: 0, max: 100 },
+            script: { type: 'string', label: 'Throttle script', maxLength: 500 }
+        },
+        labs: {
+            lab1Current: { type: 'number', label: 'Lab 1 current draw', unit: 'A', min: 0, max: 10 },
+            lab1Resistance: { type: 'number', label: 'Lab 1 internal resistance', unit: 'Ω', min: 0, max: 10 },
+            lab2Current: { type: 'number', label: 'Lab 2 current', unit: 'A', min: 0, max: 10 },
+            lab2Turns: { type: 'integer', label: 'Lab 2 coil turns', min: 1, max: 10000 }
+        },
+        track: {
+            name: { type: 'string', label: 'Track' },
+            points: { type: 'points', label: 'Track shape', unit: 'm', min: -50, max: 50, minItems: 3, maxItems: 40 },
+            saved: { type: 'tracks', label: 'Saved tracks', unit: 'm', min: -50, max: 50, minItems: 3, maxItems: 40, maxTracks: 20 }
+        }
+    };
+
+    const SECTIONS = Object.keys(SECTION_SCHEMAS);
+
+    /* ============================================
+       Validation
+       ============================================ */
+    function checkField(rule, value) {
+        switch (rule.type) {
+            case 'integer':
+                if (!Number.isInteger(value)) return 'must be a whole number';
+            // falls through
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+                if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+                if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+                return null;
+            case 'string':
+                if (typeof value !== 'string') return 'must be text';
+                if (rule.values && !rule.values.includes(value)) return `must be one of ${rule.values.join(', ')}`;
+                if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                    return `must be at most ${rule.maxLength} characters`;
+                }
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'record':
+                return checkRecord(rule, value);
+            case 'map':
+                return checkMap(rule, value);
+            case 'points':
+                return checkPoints(rule, value);
+            case 'tracks': {
+                if (!Array.isArray(value) || value.length > rule.maxTracks) {
+                    return `must be a list of up to ${rule.maxTracks} tracks`;
+                }
+                const bad = value.findIndex(track => !track || typeof track.name !== 'string' || !track.name.trim() ||
+                    checkPoints(rule, track.points));
+                return bad === -1 ? null : `has an invalid track (number ${bad + 1})`;
+            }
+            default:
+                return 'has an unknown type';
+        }
+    }
+
+    function checkRecord(rule, value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+        for (const [key, fieldValue] of Object.entries(value)) {
+            if (fieldValue === null || fieldValue === undefined) continue;
+            const fieldRule = rule.fields[key];
+            if (!fieldRule) return `has an unknown field "${key}"`;
+            const problem = checkField(fieldRule, fieldValue);
+            if (problem) return `has "${key}", which ${problem}`;
+        }
+        return null;
+    }
+
+    function checkMap(rule, value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+        const entries = Object.entries(value);
+        if (entries.length > rule.maxItems) return `must have at most ${rule.maxItems} entries`;
+        for (const [key, entryValue] of entries) {
+            if (!key.trim() || key.length > rule.maxLength) return `has a name that isn't 1–${rule.maxLength} characters`;
+            if (entryValue === null) continue;
+            const problem = checkField(rule.entry, entryValue);
+            if (problem) return `has "${key}", which ${problem}`;
+        }
+        return null;
+    }
+
+    function checkPoints(rule, points) {
+        if (!Array.isArray(points) || points.length < rule.minItems || points.length > rule.maxItems) {
+            return `must be a list of ${rule.minItems}–${rule.maxItems} points`;
+        }
+        const inRange = v => Number.isFinite(v) && v >= rule.min && v <= rule.max;
+        const bad = points.findIndex(p => !Array.isArray(p) || p.length !== 2 || !p.every(inRange));
+        return bad === -1 ? null : `point ${bad + 1} must be [x, y] with each from ${rule.min} to ${rule.max}`;
+    }
+
+    /**
+     * Check a section against its schema
+     * Invalid and unknown fields are dropped; null/undefined fields are
+     * treated as "not set".
+     * @returns {{ value: object, errors: Array<{ field: string, message: string }> }}
+     */
+    function validate(section, data) {
+        const schema = SECTION_SCHEMAS[section];
+        if (!schema) {
+            return { value: null, errors: [{ field: section, message: 'is not a known section' }] };
+        }
+        if (!data || typeof data !== 'object') {
+            return { value: null, errors: data == null ? [] : [{ field: section, message: 'must be an object' }] };
+        }
+
+        const value = {};
+        const errors = [];
+
+        Object.entries(data).forEach(([field, fieldValue]) => {
+            if (META_FIELDS.includes(field) || fieldValue === null || fieldValue === undefined) return;
+
+            const rule = schema[field];
+            if (!rule) {
+                errors.push({ field: `${section}.${field}`, message: 'is not a known field' });
+                return;
+            }
+
+            const problem = checkField(rule, fieldValue);
+            if (problem) {
+                errors.push({ field: `${section}.${field}`, message: problem });
+            } else {
+                value[field] = fieldValue;
+            }
+        });
+
+        META_FIELDS.forEach(field => {
+            if (typeof data[field] === 'number') value[field] = data[field];
+        });
+
+        return { value, errors };
+    }
+
+    /* ============================================
+       Migrations
+       MIGRATIONS[n] turns a version-n document into version n + 1
+       ============================================ */
+    function numberOrNull(value) {
+        const n = parseFloat(value);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    function migrateLegacyBattery(data) {
+        if (!data) return null;
+
+        const series = data.seriesCount || data.series || 1;
+        const parallel = data.parallelCount || data.parallel || 1;
+        const packInternalR = numberOrNull(data.packInternalR);
+
+        return {
+            mode: data.method === 'stoichiometry' ? 'stoichiometry' : 'commercial',
+            chemistry: data.chemistry || 'alkaline',
+            cellVoltage: numberOrNull(data.cellVoltage || data.voltage),
+            series,
+            parallel,
+            capacityMah: numberOrNull(data.cellCapacityMah || data.capacityMah),
+            internalR: packInternalR !== null ? packInternalR * parallel / series : numberOrNull(data.internalR),
+            motorCurrent: numberOrNull(data.motorCurrent),
+            packVoltage: numberOrNull(data.packVoltage),
+            packCapacityMah: numberOrNull(data.packCapacityMah || data.capacityMah),
+            packInternalR,
+            energyWh: numberOrNull(data.energyWh),
+            loadedResults: data.loadedResults,
+            runtime: data.runtime,
+            peukert: data.peukert,
+            discharge: data.discharge
+        };
+    }
+
+    function migrateLegacyMotor(data) {
+        if (!data) return null;
+
+        return {
+            preset: data.preset,
+            voltage: numberOrNull(data.voltage),
+            current: numberOrNull(data.current),
+            motorR: numberOrNull(data.motorR),
+            bField: numberOrNull(data.bField),
+            motorPower: numberOrNull(data.motorPower),
+            estimatedRPM: numberOrNull(data.estimatedRPM)
+        };
+    }
+
+    const MIGRATIONS = {
+        // 0 → 1: the three separate localStorage keys become one document
+        0(doc) {
+            const { battery, chemistryData, motor } = doc.legacy || {};
+            return {
+                version: 1,
+                updatedAt: doc.updatedAt,
+                battery: migrateLegacyBattery(battery || chemistryData),
+                motor: migrateLegacyMotor(motor),
+                car: null
+            };
+        },
+        // 1 → 2: the single configuration becomes the first named project
+        1(doc) {
+            const now = Date.now();
+            return {
+                version: 2,
+                updatedAt: doc.updatedAt || now,
+                activeProjectId: DEFAULT_PROJECT.id,
+                projects: [{
+                    ...DEFAULT_PROJECT,
+                    createdAt: doc.updatedAt || now,
+                    updatedAt: doc.updatedAt || now,
+                    battery: doc.battery,
+                    motor: doc.motor,
+                    car: doc.car,
+                    labs: null
+                }]
+            };
+        }
+    };
+
+    function migrate(doc) {
+        let current = doc;
+        while (current.version < SCHEMA_VERSION) {
+            const step = MIGRATIONS[current.version];
+            if (!step) {
+                console.warn(`ProjectState: no migration from version ${current.version}`);
+                return emptyDocument();
+            }
+            current = step(current);
+        }
+        return current;
+    }
+
+    /* ============================================
+       Documents & Projects
+       ============================================ */
+    function emptyProject(id, name) {
+        const now = Date.now();
+        const project = { id, name, createdAt: now, updatedAt: now };
+        SECTIONS.forEach(section => { project[section] = null; });
+        return project;
+    }
+
+    function emptyDocument() {
+        return {
+            version: SCHEMA_VERSION,
+            updatedAt: null,
+            activeProjectId: DEFAULT_PROJECT.id,
+            projects: [emptyProject(DEFAULT_PROJECT.id, DEFAULT_PROJECT.name)]
+        };
+    }
+
+    function newProjectId() {
+        return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    function cleanName(name, fallback) {
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        return trimmed || fallback;
+    }
+
+    function activeProject(doc) {
+        return doc.projects.find(p => p.id === doc.activeProjectId) || doc.projects[0];
+    }
+
+    /**
+     * Validate every project in a current-version document
+     * Fields that fail validation are dropped, so callers always get
+     * values inside the schema's ranges.
+     */
+    function normalize(raw) {
+        const doc = emptyDocument();
+        doc.updatedAt = typeof raw.updatedAt === 'number' ? raw.updatedAt : null;
+
+        const projects = Array.isArray(raw.projects) ? raw.projects : [];
+        const seen = new Set();
+        const valid = projects.filter(p => p && typeof p.id === 'string' && !seen.has(p.id) && seen.add(p.id));
+
+        if (valid.length) {
+            doc.projects = valid.map(p => {
+                const project = emptyProject(p.id, cleanName(p.name, 'Untitled Project'));
+                project.createdAt = typeof p.createdAt === 'number' ? p.createdAt : project.createdAt;
+                project.updatedAt = typeof p.updatedAt === 'number' ? p.updatedAt : project.updatedAt;
+
+                SECTIONS.forEach(section => {
+                    const { value, errors } = validate(section, p[section]);
+                    if (errors.length) {
+                        console.warn(`ProjectState: dropped invalid ${section} fields in "${project.name}"`, errors);
+                    }
+                    project[section] = value;
+                });
+                return project;
+            });
+            doc.activeProjectId = activeProject({ ...doc, activeProjectId: raw.activeProjectId }).id;
+        }
+
+        return doc;
+    }
+
+    /* ============================================
+       Storage
+       ============================================ */
+    function readJSON(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (e) {
+            console.warn(`ProjectState: ignoring unreadable ${key}`);
+            return null;
+        }
+    }
+
+    function load() {
+        const raw = readJSON(STORAGE_KEY);
+        if (!raw || typeof raw !== 'object' || !Number.isInteger(raw.version)) {
+            return emptyDocument();
+        }
+        if (raw.version > SCHEMA_VERSION) {
+            console.warn(`ProjectState: saved data is from a newer version (${raw.version})`);
+            return emptyDocument();
+        }
+
+        return normalize(migrate(raw));
+    }
+
+    function save(doc) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(doc));
+            return true;
+        } catch (e) {
+            console.error('ProjectState: failed to save', e);
+            return false;
+        }
+    }
+
+    /**
+     * Import the pre-versioned keys the first time a page loads after
+     * the upgrade, then remove them so they can't drift out of sync
+     */
+    function migrateLegacyKeys() {
+        if (localStorage.getItem(STORAGE_KEY) !== null) return;
+
+        const legacy = {};
+        let found = false;
+        Object.entries(LEGACY_KEYS).forEach(([name, key]) => {
+            const data = readJSON(key);
+            if (data) {
+                legacy[name] = data;
+                found = true;
+            }
+        });
+        if (!found) return;
+
+        const doc = normalize(migrate({ version: 0, legacy, updatedAt: Date.now() }));
+        if (save(doc)) {
+            Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+        }
+    }
+
+    /* ============================================
+       Change Events
+       ============================================ */
+    function emitChange(section, value, source = 'local', fields = null) {
+        window.dispatchEvent(new CustomEvent(CHANGE_EVENT, {
+            detail: { section, value, source, fields }
+        }));
+    }
+
+    /**
+     * Listen for changes to the project state
+     * source is 'local' for writes from this tab and 'remote' for writes
+     * from another tab; fields lists what changed (remote only).
+     * @param {function} callback - Called with ({ section, value, source, fields })
+     * @param {string} section - Optional: only report this section
+     * @returns {function} Call to stop listening
+     */
+    function onChange(callback, section = null) {
+        const handler = (e) => {
+            if (!section || e.detail.section === section || e.detail.section === null) {
+                callback(e.detail);
+            }
+        };
+        window.addEventListener(CHANGE_EVENT, handler);
+        return () => window.removeEventListener(CHANGE_EVENT, handler);
+    }
+
+    /* ============================================
+       Cross-Tab Sync
+       Other tabs' writes arrive as 'storage' events. Each write records
+       the version of the section its tab had seen (baseUpdatedAt); if
+       that is older than this tab's own last write, the other tab never
+       saw our edit, and any field we both changed is a conflict.
+       ============================================ */
+    let known = null;             // what this tab has seen: active project + its sections
+    let localEdits = {};          // section → { updatedAt, fields: { field: value } }
+    let conflicts = [];
+    let nextConflictId = 1;
+
+    function sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Fields (meta excluded) whose values differ between two versions of a section
+     */
+    function changedFields(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        return [...fields].filter(field =>
+            !META_FIELDS.includes(field) && !sameValue(before?.[field], after?.[field])
+        );
+    }
+
+    function summarizeProjects(doc) {
+        return doc.projects.map(p => ({
+            id: p.id,
+            name: p.name,
+            createdAt: p.createdAt,
+            updatedAt: p.updatedAt,
+            active: p.id === doc.activeProjectId
+        }));
+    }
+
+    function snapshot(doc) {
+        const project = activeProject(doc);
+        const sections = {};
+        SECTIONS.forEach(section => { sections[section] = project[section]; });
+        return {
+            projectId: project.id,
+            projects: doc.projects.map(p => ({ id: p.id, name: p.name })),
+            sections
+        };
+    }
+
+    /**
+     * Report every section that differs between two snapshots
+     * @returns {Array} [section, value, fields] for each changed section
+     */
+    function diffSections(before, after) {
+        return SECTIONS
+            .map(section => [section, after.sections[section], changedFields(before.sections[section], after.sections[section])])
+            .filter(([, , fields]) => fields.length);
+    }
+
+    function findConflicts(section, remote, fields) {
+        const edit = localEdits[section];
+        if (!edit || !remote || (remote.baseUpdatedAt || 0) >= edit.updatedAt) return [];
+
+        return fields
+            .filter(field => field in edit.fields && !sameValue(edit.fields[field], remote[field]))
+            .map(field => ({
+                id: nextConflictId++,
+                section,
+                field,
+                label: SECTION_SCHEMAS[section][field].label,
+                mine: edit.fields[field],
+                theirs: remote[field],
+                at: Date.now()
+            }));
+    }
+
+    function handleStorageEvent(e) {
+        if (e.key !== STORAGE_KEY && e.key !== null) return;
+
+        const previous = known;
+        const doc = load();
+        known = snapshot(doc);
+
+        // Another tab switched projects: nothing we edited applies any more
+        const switched = known.projectId !== previous.projectId;
+        if (switched) {
+            localEdits = {};
+            conflicts = [];
+        }
+
+        const found = [];
+        diffSections(previous, known).forEach(([section, value, fields]) => {
+            if (!switched) found.push(...findConflicts(section, value, fields));
+            emitChange(section, value, 'remote', fields);
+        });
+
+        if (switched || !sameValue(previous.projects, known.projects)) {
+            emitChange('projects', listProjects(), 'remote');
+        }
+
+        if (found.length) {
+            // A newer conflict on the same field replaces the older one
+            conflicts = conflicts
+                .filter(c => !found.some(f => f.section === c.section && f.field === c.field))
+                .concat(found);
+        }
+        if (found.length || switched) emitConflicts();
+    }
+
+    function emitConflicts() {
+        window.dispatchEvent(new CustomEvent(CONFLICT_EVENT, {
+            detail: { conflicts: getConflicts() }
+        }));
+    }
+
+    function getConflicts() {
+        return conflicts.map(c => ({ ...c }));
+    }
+
+    /**
+     * Settle a conflict: 'mine' writes this tab's value back (and so
+     * syncs it to the other tab), 'theirs' keeps the stored value
+     */
+    function resolveConflict(id, choice) {
+        const conflict = conflicts.find(c => c.id === id);
+        if (!conflict) return false;
+
+        conflicts = conflicts.filter(c => c.id !== id);
+        if (choice === 'mine') {
+            update(conflict.section, { [conflict.field]: conflict.mine });
+            emitChange(conflict.section, get(conflict.section), 'resolved', [conflict.field]);
+        }
+        emitConflicts();
+        return true;
+    }
+
+    /* ============================================
+       Sections of the Active Project
+       ============================================ */
+    function get(section) {
+        const value = activeProject(load())[section];
+        return value ? { ...value } : null;
+    }
+
+    function getAll() {
+        return load();
+    }
+
+    /**
+     * Replace a section of the active project
+     * Writes that change nothing are skipped, so tabs re-rendering from
+     * each other's updates don't echo them back and forth.
+     * @returns {{ ok: boolean, errors: Array }} errors lists dropped fields
+     */
+    function set(section, data) {
+        if (!SECTION_SCHEMAS[section]) {
+            return { ok: false, errors: [{ field: section, message: 'is not a known section' }] };
+        }
+
+        const { value, errors } = validate(section, data);
+        const doc = load();
+        const project = activeProject(doc);
+        const fields = changedFields(project[section], value);
+        if (!fields.length && Boolean(project[section]) === Boolean(value)) {
+            return { ok: true, errors };
+        }
+
+        const now = Date.now();
+        const base = known?.sections[section]?.updatedAt || 0;
+
+        project[section] = value ? { ...value, updatedAt: now, baseUpdatedAt: base } : null;
+        project.updatedAt = now;
+        doc.updatedAt = now;
+
+        const ok = save(doc);
+        if (ok) {
+            // Only this section counts as seen - other tabs' writes still
+            // pending in the event queue must be reported when they arrive
+            known.sections[section] = project[section];
+            localEdits[section] = {
+                updatedAt: now,
+                fields: Object.fromEntries(fields.map(field => [field, value ? value[field] : undefined]))
+            };
+            emitChange(section, project[section]);
+        }
+        return { ok, errors };
+    }
+
+    /**
+     * Merge fields into a section, keeping the ones not mentioned
+     */
+    function update(section, patch) {
+        return set(section, { ...(get(section) || {}), ...patch });
+    }
+
+    /**
+     * Clear one section of the active project, or with no argument
+     * delete every project
+     */
+    function clear(section = null) {
+        if (section) return set(section, null);
+
+        localStorage.removeItem(STORAGE_KEY);
+        known = snapshot(emptyDocument());
+        localEdits = {};
+        conflicts = [];
+        emitChange(null, null);
+        return { ok: true, errors: [] };
+    }
+
+    /* ============================================
+       Named Projects
+       ============================================ */
+    function listProjects() {
+        return summarizeProjects(load());
+    }
+
+    function getActiveProject() {
+        const project = activeProject(load());
+        return { id: project.id, name: project.name };
+    }
+
+    /**
+     * Save a change to the project list and tell this tab's pages about
+     * it; when the active project changed, each section that differs is
+     * reported with source 'switch' so the calculators reload.
+     */
+    function commitProjects(doc) {
+        doc.updatedAt = Date.now();
+        if (!save(doc)) return false;
+
+        const previous = known;
+        known = snapshot(doc);
+
+        if (known.projectId !== previous.projectId) {
+            localEdits = {};
+            conflicts = [];
+            emitConflicts();
+            diffSections(previous, known).forEach(([section, value, fields]) => {
+                emitChange(section, value, 'switch', fields);
+            });
+        }
+        emitChange('projects', summarizeProjects(doc));
+        return true;
+    }
+
+    function switchProject(id) {
+        const doc = load();
+        if (!doc.projects.some(p => p.id === id) || doc.activeProjectId === id) return false;
+
+        doc.activeProjectId = id;
+        return commitProjects(doc);
+    }
+
+    /**
+     * Start an empty project and make it active
+     * @returns {string|null} The new project's id
+     */
+    function createProject(name) {
+        const doc = load();
+        const project = emptyProject(newProjectId(), cleanName(name, `Project ${doc.projects.length + 1}`));
+
+        doc.projects.push(project);
+        doc.activeProjectId = project.id;
+        return commitProjects(doc) ? project.id : null;
+    }
+
+    /**
+     * Copy a project (all of its sections) and make the copy active
+     * @returns {string|null} The copy's id
+     */
+    function duplicateProject(id, name) {
+        const doc = load();
+        const source = doc.projects.find(p => p.id === id);
+        if (!source) return null;
+
+        const copy = emptyProject(newProjectId(), cleanName(name, `${source.name} (copy)`));
+        SECTIONS.forEach(section => { copy[section] = source[section] ? { ...source[section] } : null; });
+
+        doc.projects.splice(doc.projects.indexOf(source) + 1, 0, copy);
+        doc.activeProjectId = copy.id;
+        return commitProjects(doc) ? copy.id : null;
+    }
+
+    function renameProject(id, name) {
+        const doc = load();
+        const project = doc.projects.find(p => p.id === id);
+        const cleaned = cleanName(name, '');
+        if (!project || !cleaned) return false;
+
+        project.name = cleaned;
+        project.updatedAt = Date.now();
+        return commitProjects(doc);
+    }
+
+    /**
+     * Delete a project; the last remaining project can't be deleted.
+     * Deleting the active project switches to its neighbour.
+     */
+    function deleteProject(id) {
+        const doc = load();
+        const index = doc.projects.findIndex(p => p.id === id);
+        if (index === -1 || doc.projects.length === 1) return false;
+
+        doc.projects.splice(index, 1);
+        if (doc.activeProjectId === id) {
+            doc.activeProjectId = doc.projects[Math.min(index, doc.projects.length - 1)].id;
+        }
+        return commitProjects(doc);
+    }
+
+    /* ============================================
+       Project Files
+       A project exported for handing in: the student's inputs per
+       section, the calculated results kept apart from them, and the
+       unit of every measured field so a file can't be misread.
+       ============================================ */
+    function fileUnits() {
+        const units = {};
+        SECTIONS.forEach(section => {
+            Object.entries(SECTION_SCHEMAS[section]).forEach(([field, rule]) => {
+                if (rule.unit) (units[section] = units[section] || {})[field] = rule.unit;
+            });
+        });
+        return units;
+    }
+
+    /**
+     * Build the export file for a project (the active one by default)
+     * @returns {object|null} null if there is no such project
+     */
+    function exportProject(id = null) {
+        const doc = load();
+        const project = id ? doc.projects.find(p => p.id === id) : activeProject(doc);
+        if (!project) return null;
+
+        const inputs = {};
+        const results = {};
+        SECTIONS.forEach(section => {
+            const data = project[section];
+            if (!data) {
+                inputs[section] = null;
+                return;
+            }
+            Object.entries(data).forEach(([field, value]) => {
+                const rule = SECTION_SCHEMAS[section][field];
+                if (!rule) return; // meta fields
+                const target = rule.result ? results : inputs;
+                (target[section] = target[section] || {})[field] = value;
+            });
+            if (!inputs[section]) inputs[section] = {};
+        });
+
+        return {
+            format: FILE_FORMAT,
+            version: SCHEMA_VERSION,
+            appVersion: window.ChargedUP.APP_VERSION || null,
+            exportedAt: new Date().toISOString(),
+            name: project.name,
+            units: fileUnits(),
+            project: inputs,
+            results
+        };
+    }
+
+    /**
+     * Every unit in the file must be the one the schema uses - values
+     * are never converted, so a file in other units is refused
+     */
+    function checkUnits(units) {
+        if (units === undefined) return [{ field: 'units', message: 'is missing, so the values can\'t be read safely' }];
+        if (!units || typeof units !== 'object') return [{ field: 'units', message: 'must be an object' }];
+
+        const errors = [];
+        Object.entries(units).forEach(([section, fields]) => {
+            if (!SECTION_SCHEMAS[section]) {
+                errors.push({ field: `units.${section}`, message: 'is not a known section' });
+                return;
+            }
+            Object.entries(fields || {}).forEach(([field, unit]) => {
+                const expected = SECTION_SCHEMAS[section][field]?.unit;
+                if (!expected) {
+                    errors.push({ field: `${section}.${field}`, message: `has no unit, but the file gives "${unit}"` });
+                } else if (unit !== expected) {
+                    errors.push({ field: `${section}.${field}`, message: `unit "${unit}" is not supported (expected ${expected})` });
+                }
+            });
+        });
+        return errors;
+    }
+
+    /**
+     * Turn the sections of an older file into a document of that
+     * version, so the storage migrations bring it up to date
+     */
+    function documentFromFile(version, sections, name) {
+        if (version === 1) {
+            return { version, updatedAt: null, ...sections };
+        }
+        return {
+            version,
+            updatedAt: null,
+            activeProjectId: 'import',
+            projects: [{ id: 'import', name, ...sections }]
+        };
+    }
+
+    /**
+     * Check a project file and, if it is valid, add it as a new project
+     * and open it. Nothing is imported when any field has an error.
+     * @param {string|object} file - File contents or the parsed file
+     * @returns {{ ok: boolean, errors: Array<{ field: string, message: string }>, id?: string }}
+     */
+    function importProject(file) {
+        let data = file;
+        if (typeof file === 'string') {
+            try {
+                data = JSON.parse(file);
+            } catch (e) {
+                return { ok: false, errors: [{ field: 'file', message: 'is not valid JSON' }] };
+            }
+        }
+
+        if (!data || typeof data !== 'object' || data.format !== FILE_FORMAT) {
+            return { ok: false, errors: [{ field: 'format', message: 'is not a ChargedUP project file' }] };
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return { ok: false, errors: [{ field: 'version', message: 'must be a whole number from 1 up' }] };
+        }
+        if (data.version > SCHEMA_VERSION) {
+            return {
+                ok: false,
+                errors: [{ field: 'version', message: `is ${data.version}, from a newer ChargedUP (this one reads up to ${SCHEMA_VERSION})` }]
+            };
+        }
+
+        const errors = checkUnits(data.units);
+        const inputs = data.project && typeof data.project === 'object' ? data.project : null;
+        const results = data.results && typeof data.results === 'object' ? data.results : {};
+        if (!inputs) errors.push({ field: 'project', message: 'must be an object' });
+
+        const sections = {};
+        [inputs || {}, results].forEach(part => {
+            Object.keys(part).forEach(section => {
+                if (!SECTION_SCHEMAS[section]) {
+                    errors.push({ field: section, message: 'is not a known section' });
+                }
+            });
+        });
+        SECTIONS.forEach(section => {
+            const merged = inputs?.[section] || results[section]
+                ? { ...(inputs?.[section] || {}), ...(results[section] || {}) }
+                : null;
+            const { value, errors: fieldErrors } = validate(section, merged);
+            errors.push(...fieldErrors);
+            sections[section] = value;
+        });
+
+        if (errors.length) return { ok: false, errors };
+
+        const name = cleanName(data.name, 'Imported Project');
+        const imported = activeProject(normalize(migrate(documentFromFile(data.version, sections, name))));
+
+        // A fresh project: the file's sections, none of its bookkeeping
+        const doc = load();
+        const project = emptyProject(newProjectId(), name);
+        SECTIONS.forEach(section => {
+            const value = imported[section];
+            if (!value) return;
+            project[section] = { ...value };
+            META_FIELDS.forEach(field => { delete project[section][field]; });
+        });
+
+        doc.projects.push(project);
+        doc.activeProjectId = project.id;
+        if (!commitProjects(doc)) {
+            return { ok: false, errors: [{ field: 'file', message: 'could not be saved' }] };
+        }
+        return { ok: true, errors: [], id: project.id };
+    }
+
+    migrateLegacyKeys();
+    known = snapshot(load());
+    window.addEventListener('storage', handleStorageEvent);
+
+    window.ChargedUP.ProjectState = {
+        get,
+        getAll,
+        set,
+        update,
+        clear,
+        validate,
+        onChange,
+        getConflicts,
+        resolveConflict,
+        listProjects,
+        getActiveProject,
+        switchProject,
+        createProject,
+        duplicateProject,
+        renameProject,
+        deleteProject,
+        exportProject,
+        importProject,
+        getFieldLabel: (section, field) => SECTION_SCHEMAS[section]?.[field]?.label || field,
+        SCHEMA_VERSION,
+        SECTIONS,
+        CHANGE_EVENT,
+        CONFLICT_EVENT
+    };
+
+})();
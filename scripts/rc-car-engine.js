@@ -0,0 +1,1173 @@
+/* ============================================
+   ChargedUP: RC Car Physics Engine
+   The car's drivetrain, battery drain and motion with no DOM or
+   canvas, so runs can be scripted in the browser or in Node
+   ============================================ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./chemistry.js'), require('./physics.js'), require('./rc-track.js'),
+            require('./rc-controllers.js'));
+    } else {
+        root.ChargedUP = root.ChargedUP || {};
+        Object.assign(root.ChargedUP, factory(root.ChargedUP, root.ChargedUP, root.ChargedUP, root.ChargedUP));
+    }
+}(typeof window !== 'undefined' ? window : this, function (chemistry, physics, tracks, controllers) {
+    'use strict';
+
+    const { BatteryCalculator, BATTERY_PRESETS, CHEMISTRIES } = chemistry;
+    const { DCMotorModel, MOTOR_PRESETS } = physics;
+    const { RCTrack } = tracks;
+    const { CONTROLLERS, PIDController, compileThrottleScript } = controllers;
+
+    /* ============================================
+       Constants
+       ============================================ */
+    // Physics runs in fixed steps, so a run depends only on its inputs
+    const PHYSICS_DT = 0.01; // s (100 steps per second)
+
+    const INTEGRATORS = {
+        euler: 'Explicit Euler',
+        'semi-implicit': 'Semi-implicit Euler',
+        rk4: 'Runge-Kutta (RK4)'
+    };
+
+    const GRAVITY = 9.81; // m/s²
+
+    // Tyres scale the grip the surface's μ gives for cornering and braking
+    // (rolling friction stays μ × m × g); standard rubber is the baseline
+    const TYRE_PRESETS = {
+        standard: { name: 'Standard rubber', grip: 1 },
+        slick: { name: 'Soft slicks', grip: 1.3 },
+        foam: { name: 'Foam', grip: 1.15 },
+        knobby: { name: 'Knobby off-road', grip: 0.85 },
+        plastic: { name: 'Hard plastic', grip: 0.5 }
+    };
+
+    // Cornering: grip allows v²κ up to μ × g sideways (κ = 1/r)
+    const CORNER_MARGIN = 0.9;  // the driver aims to use 90% of the grip in a corner
+    const BRAKE_MARGIN = 0.8;   // ...and counts on 80% of it for braking beforehand
+    const CONTROL_BAND = 0.1;   // m/s - eases off within this of the target speed
+    const SPIN_PENALTY = 2;     // s stopped after sliding off
+
+    // The top speed only counts as still rising by more than this
+    const TOP_SPEED_STEP = 0.0001; // m/s
+
+    // Eco mode looks for its most efficient speed in these steps, and
+    // looks again after this long as the pack drains
+    const ECO_SPEED_STEP = 0.01;  // m/s
+    const ECO_REFRESH = 1;        // s
+
+    const RC_CAR_DEFAULTS = {
+        mass: 0.5,           // kg (500g car)
+        wheelRadius: 0.02,   // m (2cm)
+        pinionTeeth: 12,     // gear on the motor shaft...
+        spurTeeth: 96,       // ...driving the gear on the axle
+        gearRatio: 8,        // motor turns per wheel turn (spur ÷ pinion, see setGearing)
+        drivetrainEfficiency: 0.85, // gear mesh + bearings
+        tyre: 'standard',    // key of TYRE_PRESETS
+        frictionCoeff: 0.3,
+        airResistance: 0.05,
+        batteryPreset: '4aa-alkaline',
+        motorPreset: 'small-dc-motor',
+        startCharge: 100,    // percent
+        integrator: 'rk4',   // key of INTEGRATORS
+        cornerBraking: true, // lift and brake for corners (false: hold the throttle and risk sliding off)
+        regenBraking: false, // brake with the motor as a generator, charging the pack (rechargeable packs only)
+        reverse: false,      // drive backwards
+        brake: 0,            // 0-1, the driver's brake input
+        controller: 'constant', // key of CONTROLLERS (rc-controllers.js)
+        targetSpeed: 0.8,    // m/s, for cruise control
+        kp: 2,               // PID gains: throttle per m/s of speed error...
+        ki: 1,               // ...per m of accumulated error
+        kd: 0,               // ...per m/s² of change in error
+        script: '0: 100, 10: 60, 30: 40', // throttle script (see compileThrottleScript)
+        throttle: 0           // 0-1 (PWM duty cycle), for constant throttle
+    };
+
+    // A speed that would pass through zero within a step stops there
+    // instead: friction and brakes halt a car, they don't reverse it
+    function settle(before, after) {
+        return before !== 0 && Math.sign(after) !== Math.sign(before) ? 0 : after;
+    }
+
+    function clampSoc(soc) {
+        return Math.min(1, Math.max(0, soc));
+    }
+
+    /* ============================================
+       RC Car Engine Class
+       ============================================ */
+    class RCCarEngine {
+        /**
+         * @param {Object} params - Overrides for RC_CAR_DEFAULTS
+         */
+        constructor(params = {}) {
+            this.params = { ...RC_CAR_DEFAULTS, ...params };
+            this.track = new RCTrack(); // rc-track.js
+            this.pid = new PIDController(); // rc-controllers.js
+
+            // Battery pack and motor models (chemistry.js / physics.js)
+            this.batteryModel = new BatteryCalculator();
+            this.battery = null;
+            this.motor = null;
+            this.setBatteryPreset(this.params.batteryPreset) || this.setBatteryPreset(RC_CAR_DEFAULTS.batteryPreset);
+            this.setMotorPreset(this.params.motorPreset) || this.setMotorPreset(RC_CAR_DEFAULTS.motorPreset);
+
+            // reset() stops the car; a throttle or brake passed in here still applies
+            this.reset();
+            if (params.throttle !== undefined) this.params.throttle = params.throttle;
+            if (params.brake !== undefined) this.params.brake = params.brake;
+        }
+
+        /* ============================================
+           Battery, Motor & Track
+           ============================================ */
+        /**
+         * Use a battery pack
+         * @param {Object} pack - { type, cellVoltage, series, parallel,
+         *   capacityMah (per cell), internalR (per cell) }
+         * @param {string} key - What to call it in params.batteryPreset
+         */
+        setBattery(pack, key = 'custom') {
+            this.params.batteryPreset = key;
+            this.battery = { ...pack };
+        }
+
+        /**
+         * Use one of the BATTERY_PRESETS packs
+         * @returns {boolean} false if there is no such preset
+         */
+        setBatteryPreset(key) {
+            const preset = BATTERY_PRESETS[key];
+            if (!preset || !preset.capacityMah) return false;
+
+            this.setBattery({
+                type: preset.type,
+                cellVoltage: preset.voltage,
+                series: preset.series,
+                parallel: preset.parallel,
+                capacityMah: preset.capacityMah, // per cell
+                internalR: preset.internalR * preset.parallel / preset.series // preset stores the pack value
+            }, key);
+            return true;
+        }
+
+        /**
+         * Use a motor
+         * @param {Object} preset - A MOTOR_PRESETS entry (rotating motors only)
+         * @param {number} armatureR - Armature resistance in Ω (default: the preset's)
+         * @param {string} key - What to call it in params.motorPreset
+         */
+        setMotor(preset, armatureR = preset.armatureR, key = 'custom') {
+            this.params.motorPreset = key;
+            this.motor = new DCMotorModel(preset, armatureR);
+        }
+
+        /**
+         * Use one of the MOTOR_PRESETS motors
+         * @returns {boolean} false if there is no such rotating motor
+         */
+        setMotorPreset(key) {
+            const preset = MOTOR_PRESETS[key];
+            if (!preset || !preset.noLoadRPM) return false;
+
+            this.setMotor(preset, preset.armatureR, key);
+            return true;
+        }
+
+        /**
+         * Gear the motor to the wheels: the pinion on the motor shaft turns
+         * the spur gear on the axle, so G = spur teeth ÷ pinion teeth
+         * @returns {boolean} false unless both are whole numbers of teeth
+         */
+        setGearing(pinionTeeth, spurTeeth) {
+            if (!(Number.isInteger(pinionTeeth) && pinionTeeth > 0 && Number.isInteger(spurTeeth) && spurTeeth > 0)) {
+                return false;
+            }
+            this.params.pinionTeeth = pinionTeeth;
+            this.params.spurTeeth = spurTeeth;
+            this.params.gearRatio = spurTeeth / pinionTeeth;
+            return true;
+        }
+
+        /**
+         * What the gearing trades off at the present charge, at full
+         * throttle on the flat:
+         *   topSpeed - where the back-EMF reaches the pack's voltage, before
+         *     friction and drag: v = V_oc / Kₑ / G × r (m/s)
+         *   launchForce - tyre force from a standstill, with the stall
+         *     current I = V_oc / (R_a + R_int): F = τ × G × η / r (N)
+         *   gripForce - the most the tyres hold, μ_grip × m × g (N)
+         * A higher ratio pushes harder off the line but tops out sooner.
+         */
+        gearingSummary() {
+            const p = this.params;
+            const b = this.battery;
+            const motor = this.motor;
+            const soc = this.state.soc;
+            const openCircuitVoltage = this.batteryModel.getOpenCircuitVoltage(b.type, soc, b.cellVoltage) * b.series;
+            const packR = this.batteryModel.getInternalResistance(b.type, soc, b.internalR * b.series / b.parallel);
+
+            const stallCurrent = openCircuitVoltage / (motor.R + packR);
+            const stallTorque = Math.max(0, motor.Kt * stallCurrent - motor.frictionTorque);
+            return {
+                gearRatio: p.gearRatio,
+                topSpeed: openCircuitVoltage / motor.Ke / p.gearRatio * p.wheelRadius,
+                launchForce: stallTorque * p.gearRatio * p.drivetrainEfficiency / p.wheelRadius,
+                gripForce: this.gripLimit() * p.mass
+            };
+        }
+
+        /**
+         * Drive a different track (an RCTrack); the car keeps its place
+         * as a distance along the lap
+         */
+        setTrack(track) {
+            this.track = track;
+            this.state.position = ((this.state.position % track.length) + track.length) % track.length;
+        }
+
+        /* ============================================
+           Physics Calculations
+           ============================================ */
+        isBatteryDead() {
+            return this.state.soc <= 0;
+        }
+
+        /**
+         * Whether the pack can take charge back: only rechargeable
+         * chemistries (charging alkaline cells can make them leak or burst)
+         */
+        canRegenerate() {
+            return Boolean(CHEMISTRIES[this.battery.type]?.rechargeable);
+        }
+
+        /**
+         * Electrical operating point of the drivetrain at a given speed
+         * (m/s, negative going backwards) and state of charge (the car's
+         * current ones by default).
+         *
+         * Driving, the speed controller is treated as an averaging PWM
+         * switch: the motor sees ±d × V_battery and the pack supplies
+         * d × I_motor, so
+         *   I_motor = (d × V_oc - Kₑ × ω_motor) / (R_a + d² × R_int)
+         *
+         * Braking with regeneration, the motor is a generator: its back-EMF
+         * E = Kₑ × ω drives a current I against the motion (as much as the
+         * braking asks for, up to E / 2R_a, where the most power comes out),
+         * and P = (E - I × R_a) × I reaches the pack, which charges at
+         * I_charge with (V_oc + I_charge × R_int) × I_charge = P.
+         */
+        solveDrivetrain(velocity = this.state.velocity, soc = this.state.soc) {
+            const b = this.battery;
+            const motor = this.motor;
+            const p = this.params;
+            const direction = this.state.direction;
+            const duty = soc <= 0 ? 0 : this.state.drive;
+
+            const openCircuitVoltage = this.batteryModel.getOpenCircuitVoltage(b.type, soc, b.cellVoltage) * b.series;
+            const packR = this.batteryModel.getInternalResistance(b.type, soc, b.internalR * b.series / b.parallel);
+
+            // Wheel speed → motor speed through the gears
+            const omega = (velocity / p.wheelRadius) * p.gearRatio;
+            const backEmf = motor.Ke * omega;
+            const motorRpm = omega * 60 / (2 * Math.PI);
+
+            if (this.isRegenerating(velocity)) {
+                const emf = Math.abs(backEmf);
+                const wanted = this.state.brake * this.gripLimit() * p.mass * p.wheelRadius * p.drivetrainEfficiency /
+                    (p.gearRatio * motor.Kt);
+                const motorCurrent = Math.min(wanted, emf / (2 * motor.R));
+                const generated = (emf - motorCurrent * motor.R) * motorCurrent;
+                const chargeCurrent = packR > 0
+                    ? (Math.sqrt(openCircuitVoltage * openCircuitVoltage + 4 * packR * generated) - openCircuitVoltage) / (2 * packR)
+                    : generated / openCircuitVoltage;
+                const terminalVoltage = openCircuitVoltage + chargeCurrent * packR;
+                // Torque at the motor takes the gear losses on its way back from the wheels
+                const motorTorque = -Math.sign(velocity) * motor.Kt * motorCurrent;
+
+                return {
+                    duty: 0,
+                    regenerating: true,
+                    openCircuitVoltage,
+                    packR,
+                    terminalVoltage,
+                    batteryCurrent: -chargeCurrent,
+                    motorCurrent,
+                    backEmf,
+                    motorRpm,
+                    motorTorque,
+                    force: motorTorque * p.gearRatio / (p.drivetrainEfficiency * p.wheelRadius),
+                    power: -terminalVoltage * chargeCurrent
+                };
+            }
+
+            // Back-EMF above d × V_oc means no drive current (no regeneration while driving)
+            const motorCurrent = duty > 0
+                ? Math.max(0, (duty * openCircuitVoltage - direction * backEmf) / (motor.R + duty * duty * packR))
+                : 0;
+            const batteryCurrent = duty * motorCurrent;
+            const terminalVoltage = openCircuitVoltage - batteryCurrent * packR;
+
+            // Shaft torque → force at the tyre, in the direction of drive
+            const motorTorque = direction * Math.max(0, motor.Kt * motorCurrent - motor.frictionTorque);
+            const force = motorTorque * p.gearRatio * p.drivetrainEfficiency / p.wheelRadius;
+
+            return {
+                duty,
+                regenerating: false,
+                openCircuitVoltage,
+                packR,
+                terminalVoltage,
+                batteryCurrent,
+                motorCurrent,
+                backEmf,
+                motorRpm,
+                motorTorque,
+                force,
+                power: terminalVoltage * batteryCurrent
+            };
+        }
+
+        /**
+         * Braking through the motor this step? Needs the option on, a
+         * rechargeable pack, the brake on with the throttle off, and the
+         * wheels turning
+         */
+        isRegenerating(velocity = this.state.velocity) {
+            return this.params.regenBraking && this.state.brake > 0 && this.state.drive === 0 &&
+                velocity !== 0 && this.canRegenerate();
+        }
+
+        calculateMotorForce(velocity = this.state.velocity, soc = this.state.soc) {
+            // F_motor = τ × G × η / r, with τ from the motor model
+            return this.solveDrivetrain(velocity, soc).force;
+        }
+
+        calculateFriction(velocity = this.state.velocity) {
+            // f = μ × N = μ × m × g
+            const normalForce = this.params.mass * 9.81;
+            const friction = this.params.frictionCoeff * normalForce;
+            // Friction opposes motion
+            return -Math.sign(velocity) * friction;
+        }
+
+        /**
+         * Friction brakes: up to μ × m × g at full brake, opposing motion,
+         * less whatever the motor is already providing by regenerating
+         * @param {number} regenForce - Braking force from the motor (N, ≥ 0)
+         */
+        calculateBrakeForce(velocity = this.state.velocity, brake = this.state.brake, regenForce = 0) {
+            return -Math.sign(velocity) * Math.max(0, brake * this.gripLimit() * this.params.mass - regenForce);
+        }
+
+        calculateAirResistance(velocity = this.state.velocity) {
+            // F_air = -k × v²
+            const airDrag = this.params.airResistance * velocity * Math.abs(velocity);
+            return -airDrag;
+        }
+
+        calculateAcceleration(velocity = this.state.velocity, soc = this.state.soc) {
+            return this.derivatives(velocity, soc).acceleration;
+        }
+
+        /**
+         * Rates of change of the car's state at a given speed and charge
+         * - what each integrator samples
+         */
+        derivatives(velocity, soc) {
+            const drive = this.solveDrivetrain(velocity, soc);
+            const brakeForce = this.calculateBrakeForce(velocity, this.state.brake,
+                drive.regenerating ? Math.abs(drive.force) : 0);
+
+            // F_net = F_motor + F_friction + F_air + F_brake, a = F / m
+            const netForce = drive.force + this.calculateFriction(velocity) + this.calculateAirResistance(velocity) +
+                brakeForce;
+
+            // Coulomb counting: dQ/dt = I (1 mAh = 3.6 C); charging runs it backwards
+            const mahPerSecond = drive.batteryCurrent / 3.6;
+            const packCapacityMah = this.battery.capacityMah * this.battery.parallel;
+            // Energy drawn from the cells = V_oc × I (includes I²R heat in the pack),
+            // and stored back in them when I is negative
+            const cellPower = drive.openCircuitVoltage * drive.batteryCurrent;
+
+            return {
+                drive,
+                brakeForce,
+                velocity,
+                acceleration: netForce / this.params.mass,
+                mahPerSecond,
+                socRate: -mahPerSecond / packCapacityMah,
+                powerDrawn: Math.max(0, cellPower),
+                powerReturned: Math.max(0, -cellPower)
+            };
+        }
+
+        /* ============================================
+           Throttle Controllers
+           ============================================ */
+        /**
+         * What the chosen controller asks for this step: { throttle (0-1),
+         * setpoint (m/s it's aiming for, or null when it sets the
+         * throttle directly) }
+         */
+        controllerOutput(dt) {
+            const controller = this.params.controller;
+            if (controller === 'cruise') return this.holdSpeed(this.params.targetSpeed, dt);
+            if (controller === 'eco') return this.holdSpeed(this.ecoSpeed(), dt);
+            if (controller === 'script') return { throttle: this.scriptThrottle(), setpoint: null };
+            return { throttle: this.params.throttle, setpoint: null };
+        }
+
+        /**
+         * PID cruise control on the speed error, with the car's own gains
+         */
+        holdSpeed(setpoint, dt) {
+            const { kp, ki, kd } = this.params;
+            const throttle = this.pid.update(setpoint - this.speedAhead(), dt, { kp, ki, kd });
+            return { throttle, setpoint };
+        }
+
+        /**
+         * The steady speed that takes the least energy per metre at the
+         * present charge. Holding speed v needs a tyre force
+         * F = μmg + kv² to match friction and drag, so a motor current
+         * I = (τ_friction + F × r / (G × η)) / Kₜ, and a duty d with
+         *   d × V_oc − d² × R_int × I = Kₑ × ω + I × R_a
+         * The pack then gives d × V_oc × I, and the energy per metre is
+         * that over v.
+         * @returns {number} m/s (0 if the car can't move)
+         */
+        efficientSpeed() {
+            const p = this.params;
+            const b = this.battery;
+            const motor = this.motor;
+            const soc = Math.max(0, this.state.soc);
+            const openCircuitVoltage = this.batteryModel.getOpenCircuitVoltage(b.type, soc, b.cellVoltage) * b.series;
+            const packR = this.batteryModel.getInternalResistance(b.type, soc, b.internalR * b.series / b.parallel);
+
+            let best = { speed: 0, energyPerMetre: Infinity };
+            for (let v = ECO_SPEED_STEP; ; v += ECO_SPEED_STEP) {
+                const force = p.frictionCoeff * p.mass * GRAVITY + p.airResistance * v * v;
+                const current = (motor.frictionTorque + force * p.wheelRadius / (p.gearRatio * p.drivetrainEfficiency)) / motor.Kt;
+                const motorVoltage = motor.Ke * (v / p.wheelRadius) * p.gearRatio + current * motor.R;
+                // Smaller root of R_int × I × d² − V_oc × d + motorVoltage = 0
+                const a = packR * current;
+                const discriminant = openCircuitVoltage * openCircuitVoltage - 4 * a * motorVoltage;
+                const duty = a > 0 ? (openCircuitVoltage - Math.sqrt(discriminant)) / (2 * a) : motorVoltage / openCircuitVoltage;
+                if (!(discriminant >= 0 && duty <= 1)) break; // faster than the car can go
+
+                const energyPerMetre = duty * openCircuitVoltage * current / v;
+                if (energyPerMetre < best.energyPerMetre) best = { speed: v, energyPerMetre };
+            }
+            return best.speed;
+        }
+
+        /**
+         * Eco mode's target: efficientSpeed(), worked out again every
+         * ECO_REFRESH s of the run as the pack drains
+         */
+        ecoSpeed() {
+            if (!this.eco || this.state.elapsed - this.eco.time >= ECO_REFRESH) {
+                this.eco = { time: this.state.elapsed, speed: this.efficientSpeed() };
+            }
+            return this.eco.speed;
+        }
+
+        /**
+         * The throttle script's throttle (0-1) at this moment - none while
+         * the script has errors
+         */
+        scriptThrottle() {
+            if (!this.script || this.script.source !== this.params.script) {
+                this.script = { source: this.params.script, ...compileThrottleScript(this.params.script) };
+            }
+            if (!this.script.throttleAt) return 0;
+            return this.script.throttleAt({
+                t: this.state.elapsed,
+                v: this.state.velocity,
+                d: this.distanceTravelled(),
+                lap: this.state.lapCount,
+                charge: this.state.batteryCharge
+            }) / 100;
+        }
+
+        /* ============================================
+           Cornering
+           ============================================ */
+        /**
+         * Most sideways acceleration the tyres can hold (m/s²): the
+         * surface's μ scaled by the tyres' grip
+         */
+        gripLimit() {
+            const tyre = TYRE_PRESETS[this.params.tyre] || TYRE_PRESETS.standard;
+            return this.params.frictionCoeff * tyre.grip * GRAVITY;
+        }
+
+        /**
+         * The speed the driver aims to be under at a point on the lap:
+         * slow enough for the bend, or to brake in time for the next one
+         */
+        cornerSpeedAt(position) {
+            const limit = this.gripLimit();
+            const profile = this.speedProfile;
+            if (!profile || profile.track !== this.track || profile.limit !== limit) {
+                this.speedProfile = {
+                    track: this.track,
+                    limit,
+                    speeds: this.track.speedProfile(CORNER_MARGIN * limit, BRAKE_MARGIN * limit)
+                };
+            }
+            return this.speedProfile.speeds[this.track.indexAt(position)];
+        }
+
+        /**
+         * Speed in the direction the car is set to drive (m/s; negative
+         * while still rolling the other way)
+         */
+        speedAhead() {
+            return this.state.velocity * this.state.direction;
+        }
+
+        /**
+         * What the driver does this step: { throttle, brake }, each 0-1,
+         * starting from the controller's throttle. The brake pedal takes
+         * over from the throttle, and a car rolling against the chosen
+         * direction is braked to a stop before it drives off. With corner
+         * braking on they lift off as the car nears the target speed and
+         * brake above it; after sliding off they wait.
+         */
+        driverControl(dt = PHYSICS_DT) {
+            this.state.direction = this.params.reverse ? -1 : 1;
+            if (this.state.recovery > 0) {
+                this.state.setpoint = null;
+                return { throttle: 0, brake: 0 };
+            }
+
+            const { throttle, setpoint } = this.controllerOutput(dt);
+            this.state.setpoint = setpoint;
+            if (this.params.brake > 0) return { throttle: 0, brake: Math.min(1, this.params.brake) };
+            if (this.speedAhead() < 0) return { throttle: 0, brake: throttle };
+            // Corner speeds are for driving forwards
+            if (!this.params.cornerBraking || this.params.reverse) return { throttle, brake: 0 };
+
+            const over = this.state.velocity - this.cornerSpeedAt(this.state.position);
+            if (over > 0) return { throttle: 0, brake: Math.min(1, over / CONTROL_BAND) };
+            return { throttle: throttle * Math.min(1, -over / CONTROL_BAND), brake: 0 };
+        }
+
+        /**
+         * Advance the state by dt with the chosen integration method
+         * @returns {Object} Changes in distance, velocity, soc, charge and
+         *   energy (used and recovered), and the derivatives at the start
+         *   of the step
+         */
+        integrate(dt) {
+            const v = this.state.velocity;
+            const soc = this.state.soc;
+            const k1 = this.derivatives(v, soc);
+
+            if (this.params.integrator === 'euler') {
+                // Everything from the rates at the start of the step
+                return {
+                    start: k1,
+                    distance: v * dt,
+                    velocity: k1.acceleration * dt,
+                    soc: k1.socRate * dt,
+                    mah: k1.mahPerSecond * dt,
+                    energy: k1.powerDrawn * dt,
+                    recovered: k1.powerReturned * dt
+                };
+            }
+
+            if (this.params.integrator === 'semi-implicit') {
+                // New velocity first, then move at that velocity
+                const dv = k1.acceleration * dt;
+                return {
+                    start: k1,
+                    distance: settle(v, v + dv) * dt,
+                    velocity: dv,
+                    soc: k1.socRate * dt,
+                    mah: k1.mahPerSecond * dt,
+                    energy: k1.powerDrawn * dt,
+                    recovered: k1.powerReturned * dt
+                };
+            }
+
+            // Classic fourth-order Runge-Kutta
+            const at = (k, h) => this.derivatives(settle(v, v + k.acceleration * h), clampSoc(soc + k.socRate * h));
+            const k2 = at(k1, dt / 2);
+            const k3 = at(k2, dt / 2);
+            const k4 = at(k3, dt);
+            const blend = (key) => (k1[key] + 2 * k2[key] + 2 * k3[key] + k4[key]) * dt / 6;
+
+            return {
+                start: k1,
+                distance: blend('velocity'),
+                velocity: blend('acceleration'),
+                soc: blend('socRate'),
+                mah: blend('mahPerSecond'),
+                energy: blend('powerDrawn'),
+                recovered: blend('powerReturned')
+            };
+        }
+
+
+        /**
+         * Advance one fixed step (PHYSICS_DT by default)
+         * @returns {{ drive: Object, resistance: number }} Drivetrain operating
+         *   point and friction + drag (N) at the start of the step
+         */
+        step(dt = PHYSICS_DT) {
+            // A flat pack cuts the motor off until the next reset
+            if (this.isBatteryDead()) this.state.cutoff = true;
+
+            const control = this.driverControl(dt);
+            if (this.state.cutoff) control.throttle = 0;
+            this.state.drive = control.throttle;
+            this.state.brake = control.brake;
+
+            const step = this.integrate(dt);
+            const resistance = -(this.calculateFriction() + this.calculateAirResistance() + step.start.brakeForce);
+
+            this.state.acceleration = step.start.acceleration;
+            this.state.velocity = settle(this.state.velocity, this.state.velocity + step.velocity);
+
+            // Check for lap completion, timing the line crossing within the step
+            const before = this.state.position;
+            this.state.position += step.distance;
+            if (this.state.position >= this.track.length && this.state.lapsBehind > 0) {
+                // Back over the line it reversed behind: no lap yet
+                this.state.position -= this.track.length;
+                this.state.lapsBehind--;
+                this.state.lapTime += dt;
+            } else if (this.state.position >= this.track.length) {
+                const crossing = step.distance > 0 ? (this.track.length - before) / step.distance : 1;
+                const lapTime = this.state.lapTime + crossing * dt;
+
+                this.state.position -= this.track.length;
+                this.state.lapCount++;
+                // A lap that went back over the line doesn't count as a best
+                if (this.state.cleanLap && lapTime < this.state.bestLapTime) {
+                    this.state.bestLapTime = lapTime;
+                }
+                this.state.cleanLap = true;
+                this.state.lapTime = (1 - crossing) * dt;
+            } else if (this.state.position < 0) {
+                // Backed over the start line: the last lap is undone, or
+                // before the first one the car is behind where it started
+                this.state.position += this.track.length;
+                if (this.state.lapCount > 0) this.state.lapCount--;
+                else this.state.lapsBehind++;
+                this.state.cleanLap = false;
+                this.state.lapTime += dt;
+            } else {
+                this.state.lapTime += dt;
+            }
+
+            // Fastest so far, and how far the car had gone when it last rose
+            if (this.state.velocity > this.state.topSpeed + TOP_SPEED_STEP) {
+                this.state.topSpeed = this.state.velocity;
+                this.state.topSpeedDistance = this.distanceTravelled();
+            }
+
+            // Cornering: centripetal acceleration v²κ beyond the grip slides the car off
+            const curvature = this.track.pointAt(this.state.position).curvature;
+            this.state.lateralAccel = this.state.velocity * this.state.velocity * Math.abs(curvature);
+            this.state.recovery = Math.max(0, this.state.recovery - dt);
+            if (this.state.lateralAccel > this.gripLimit()) {
+                this.state.spins++;
+                this.state.velocity = 0;
+                this.state.recovery = SPIN_PENALTY;
+            }
+
+            // Battery drain (or charge, regenerating)
+            this.state.soc = clampSoc(this.state.soc + step.soc);
+            this.state.batteryCharge = this.state.soc * 100;
+            this.state.deliveredMah += step.mah;
+            this.state.totalEnergy += step.energy;
+            this.state.energyRecovered += step.recovered;
+
+            this.state.steps++;
+            this.state.elapsed = this.state.steps * dt;
+
+            return { drive: step.start.drive, resistance };
+        }
+
+        /**
+         * Step until condition(state, engine) is true or maxTime (s of
+         * simulated time) has passed. The condition sees the live state -
+         * it is checked every step, so it gets no copy.
+         * @example engine.runUntil(s => s.lapCount >= 3)
+         * @returns {{ reached: boolean, state: Object }}
+         */
+        runUntil(condition, { maxTime = 3600 } = {}) {
+            while (!condition(this.state, this)) {
+                if (this.state.elapsed >= maxTime) {
+                    return { reached: false, state: this.getState() };
+                }
+                this.step();
+            }
+            return { reached: true, state: this.getState() };
+        }
+
+        /**
+         * How far round the course the car has got (m); never below 0, even
+         * behind the start line
+         */
+        distanceTravelled() {
+            return Math.max(0, (this.state.lapCount - this.state.lapsBehind) * this.track.length + this.state.position);
+        }
+
+        /**
+         * A copy of the state, plus total distance and the drivetrain
+         * operating point
+         */
+        getState() {
+            const drive = this.solveDrivetrain();
+            return {
+                ...this.state,
+                distance: this.distanceTravelled(),
+                throttle: this.params.throttle,
+                force: drive.force,
+                power: drive.power,
+                batteryCurrent: drive.batteryCurrent,
+                motorRpm: drive.motorRpm
+            };
+        }
+
+        /**
+         * A stopped car with the same settings, battery and motor
+         */
+        copy() {
+            const engine = new RCCarEngine();
+            engine.params = { ...this.params };
+            engine.battery = { ...this.battery };
+            engine.motor = this.motor; // the motor model is never changed, only replaced
+            engine.track = this.track; // tracks are replaced, never changed
+            engine.reset();
+            return engine;
+        }
+
+        setCharge(percent) {
+            this.state.soc = Math.min(1, Math.max(0, percent / 100));
+            this.state.batteryCharge = this.state.soc * 100;
+            this.state.cutoff = this.state.soc <= 0;
+        }
+
+        /**
+         * Back to the start line, stopped, with the starting charge
+         */
+        reset() {
+            this.state = {
+                position: 0,         // meters from start
+                elapsed: 0,          // seconds since the run started
+                steps: 0,            // fixed physics steps taken
+                velocity: 0,         // m/s
+                acceleration: 0,     // m/s²
+                topSpeed: 0,         // m/s, the fastest so far
+                topSpeedDistance: 0, // m travelled when topSpeed last rose
+                batteryCharge: 100,  // percent
+                soc: 1,              // state of charge (0-1)
+                deliveredMah: 0,
+                lapCount: 0,
+                lapsBehind: 0,       // times backed over the start line before finishing a lap
+                lapTime: 0,
+                bestLapTime: Infinity,
+                cleanLap: true,      // the lap so far never backed over the line
+                totalEnergy: 0,      // Joules used
+                energyRecovered: 0,  // Joules put back by regenerative braking
+                drive: 0,            // throttle the driver is applying (0-1)
+                direction: this.params.reverse ? -1 : 1, // way the motor drives: 1 forwards, -1 in reverse
+                brake: 0,            // brake applied (0-1)
+                lateralAccel: 0,     // m/s² (v²κ)
+                spins: 0,            // times slid off the track
+                recovery: 0,         // s left waiting after sliding off
+                cutoff: false,       // the pack went flat and the motor was cut off
+                setpoint: null       // m/s the controller is aiming for (null: throttle only)
+            };
+            this.pid.reset();
+            this.eco = null;
+            this.setCharge(this.params.startCharge);
+            this.params.throttle = 0;
+            this.params.brake = 0;
+        }
+    }
+
+    /* ============================================
+       Parameter Sweeps
+       ============================================ */
+    // What a sweep can vary, in the units the controls show: read() gets a
+    // car's value and apply() sets it
+    const SWEEP_PARAMETERS = {
+        mass: {
+            label: 'Car mass', unit: 'g', min: 50, max: 5000, from: 200, to: 2000,
+            read: engine => engine.params.mass * 1000,
+            apply: (engine, value) => { engine.params.mass = value / 1000; }
+        },
+        frictionCoeff: {
+            label: 'Friction (μ)', unit: '', min: 0, max: 1.5, from: 0.1, to: 0.8,
+            read: engine => engine.params.frictionCoeff,
+            apply: (engine, value) => { engine.params.frictionCoeff = value; }
+        },
+        throttle: {
+            label: 'Throttle', unit: '%', min: 5, max: 100, from: 20, to: 100,
+            read: engine => engine.params.throttle * 100,
+            apply: (engine, value) => { engine.params.throttle = value / 100; }
+        },
+        batteryCapacity: {
+            label: 'Battery capacity', unit: 'mAh', min: 50, max: 20000, from: 500, to: 3000,
+            // Whole pack; the engine stores capacity per cell
+            read: engine => engine.battery.capacityMah * engine.battery.parallel,
+            apply: (engine, value) => { engine.battery.capacityMah = value / engine.battery.parallel; }
+        },
+        gearRatio: {
+            label: 'Gear ratio', unit: ':1', min: 1, max: 50, from: 2, to: 16,
+            read: engine => engine.params.gearRatio,
+            apply: (engine, value) => { engine.params.gearRatio = value; }
+        },
+        targetSpeed: {
+            // Sweeping the cruise speed drives every run on cruise control
+            label: 'Cruise speed', unit: 'm/s', min: 0.05, max: 10, from: 0.2, to: 1.2,
+            read: engine => engine.params.targetSpeed,
+            apply: (engine, value) => {
+                engine.params.controller = 'cruise';
+                engine.params.targetSpeed = value;
+            }
+        }
+    };
+
+    // What each run measures: run until `until` (or maxTime s), then read
+    // `result` - null when the run never got that far
+    const SWEEP_METRICS = {
+        bestLapTime: {
+            label: 'Best lap time', unit: 's', digits: 2, maxTime: 600,
+            until: s => s.lapCount >= 3,
+            result: engine => engine.state.lapCount > 0 ? engine.state.bestLapTime : null
+        },
+        topSpeed: {
+            label: 'Top speed', unit: 'm/s', digits: 3, maxTime: 120,
+            // The fastest the car goes: it hasn't gone any faster for a whole
+            // lap, so braking for corners doesn't end the run early
+            until: (s, engine) => s.elapsed >= 1 && engine.distanceTravelled() - s.topSpeedDistance >= engine.track.length,
+            result: engine => engine.state.topSpeed
+        },
+        lapsPerCharge: {
+            label: 'Laps per charge', unit: 'laps', digits: 1, maxTime: 86400,
+            until: s => s.soc <= 0,
+            result: (engine, reached) => reached ? engine.distanceTravelled() / engine.track.length : null
+        },
+        energyPerLap: {
+            label: 'Energy per lap', unit: 'J', digits: 1, maxTime: 600,
+            until: s => s.lapCount >= 3,
+            result: engine => engine.state.lapCount > 0 ? engine.state.totalEnergy / engine.state.lapCount : null
+        }
+    };
+
+    const MAX_SWEEP_STEPS = 50;
+
+    /**
+     * Problems with sweep options, as messages (empty when they're fine)
+     * @param {Object} options - { parameter, from, to, steps, metric, throttle }
+     */
+    function checkSweep({ parameter, from, to, steps, metric, throttle = 1 }) {
+        const errors = [];
+        const spec = SWEEP_PARAMETERS[parameter];
+        if (!spec) errors.push(`"${parameter}" is not a parameter that can be swept`);
+        if (!SWEEP_METRICS[metric]) errors.push(`"${metric}" is not a sweep outcome`);
+
+        if (spec) {
+            const unit = /^[a-z]/i.test(spec.unit) ? ` ${spec.unit}` : spec.unit === '%' ? '%' : '';
+            const range = `${spec.min}–${spec.max}${unit}`;
+            [['From', from], ['To', to]].forEach(([name, value]) => {
+                if (!Number.isFinite(value) || value < spec.min || value > spec.max) {
+                    errors.push(`${name} must be a number from ${range}`);
+                }
+            });
+            if (from === to) errors.push('From and To must be different');
+        }
+        if (!Number.isInteger(steps) || steps < 2 || steps > MAX_SWEEP_STEPS) {
+            errors.push(`Steps must be a whole number from 2 to ${MAX_SWEEP_STEPS}`);
+        }
+        if (parameter !== 'throttle' && !(throttle > 0 && throttle <= 1)) {
+            errors.push('Throttle must be above 0% and at most 100%');
+        }
+        return errors;
+    }
+
+    /**
+     * Run the car once per value of one parameter, everything else held
+     * the same, and measure one outcome for each - a controlled experiment.
+     * Runs can be spread over several calls to advance() so a page stays
+     * responsive; run() does them all at once.
+     */
+    class ParameterSweep {
+        /**
+         * @param {RCCarEngine} base - The car every run starts as (settings,
+         *   battery, motor and starting charge)
+         * @param {Object} options - { parameter, from, to, steps, metric,
+         *   throttle (0-1, for every run unless throttle is swept) } - see checkSweep
+         */
+        constructor(base, { parameter, from, to, steps, metric, throttle = 1 }) {
+            this.base = base;
+            this.parameter = parameter;
+            this.metric = metric;
+            this.throttle = throttle;
+            this.values = Array.from({ length: steps }, (_, i) => from + (to - from) * i / (steps - 1));
+            this.points = [];    // { value, result } per finished run
+            this.current = null; // engine for the run in progress
+        }
+
+        get done() {
+            return this.points.length >= this.values.length;
+        }
+
+        /**
+         * Simulate up to maxSteps physics steps, finishing runs as they end
+         * @returns {boolean} true once every value has been run
+         */
+        advance(maxSteps = 20000) {
+            const metric = SWEEP_METRICS[this.metric];
+            let budget = maxSteps;
+
+            while (!this.done && budget > 0) {
+                const value = this.values[this.points.length];
+                if (!this.current) {
+                    this.current = this.base.copy();
+                    this.current.params.throttle = this.throttle;
+                    this.current.params.reverse = false; // laps are counted forwards
+                    this.prepare(this.current, value);
+                }
+
+                const run = this.current;
+                const stepsBefore = run.state.steps;
+                const sliceEnd = Math.min(metric.maxTime, (stepsBefore + budget) * PHYSICS_DT);
+                const { reached } = run.runUntil(metric.until, { maxTime: sliceEnd });
+                budget -= run.state.steps - stepsBefore;
+
+                if (reached || run.state.elapsed >= metric.maxTime) {
+                    this.points.push(this.measure(run, value, reached));
+                    this.current = null;
+                }
+            }
+            return this.done;
+        }
+
+        /**
+         * Set up a fresh copy of the base car for one value
+         */
+        prepare(engine, value) {
+            SWEEP_PARAMETERS[this.parameter].apply(engine, value);
+        }
+
+        /**
+         * The point recorded for a finished run
+         */
+        measure(engine, value, reached) {
+            return { value, result: SWEEP_METRICS[this.metric].result(engine, reached) };
+        }
+
+        /**
+         * Every run, start to finish
+         * @returns {Array<{ value: number, result: number|null }>}
+         */
+        run() {
+            while (!this.advance());
+            return this.points;
+        }
+    }
+
+    /**
+     * Run the pack flat once with each throttle controller, the car and its
+     * starting charge the same every time, to compare how far each one goes
+     */
+    class ControllerComparison extends ParameterSweep {
+        /**
+         * @param {RCCarEngine} base - The car every run starts as, with its
+         *   controller settings (target speed, gains, script)
+         * @param {Object} options - { controllers (keys of CONTROLLERS, all by
+         *   default), throttle (0-1, for constant throttle) }
+         */
+        constructor(base, { controllers = Object.keys(CONTROLLERS), throttle = 1 } = {}) {
+            super(base, { metric: 'lapsPerCharge', steps: 0, throttle });
+            this.values = controllers;
+        }
+
+        prepare(engine, controller) {
+            engine.params.controller = controller;
+        }
+
+        /**
+         * @returns {{ value: string, result: number|null, runtime: number,
+         *   averageSpeed: number, energyPerLap: number|null, spins: number }}
+         *   result is laps per charge (null if the pack never ran flat)
+         */
+        measure(engine, controller, reached) {
+            const laps = engine.distanceTravelled() / engine.track.length;
+            return {
+                value: controller,
+                result: reached ? laps : null,
+                runtime: engine.state.elapsed,
+                averageSpeed: engine.state.elapsed > 0 ? engine.distanceTravelled() / engine.state.elapsed : 0,
+                energyPerLap: laps > 0 ? engine.state.totalEnergy / laps : null,
+                spins: engine.state.spins
+            };
+        }
+    }
+
+    /* ============================================
+       Races
+       ============================================ */
+    const MIN_RACE_CARS = 2;
+    const MAX_RACE_CARS = 4;
+    const MAX_RACE_LAPS = 50;
+    const RACE_TIME_LIMIT = 3600; // s - cars still going then are ranked by distance
+
+    /**
+     * Problems with a race setup, as messages (empty when it's fine)
+     * @param {Object} setup - { cars: [{ batteryPreset, motorPreset, mass (kg),
+     *   controller }], laps }
+     */
+    function checkRace({ cars, laps }) {
+        const errors = [];
+        if (!Array.isArray(cars) || cars.length < MIN_RACE_CARS || cars.length > MAX_RACE_CARS) {
+            return [`A race needs ${MIN_RACE_CARS}–${MAX_RACE_CARS} cars`];
+        }
+        cars.forEach((car, i) => {
+            const name = `Car ${i + 1}`;
+            if (!BATTERY_PRESETS[car.batteryPreset]?.capacityMah) errors.push(`${name} needs a battery pack`);
+            if (!MOTOR_PRESETS[car.motorPreset]?.noLoadRPM) errors.push(`${name} needs a motor`);
+            if (!(car.mass >= 0.05 && car.mass <= 20)) errors.push(`${name}'s mass must be from 50 g to 20 kg`);
+            if (!CONTROLLERS[car.controller]) errors.push(`${name} needs a throttle controller`);
+        });
+        if (!Number.isInteger(laps) || laps < 1 || laps > MAX_RACE_LAPS) {
+            errors.push(`Laps must be a whole number from 1 to ${MAX_RACE_LAPS}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Several cars on one track, each with its own battery, motor, mass
+     * and controller and everything else copied from a base car. A car
+     * is done when it finishes the laps or its pack is flat and it has
+     * stopped; the race is over when every car is done.
+     */
+    class RCRace {
+        /**
+         * @param {RCCarEngine} base - Track, gearing, tyres, starting charge and
+         *   controller settings shared by every car
+         * @param {Object} setup - See checkRace; each car may also have a name.
+         *   Constant-throttle cars run flat out.
+         * @throws {Error} If a car's battery pack or motor isn't a preset
+         */
+        constructor(base, { cars, laps }) {
+            this.laps = laps;
+            this.track = base.track;
+            this.elapsed = 0;
+            this.cars = cars.map((car, i) => {
+                const engine = base.copy();
+                const name = car.name || `Car ${i + 1}`;
+                if (!engine.setBatteryPreset(car.batteryPreset)) throw new Error(`${name} has an unknown battery pack "${car.batteryPreset}"`);
+                if (!engine.setMotorPreset(car.motorPreset)) throw new Error(`${name} has an unknown motor "${car.motorPreset}"`);
+                engine.params.mass = car.mass;
+                engine.params.controller = car.controller;
+                engine.params.throttle = 1;
+                engine.params.reverse = false;
+                return { name, engine, finishTime: null, flat: false };
+            });
+        }
+
+        get done() {
+            return this.elapsed >= RACE_TIME_LIMIT || this.cars.every(car => car.finishTime !== null || car.flat);
+        }
+
+        /**
+         * One physics step for every car still racing
+         */
+        step(dt = PHYSICS_DT) {
+            this.cars.forEach(car => {
+                if (car.finishTime !== null || car.flat) return;
+                const engine = car.engine;
+                engine.step(dt);
+
+                if (engine.state.lapCount >= this.laps) {
+                    // Back to the moment it crossed the line
+                    car.finishTime = engine.state.elapsed - engine.state.lapTime;
+                } else if (engine.isBatteryDead() && engine.state.velocity === 0) {
+                    car.flat = true;
+                }
+            });
+            this.elapsed += dt;
+        }
+
+        /**
+         * Step up to maxSteps times (fewer if the race ends)
+         * @returns {boolean} true once the race is over
+         */
+        advance(maxSteps) {
+            for (let i = 0; i < maxSteps && !this.done; i++) this.step();
+            return this.done;
+        }
+
+        /**
+         * The whole race at once
+         * @returns {Array} standings()
+         */
+        run() {
+            while (!this.done) this.step();
+            return this.standings();
+        }
+
+        /**
+         * Finishers by time, then the rest by distance covered
+         * @returns {Array<{ name, engine, place, status ('finished' | 'flat' |
+         *   'racing'), laps, distance (m), finishTime (s or null), bestLapTime
+         *   (s or null), charge (%), energy (J) }>}
+         */
+        standings() {
+            return this.cars
+                .map(car => {
+                    const state = car.engine.state;
+                    return {
+                        name: car.name,
+                        engine: car.engine,
+                        status: car.finishTime !== null ? 'finished' : car.flat ? 'flat' : 'racing',
+                        laps: state.lapCount,
+                        distance: car.engine.distanceTravelled(),
+                        finishTime: car.finishTime,
+                        bestLapTime: state.bestLapTime < Infinity ? state.bestLapTime : null,
+                        charge: state.batteryCharge,
+                        energy: state.totalEnergy
+                    };
+                })
+                .sort((a, b) => {
+                    if (a.finishTime !== null || b.finishTime !== null) {
+                        if (a.finishTime === null) return 1;
+                        if (b.finishTime === null) return -1;
+                        return a.finishTime - b.finishTime;
+                    }
+                    return b.distance - a.distance;
+                })
+                .map((entry, i) => ({ ...entry, place: i + 1 }));
+        }
+    }
+
+    return {
+        RCCarEngine,
+        ParameterSweep,
+        ControllerComparison,
+        RCRace,
+        checkRace,
+        MIN_RACE_CARS,
+        MAX_RACE_CARS,
+        MAX_RACE_LAPS,
+        SWEEP_PARAMETERS,
+        SWEEP_METRICS,
+        checkSweep,
+        RC_CAR_DEFAULTS,
+        TYRE_PRESETS,
+        INTEGRATORS,
+        PHYSICS_DT
+    };
+}));
@@ -6,141 +6,1605 @@
 (function () {
     'use strict';
 
+    const {
+        RCCarEngine, ParameterSweep, ControllerComparison, checkSweep, SWEEP_PARAMETERS, SWEEP_METRICS,
+        RCRace, checkRace, MAX_RACE_CARS, CONTROLLERS, checkThrottleScript, RC_CAR_DEFAULTS, INTEGRATORS, PHYSICS_DT,
+        TYRE_PRESETS, BATTERY_PRESETS, MOTOR_PRESETS, CHEMISTRIES,
+        RCTrack, TRACK_PRESETS, DEFAULT_TRACK, MIN_TRACK_POINTS, MAX_TRACK_POINTS, TRACK_LIMIT, checkTrackPoints
+    } = window.ChargedUP;
+
+    // Physics runs in fixed steps (rc-car-engine.js) whatever the frame rate
+    const MAX_FRAME_TIME = 0.25;    // s of real time caught up per frame
+
+    // Top-view car colours as [edge, middle]; the first is the simulator's own car
+    const CAR_COLORS = [['#00A0CC', '#00D1FF'], ['#2BBF99', '#3EF1C6'], ['#CC8A36', '#ffb347'], ['#9AA3AB', '#F8FAFC']];
+    const SPUN_COLORS = ['#cc4f38', '#ff6347'];
+
+    /**
+     * Round up to 1, 2 or 5 × a power of ten, for chart axes
+     */
+    function niceMax(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(m => m * magnitude >= value);
+        return step * magnitude;
+    }
+
+    /**
+     * toFixed without a "-0.00" for values that round to zero
+     */
+    function formatFixed(value, digits) {
+        if (value === null) return ''; // nothing to show, e.g. no target speed
+        const text = value.toFixed(digits);
+        return Number(text) === 0 ? (0).toFixed(digits) : text;
+    }
+
     /* ============================================
-       RC Car Simulation Class
+       Data Logger
+       Samples the run at a fixed rate for lab-report tables
        ============================================ */
-    class RCCarSimulator {
-        constructor(containerId) {
-            this.containerId = containerId;
-            this.container = null;
-            this.sideCanvas = null;
-            this.trackCanvas = null;
-            this.animationId = null;
+    const LOG_COLUMNS = [
+        { key: 'time', label: 'Time (s)', digits: 2 },
+        { key: 'distance', label: 'Distance (m)', digits: 3 },
+        { key: 'velocity', label: 'Velocity (m/s)', digits: 3 },
+        { key: 'acceleration', label: 'Acceleration (m/s²)', digits: 3 },
+        { key: 'lateralAccel', label: 'Lateral Accel (m/s²)', digits: 3 },
+        { key: 'batteryCharge', label: 'Battery Charge (%)', digits: 2 },
+        { key: 'energy', label: 'Energy Used (J)', digits: 2 },
+        { key: 'recovered', label: 'Energy Recovered (J)', digits: 2 },
+        { key: 'throttle', label: 'Throttle (%)', digits: 0 },
+        { key: 'setpoint', label: 'Target Speed (m/s)', digits: 3 },
+        { key: 'mass', label: 'Mass (kg)', digits: 3 },
+        { key: 'frictionCoeff', label: 'Friction (μ)', digits: 2 }
+    ];
+
+    const MAX_LOG_SAMPLES = 20000; // over half an hour at 10 Hz
+
+    class DataLogger {
+        constructor(rateHz = 10) {
+            this.setRate(rateHz);
+            this.clear();
+        }
 
-            // Car physics state
-            this.state = {
-                position: 0,         // meters from start
-                velocity: 0,         // m/s
-                acceleration: 0,     // m/s²
-                batteryCharge: 100,  // percent
-                lapCount: 0,
-                lapTime: 0,
-                bestLapTime: Infinity,
-                totalEnergy: 0,      // Joules used
-                isRunning: false
-            };
+        setRate(rateHz) {
+            this.rateHz = rateHz;
+            this.interval = 1 / rateHz;
+        }
+
+        clear() {
+            this.samples = [];
+            this.nextSampleTime = 0;
+            this.isFull = false;
+        }
+
+        /**
+         * Keep a sample if one is due at this time
+         * Samples land on multiples of the interval, so the time column
+         * stays regular whatever the frame rate.
+         * @returns {Object|null} The stored sample, or null if none was due
+         */
+        record(time, values) {
+            if (time + 1e-9 < this.nextSampleTime) return null;
+            if (this.samples.length >= MAX_LOG_SAMPLES) {
+                this.isFull = true;
+                return null;
+            }
+
+            const sample = { time, ...values };
+            this.samples.push(sample);
+            this.nextSampleTime = (Math.floor(time / this.interval + 1e-9) + 1) * this.interval;
+            return sample;
+        }
+
+        formatSample(sample) {
+            return LOG_COLUMNS.map(col => formatFixed(sample[col.key], col.digits));
+        }
+
+        /**
+         * Header row plus one row per sample, ready for exportToCSV
+         */
+        toRows() {
+            return [LOG_COLUMNS.map(col => col.label), ...this.samples.map(s => this.formatSample(s))];
+        }
+    }
+
+    /* ============================================
+       Telemetry Strip Charts
+       One lane per quantity against a shared, scrolling time axis
+       ============================================ */
+    const TELEMETRY_TRACES = [
+        // A controller's target speed is drawn dashed over the car's speed
+        { key: 'velocity', label: 'Velocity', unit: 'm/s', color: '#00D1FF', digits: 2,
+            compare: { key: 'setpoint', label: 'target', color: '#ffb347' } },
+        { key: 'throttle', label: 'Throttle', unit: '%', color: '#00D1FF', digits: 0, max: 100 },
+        { key: 'acceleration', label: 'Acceleration', unit: 'm/s²', color: '#3EF1C6', digits: 2, signed: true },
+        // Resistance (friction + drag) is drawn dashed in the force lane: where the
+        // two lines meet the net force is zero and the car is at terminal velocity
+        { key: 'force', label: 'Motor force', unit: 'N', color: '#ff6347', digits: 3,
+            compare: { key: 'resistance', label: 'friction + drag', color: '#B6C0C9' } },
+        { key: 'battery', label: 'Battery', unit: '%', color: '#3EF1C6', digits: 1, max: 100 },
+        // Power goes negative while regenerative braking charges the pack
+        { key: 'power', label: 'Power', unit: 'W', color: '#ffb347', digits: 2 }
+    ];
+
+    const TELEMETRY_WINDOWS = [5, 10, 30, 60, 120]; // seconds on screen
+    const TELEMETRY_HISTORY = 120; // seconds kept
+
+    class TelemetryChart {
+        constructor(canvasId) {
+            this.canvas = document.getElementById(canvasId);
+            this.samples = [];
+            this.windowIndex = 1;
+            this.paused = false;
+            this.pausedAt = 0;
+            this.hoverX = null;
+            this.pad = { left: 54, right: 16, top: 8, bottom: 24 };
+            if (!this.canvas) return;
+
+            this.ctx = this.canvas.getContext('2d');
+            this.readout = document.getElementById('rc-telemetry-readout');
+            this.pauseBtn = document.getElementById('rc-telemetry-pause');
+            this.windowDisplay = document.getElementById('rc-telemetry-window');
+
+            this.bindEvents();
+            this.resize();
+        }
+
+        bindEvents() {
+            this.pauseBtn?.addEventListener('click', () => this.setPaused(!this.paused));
+            document.getElementById('rc-telemetry-zoom-in')?.addEventListener('click', () => this.zoom(-1));
+            document.getElementById('rc-telemetry-zoom-out')?.addEventListener('click', () => this.zoom(1));
+
+            this.canvas.addEventListener('mousemove', (e) => {
+                const rect = this.canvas.getBoundingClientRect();
+                this.hoverX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+                this.draw();
+            });
+            this.canvas.addEventListener('mouseleave', () => {
+                this.hoverX = null;
+                this.draw();
+            });
+
+            window.addEventListener('resize', () => this.resize());
+        }
+
+        resize() {
+            this.canvas.width = this.canvas.offsetWidth || 500;
+            this.canvas.height = this.canvas.offsetHeight || 380;
+            this.draw();
+        }
+
+        /**
+         * Add one physics step: { time, velocity, setpoint (null without
+         * a target speed), throttle, acceleration, force, resistance,
+         * battery, power }
+         */
+        push(sample) {
+            this.samples.push(sample);
+            const oldest = sample.time - TELEMETRY_HISTORY;
+            while (this.samples[0].time < oldest) this.samples.shift();
+        }
+
+        clear() {
+            this.samples = [];
+            this.pausedAt = 0;
+            this.draw();
+        }
+
+        /**
+         * Freeze the view (the run keeps being recorded)
+         */
+        setPaused(paused) {
+            this.paused = paused;
+            this.pausedAt = this.latestTime();
+            if (this.pauseBtn) this.pauseBtn.textContent = paused ? '▶ Resume Chart' : '⏸ Pause Chart';
+            this.draw();
+        }
+
+        zoom(step) {
+            this.windowIndex = Math.min(TELEMETRY_WINDOWS.length - 1, Math.max(0, this.windowIndex + step));
+            this.draw();
+        }
+
+        latestTime() {
+            return this.samples.length ? this.samples[this.samples.length - 1].time : 0;
+        }
+
+        draw() {
+            if (!this.ctx) return;
+
+            const ctx = this.ctx;
+            const w = this.canvas.width;
+            const h = this.canvas.height;
+            const pad = this.pad;
+            const plotW = w - pad.left - pad.right;
+            const laneH = (h - pad.top - pad.bottom) / TELEMETRY_TRACES.length;
+
+            const span = TELEMETRY_WINDOWS[this.windowIndex];
+            const end = Math.max(span, this.paused ? this.pausedAt : this.latestTime());
+            const start = end - span;
+            const visible = this.samples.filter(s => s.time >= start && s.time <= end);
+            const px = t => pad.left + ((t - start) / span) * plotW;
+
+            if (this.windowDisplay) this.windowDisplay.textContent = `${span} s`;
+
+            ctx.fillStyle = '#071733';
+            ctx.fillRect(0, 0, w, h);
+            ctx.font = '11px Inter, sans-serif';
+
+            // Time axis
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.lineWidth = 1;
+            ctx.fillStyle = '#B6C0C9';
+            for (let i = 0; i <= 5; i++) {
+                const gx = pad.left + plotW * i / 5;
+                ctx.beginPath();
+                ctx.moveTo(gx, pad.top);
+                ctx.lineTo(gx, h - pad.bottom);
+                ctx.stroke();
+                ctx.fillText(`${(start + span * i / 5).toFixed(span < 10 ? 1 : 0)} s`, gx - 10, h - 8);
+            }
+
+            // One lane per trace, each with its own scale
+            TELEMETRY_TRACES.forEach((trace, lane) => {
+                const top = pad.top + lane * laneH;
+                const keys = trace.compare ? [trace.key, trace.compare.key] : [trace.key];
+                const peak = Math.max(0, ...visible.flatMap(s => keys.map(k => Math.abs(s[k]))));
+                const max = trace.max || niceMax(peak);
+                // Lanes gain a negative half when needed (reversing, regenerating)
+                const signed = trace.signed || visible.some(s => keys.some(k => s[k] < 0));
+                const min = signed ? -max : 0;
+                const py = v => top + 4 + (1 - (v - min) / (max - min)) * (laneH - 8);
+
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.beginPath();
+                ctx.moveTo(pad.left, top + laneH);
+                ctx.lineTo(pad.left + plotW, top + laneH);
+                ctx.stroke();
+                if (signed) {
+                    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+                    ctx.beginPath();
+                    ctx.moveTo(pad.left, py(0));
+                    ctx.lineTo(pad.left + plotW, py(0));
+                    ctx.stroke();
+                }
+
+                ctx.fillStyle = '#B6C0C9';
+                ctx.fillText(String(Number(max.toPrecision(3))), 6, top + 12);
+                ctx.fillText(String(Number(min.toPrecision(3))), 6, top + laneH - 4);
+                ctx.fillStyle = trace.color;
+                ctx.fillText(`${trace.label} (${trace.unit})`, pad.left + 6, top + 12);
+
+                const drawLine = (key, color, dashed) => {
+                    if (visible.length < 2) return;
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = dashed ? 1 : 2;
+                    ctx.setLineDash(dashed ? [4, 4] : []);
+                    ctx.beginPath();
+                    // Missing values (null) leave a gap
+                    visible.forEach((s, i) => {
+                        if (s[key] === null) return;
+                        const gap = i === 0 || visible[i - 1][key] === null;
+                        gap ? ctx.moveTo(px(s.time), py(s[key])) : ctx.lineTo(px(s.time), py(s[key]));
+                    });
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                };
+                if (trace.compare) drawLine(trace.compare.key, trace.compare.color, true);
+                drawLine(trace.key, trace.color, false);
+            });
+
+            // Cursor: snap to the nearest sample under the mouse
+            let readSample = visible[visible.length - 1] || null;
+            let label = 'Latest';
+            if (this.hoverX !== null && this.hoverX >= pad.left && this.hoverX <= pad.left + plotW && visible.length) {
+                const t = start + ((this.hoverX - pad.left) / plotW) * span;
+                readSample = visible.reduce((best, s) => Math.abs(s.time - t) < Math.abs(best.time - t) ? s : best);
+                label = 'Cursor';
+
+                ctx.strokeStyle = 'rgba(248, 250, 252, 0.5)';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(px(readSample.time), pad.top);
+                ctx.lineTo(px(readSample.time), h - pad.bottom);
+                ctx.stroke();
+            }
 
-            // Car parameters (defaults)
-            this.params = {
-                mass: 0.5,           // kg (500g car)
-                wheelRadius: 0.02,   // m (2cm)
-                motorEfficiency: 0.7,
-                frictionCoeff: 0.3,
-                airResistance: 0.05,
-                maxTorque: 0.1,      // N·m
-                batteryVoltage: 6.0,
-                batteryCurrent: 1.0,
-                batteryCapacity: 2000, // mAh
-                internalR: 1.2,
-                throttle: 0           // 0-1
+            if (!this.readout) return;
+            if (!readSample) {
+                this.readout.textContent = 'Start the car to record telemetry.';
+                return;
+            }
+            this.readout.textContent = `${label} t = ${readSample.time.toFixed(2)} s: ` +
+                TELEMETRY_TRACES.map(trace => {
+                    const value = `${trace.label} ${formatFixed(readSample[trace.key], trace.digits)} ${trace.unit}`;
+                    return trace.compare && readSample[trace.compare.key] !== null
+                        ? `${value} (${trace.compare.label} ${formatFixed(readSample[trace.compare.key], trace.digits)} ${trace.unit})`
+                        : value;
+                }).join(' · ');
+        }
+    }
+
+    /* ============================================
+       Parameter Sweep Panel
+       ============================================ */
+    const SWEEP_STEPS_PER_TICK = 20000; // physics steps between redraws
+
+    class SweepPanel {
+        /**
+         * @param {RCCarSimulator} simulator - Its car is the starting point of every run
+         */
+        constructor(simulator) {
+            this.simulator = simulator;
+            this.sweep = null;
+            this.timer = null;
+            this.marker = null; // the car's own value of the swept parameter
+            this.pad = { left: 54, right: 16, top: 16, bottom: 36 };
+            this.canvas = document.getElementById('rc-sweep-canvas');
+            if (!this.canvas) return;
+
+            this.ctx = this.canvas.getContext('2d');
+            this.status = document.getElementById('rc-sweep-status');
+            this.runBtn = document.getElementById('rc-sweep-run');
+            this.stopBtn = document.getElementById('rc-sweep-stop');
+
+            this.bindEvents();
+            this.setRange();
+            this.resize();
+            this.setStatus('Pick a parameter and a range, then run the sweep.');
+        }
+
+        bindEvents() {
+            this.runBtn?.addEventListener('click', () => this.start());
+            this.stopBtn?.addEventListener('click', () => {
+                this.stop();
+                this.setStatus(`Stopped after ${this.sweep.points.length} of ${this.sweep.values.length} runs.`);
+            });
+            document.getElementById('rc-sweep-parameter')?.addEventListener('change', () => this.setRange());
+            document.getElementById('rc-sweep-download')?.addEventListener('click', () => this.download());
+            window.addEventListener('resize', () => this.resize());
+        }
+
+        resize() {
+            this.canvas.width = this.canvas.offsetWidth || 500;
+            this.canvas.height = this.canvas.offsetHeight || 280;
+            this.draw();
+        }
+
+        /**
+         * Put the parameter's usual range and limits in From / To
+         */
+        setRange() {
+            const spec = SWEEP_PARAMETERS[document.getElementById('rc-sweep-parameter')?.value];
+            if (!spec) return;
+
+            ['from', 'to'].forEach(end => {
+                const input = document.getElementById(`rc-sweep-${end}`);
+                if (!input) return;
+                input.min = spec.min;
+                input.max = spec.max;
+                input.value = spec[end];
+            });
+
+            // Throttle can't be both swept and held
+            const throttleInput = document.getElementById('rc-sweep-throttle');
+            if (throttleInput) throttleInput.disabled = spec === SWEEP_PARAMETERS.throttle;
+        }
+
+        readOptions() {
+            const number = id => parseFloat(document.getElementById(id)?.value);
+            return {
+                parameter: document.getElementById('rc-sweep-parameter')?.value,
+                metric: document.getElementById('rc-sweep-metric')?.value,
+                from: number('rc-sweep-from'),
+                to: number('rc-sweep-to'),
+                steps: number('rc-sweep-steps'),
+                throttle: number('rc-sweep-throttle') / 100
             };
+        }
+
+        start() {
+            const options = this.readOptions();
+            const errors = checkSweep(options);
+            if (errors.length) {
+                this.setStatus(errors.join('. ') + '.');
+                return;
+            }
+
+            this.stop();
+            const engine = this.simulator.engine;
+            this.sweep = new ParameterSweep(engine, options);
+            this.marker = SWEEP_PARAMETERS[options.parameter].read(engine);
+
+            if (this.runBtn) this.runBtn.disabled = true;
+            if (this.stopBtn) this.stopBtn.disabled = false;
+            this.renderTable();
+            this.tick();
+        }
+
+        /**
+         * Run a slice of the sweep, then hand the page back until the next one
+         */
+        tick() {
+            const done = this.sweep.advance(SWEEP_STEPS_PER_TICK);
+            this.renderTable();
+            this.draw();
+
+            if (done) {
+                this.stop();
+                const missed = this.sweep.points.filter(p => p.result === null).length;
+                this.setStatus(`Done: ${this.sweep.points.length} runs.` +
+                    (missed ? ` ${missed} never got there (shown as —).` : ''));
+                return;
+            }
+            this.setStatus(`Running ${this.sweep.points.length + 1} of ${this.sweep.values.length}…`);
+            this.timer = setTimeout(() => this.tick(), 0);
+        }
+
+        stop() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (this.runBtn) this.runBtn.disabled = false;
+            if (this.stopBtn) this.stopBtn.disabled = true;
+        }
+
+        setStatus(text) {
+            if (this.status) this.status.textContent = text;
+        }
+
+        columns() {
+            const spec = SWEEP_PARAMETERS[this.sweep.parameter];
+            const metric = SWEEP_METRICS[this.sweep.metric];
+            return [
+                spec.unit ? `${spec.label} (${spec.unit})` : spec.label,
+                `${metric.label} (${metric.unit})`
+            ];
+        }
+
+        formatValue(value) {
+            return String(Number(value.toPrecision(4)));
+        }
+
+        formatResult(result) {
+            return result === null ? '—' : formatFixed(result, SWEEP_METRICS[this.sweep.metric].digits);
+        }
+
+        renderTable() {
+            const head = document.getElementById('rc-sweep-head');
+            const body = document.getElementById('rc-sweep-body');
+            if (!head || !body || !this.sweep) return;
+
+            head.innerHTML = `<tr>${this.columns().map(label => `<th>${label}</th>`).join('')}</tr>`;
+            body.innerHTML = '';
+            this.sweep.values.forEach((value, i) => {
+                const point = this.sweep.points[i];
+                const row = document.createElement('tr');
+                [this.formatValue(value), point ? this.formatResult(point.result) : '…'].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+        }
+
+        download() {
+            if (!this.sweep || this.sweep.points.length === 0) {
+                window.ChargedUP.showNotification('Nothing to download yet - run a sweep first', 'info');
+                return;
+            }
+            const rows = [this.columns(), ...this.sweep.points.map(p => [
+                this.formatValue(p.value),
+                p.result === null ? '' : this.formatResult(p.result)
+            ])];
+            window.ChargedUP.exportToCSV(rows, `rc-car-sweep-${this.sweep.parameter}-${this.sweep.metric}.csv`);
+        }
+
+        draw() {
+            if (!this.ctx) return;
+
+            const ctx = this.ctx;
+            const w = this.canvas.width;
+            const h = this.canvas.height;
+            const pad = this.pad;
+            const plotW = w - pad.left - pad.right;
+            const plotH = h - pad.top - pad.bottom;
+
+            ctx.fillStyle = '#071733';
+            ctx.fillRect(0, 0, w, h);
+            ctx.font = '11px Inter, sans-serif';
+
+            if (!this.sweep) {
+                ctx.fillStyle = '#B6C0C9';
+                ctx.fillText('Run a sweep to plot the outcome against the parameter', pad.left, pad.top + plotH / 2);
+                return;
+            }
+
+            const values = this.sweep.values;
+            const lo = Math.min(values[0], values[values.length - 1]);
+            const hi = Math.max(values[0], values[values.length - 1]);
+            const points = this.sweep.points.filter(p => p.result !== null);
+            const max = niceMax(Math.max(0, ...points.map(p => p.result)));
+            const px = v => pad.left + ((v - lo) / (hi - lo)) * plotW;
+            const py = v => pad.top + (1 - v / max) * plotH;
+
+            // Grid and axes
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.lineWidth = 1;
+            ctx.fillStyle = '#B6C0C9';
+            for (let i = 0; i <= 4; i++) {
+                const gy = pad.top + plotH * i / 4;
+                ctx.beginPath();
+                ctx.moveTo(pad.left, gy);
+                ctx.lineTo(pad.left + plotW, gy);
+                ctx.stroke();
+                ctx.fillText(String(Number((max * (1 - i / 4)).toPrecision(3))), 6, gy + 4);
+            }
+            for (let i = 0; i <= 5; i++) {
+                const gx = pad.left + plotW * i / 5;
+                ctx.beginPath();
+                ctx.moveTo(gx, pad.top);
+                ctx.lineTo(gx, pad.top + plotH);
+                ctx.stroke();
+                ctx.fillText(this.formatValue(lo + (hi - lo) * i / 5), gx - 10, pad.top + plotH + 14);
+            }
+            const [xLabel, yLabel] = this.columns();
+            ctx.fillText(xLabel, pad.left + plotW / 2 - 30, h - 4);
+            ctx.fillStyle = '#00D1FF';
+            ctx.fillText(yLabel, pad.left + 6, pad.top + 10);
 
-            // Track settings
-            this.track = {
-                length: 20,          // meters (full lap)
-                width: 400,          // pixels
-                height: 300,
-                carX: 0,
-                carAngle: 0
+            // The car's own setting
+            if (this.marker !== null && this.marker >= lo && this.marker <= hi) {
+                ctx.strokeStyle = '#3EF1C6';
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(px(this.marker), pad.top);
+                ctx.lineTo(px(this.marker), pad.top + plotH);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = '#3EF1C6';
+                ctx.fillText('Your car', px(this.marker) + 4, pad.top + plotH - 6);
+            }
+
+            // Outcome: a line through the runs that finished, a dot for each
+            ctx.strokeStyle = '#00D1FF';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((p, i) => {
+                i === 0 ? ctx.moveTo(px(p.value), py(p.result)) : ctx.lineTo(px(p.value), py(p.result));
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = '#00D1FF';
+            points.forEach(p => {
+                ctx.beginPath();
+                ctx.arc(px(p.value), py(p.result), 3.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            // Runs that never got there, along the bottom
+            ctx.fillStyle = '#ff6347';
+            this.sweep.points.filter(p => p.result === null).forEach(p => {
+                ctx.fillText('×', px(p.value) - 3, pad.top + plotH - 2);
+            });
+
+            if (points.length === 0 && this.sweep.done) {
+                ctx.fillStyle = '#B6C0C9';
+                ctx.fillText('No run reached the outcome - try a different range', pad.left + 6, pad.top + plotH / 2);
+            }
+        }
+    }
+
+    /* ============================================
+       Track Editor
+       ============================================ */
+    const TRACK_WIDTH = 0.8;    // m, as drawn
+    const TRACK_MARGIN = 30;    // px between the track and the canvas edge
+    const EDIT_MARGIN = 1.5;    // m of room around the track while editing
+    const HANDLE_RADIUS = 7;    // px
+    const CUSTOM_TRACK = 'Custom';
+    const MAX_SAVED_TRACKS = 20;
+
+    class TrackEditor {
+        /**
+         * @param {RCCarSimulator} simulator - Its engine drives the track being edited
+         */
+        constructor(simulator) {
+            this.simulator = simulator;
+            this.canvas = simulator.trackCanvas;
+            this.editing = false;
+            this.editView = null;  // held still while editing, so points stay under the pointer
+            this.dragIndex = null;
+            this.saved = [];       // the project's saved tracks: { name, points }
+            if (!this.canvas) return;
+
+            this.select = document.getElementById('rc-track-select');
+            this.bindEvents();
+        }
+
+        get track() {
+            return this.simulator.engine.track;
+        }
+
+        bindEvents() {
+            this.canvas.addEventListener('pointerdown', (e) => this.pointerDown(e));
+            this.canvas.addEventListener('pointermove', (e) => this.pointerMove(e));
+            window.addEventListener('pointerup', () => this.pointerUp());
+            this.canvas.addEventListener('dblclick', (e) => this.removePoint(e));
+
+            this.select?.addEventListener('change', (e) => this.choose(e.target.value));
+            document.getElementById('rc-track-edit')?.addEventListener('click', () => this.setEditing(!this.editing));
+            document.getElementById('rc-track-save')?.addEventListener('click', () => this.saveAs());
+            document.getElementById('rc-track-delete')?.addEventListener('click', () => this.deleteSaved());
+        }
+
+        /* ---------- Canvas mapping ---------- */
+
+        /**
+         * Metres ↔ canvas pixels, fitting the track (plus margin m) in the canvas
+         */
+        fitView(margin = 0) {
+            const b = this.track.bounds();
+            const w = this.canvas.width;
+            const h = this.canvas.height;
+            const scale = Math.min(
+                (w - 2 * TRACK_MARGIN) / (b.maxX - b.minX + 2 * margin),
+                (h - 2 * TRACK_MARGIN) / (b.maxY - b.minY + 2 * margin)
+            );
+            const cx = (b.minX + b.maxX) / 2;
+            const cy = (b.minY + b.maxY) / 2;
+            return {
+                scale,
+                toCanvas: (x, y) => [w / 2 + (x - cx) * scale, h / 2 + (y - cy) * scale],
+                toWorld: (px, py) => [cx + (px - w / 2) / scale, cy + (py - h / 2) / scale]
             };
+        }
 
-            // Timing
-            this.lastTime = 0;
-            this.dt = 0.016; // 60fps
+        view() {
+            return this.editView || this.fitView();
+        }
+
+        canvasPoint(e) {
+            const rect = this.canvas.getBoundingClientRect();
+            return [
+                (e.clientX - rect.left) * (this.canvas.width / (rect.width || this.canvas.width)),
+                (e.clientY - rect.top) * (this.canvas.height / (rect.height || this.canvas.height))
+            ];
+        }
+
+        /**
+         * Index of the control point under a canvas position, or -1
+         */
+        hitTest(px, py) {
+            const view = this.view();
+            return this.track.points.findIndex(([x, y]) => {
+                const [cx, cy] = view.toCanvas(x, y);
+                return Math.hypot(cx - px, cy - py) <= HANDLE_RADIUS + 3;
+            });
+        }
+
+        worldPoint(px, py) {
+            const clamp = v => Math.round(Math.min(TRACK_LIMIT, Math.max(-TRACK_LIMIT, v)) * 100) / 100;
+            const [x, y] = this.view().toWorld(px, py);
+            return [clamp(x), clamp(y)];
+        }
+
+        /* ---------- Editing ---------- */
+
+        setEditing(editing) {
+            this.editing = editing;
+            this.dragIndex = null;
+            this.editView = editing ? this.fitView(EDIT_MARGIN) : null;
+            if (editing) this.simulator.reset();
+            this.canvas.style.cursor = editing ? 'crosshair' : '';
+            this.renderControls();
+        }
+
+        pointerDown(e) {
+            if (!this.editing) return;
+            const [px, py] = this.canvasPoint(e);
+            let index = this.hitTest(px, py);
+
+            // Empty space: a new point on the nearest stretch of track
+            if (index === -1) {
+                if (this.track.points.length >= MAX_TRACK_POINTS) {
+                    window.ChargedUP.showNotification(`A track can have up to ${MAX_TRACK_POINTS} points`, 'info');
+                    return;
+                }
+                const point = this.worldPoint(px, py);
+                index = this.track.insertIndex(...point);
+                const points = this.track.points.map(p => [...p]);
+                points.splice(index, 0, point);
+                if (!this.trySetPoints(points)) return;
+            }
+
+            this.dragIndex = index;
+            this.canvas.setPointerCapture?.(e.pointerId);
+        }
+
+        pointerMove(e) {
+            if (this.dragIndex === null) return;
+            const points = this.track.points.map(p => [...p]);
+            points[this.dragIndex] = this.worldPoint(...this.canvasPoint(e));
+            // Too close to a neighbour: the point stays where it last fitted
+            if (checkTrackPoints(points).length === 0) this.setPoints(points);
+        }
+
+        pointerUp() {
+            if (this.dragIndex === null) return;
+            this.dragIndex = null;
+            this.store();
+        }
+
+        removePoint(e) {
+            if (!this.editing) return;
+            const index = this.hitTest(...this.canvasPoint(e));
+            if (index === -1) return;
+            if (this.track.points.length <= MIN_TRACK_POINTS) {
+                window.ChargedUP.showNotification(`A track needs at least ${MIN_TRACK_POINTS} points`, 'info');
+                return;
+            }
+            if (!this.trySetPoints(this.track.points.filter((_, i) => i !== index))) return;
+            this.store();
+        }
+
+        /**
+         * Drive an edited shape - no longer the preset or saved track it came from
+         */
+        setPoints(points) {
+            this.simulator.engine.setTrack(new RCTrack(points, CUSTOM_TRACK));
+            this.renderControls();
+        }
+
+        /**
+         * setPoints, unless the shape breaks a rule (points too close
+         * together): then say why and keep the track as it is
+         * @returns {boolean} Whether the points were used
+         */
+        trySetPoints(points) {
+            const errors = checkTrackPoints(points);
+            if (errors.length) {
+                window.ChargedUP.showNotification(`Track ${errors[0]}`, 'info');
+                return false;
+            }
+            this.setPoints(points);
+            return true;
+        }
+
+        /* ---------- Choosing, saving & loading ---------- */
+
+        /**
+         * Switch to a preset (key) or saved track ('saved:<index>')
+         */
+        choose(value) {
+            const source = value.startsWith('saved:') ? this.saved[Number(value.slice(6))] : TRACK_PRESETS[value];
+            if (!source) return;
+
+            this.simulator.engine.setTrack(new RCTrack(source.points, source.name));
+            this.simulator.reset();
+            if (this.editing) this.editView = this.fitView(EDIT_MARGIN);
+            this.store();
+            this.renderControls();
+        }
+
+        saveAs() {
+            const suggested = this.track.name === CUSTOM_TRACK || this.presetKey() ? 'My Track' : this.track.name;
+            const name = (prompt('Name this track:', suggested) || '').trim().slice(0, 60);
+            if (!name) return;
+
+            const existing = this.saved.findIndex(t => t.name === name);
+            if (existing !== -1 && !confirm(`Replace your saved track "${name}"?`)) return;
+            if (existing === -1 && this.saved.length >= MAX_SAVED_TRACKS) {
+                window.ChargedUP.showNotification(`You can save up to ${MAX_SAVED_TRACKS} tracks - delete one first`, 'info');
+                return;
+            }
+
+            const entry = { name, points: this.track.points.map(p => [...p]) };
+            if (existing === -1) this.saved.push(entry); else this.saved[existing] = entry;
+            this.simulator.engine.setTrack(new RCTrack(entry.points, name));
+            this.store(true);
+            this.renderControls();
+            window.ChargedUP.showNotification(`Saved "${name}"`, 'success');
+        }
+
+        deleteSaved() {
+            const index = this.savedIndex();
+            if (index === -1 || !confirm(`Delete your saved track "${this.saved[index].name}"?`)) return;
+
+            this.saved.splice(index, 1);
+            // Keep driving it, as an unsaved shape
+            this.simulator.engine.setTrack(new RCTrack(this.track.points, CUSTOM_TRACK));
+            this.store(true);
+            this.renderControls();
+        }
+
+        /**
+         * Save the current track (and the saved list) to the project
+         */
+        store(withSaved = false) {
+            const state = window.ChargedUP.ProjectState;
+            if (!state) return;
+            const data = { name: this.track.name, points: this.track.points.map(p => [...p]) };
+            if (withSaved) data.saved = this.saved.map(t => ({ name: t.name, points: t.points }));
+            state.update('track', data);
+        }
+
+        /**
+         * Take the track and saved tracks from a project's track section
+         * (the default track when it has none)
+         */
+        load(section) {
+            this.saved = Array.isArray(section?.saved)
+                ? section.saved.filter(track => checkTrackPoints(track.points).length === 0)
+                : [];
+            const valid = section && checkTrackPoints(section.points).length === 0;
+            const preset = TRACK_PRESETS[DEFAULT_TRACK];
+            this.simulator.engine.setTrack(valid
+                ? new RCTrack(section.points, section.name || CUSTOM_TRACK)
+                : new RCTrack(preset.points, preset.name));
+            if (this.editing) this.editView = this.fitView(EDIT_MARGIN);
+            this.renderControls();
+        }
+
+        samePoints(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        presetKey() {
+            return Object.keys(TRACK_PRESETS).find(key =>
+                TRACK_PRESETS[key].name === this.track.name && this.samePoints(TRACK_PRESETS[key].points, this.track.points));
+        }
+
+        savedIndex() {
+            return this.saved.findIndex(t => t.name === this.track.name && this.samePoints(t.points, this.track.points));
+        }
+
+        renderControls() {
+            const track = this.track;
+
+            if (this.select) {
+                const group = document.getElementById('rc-track-saved');
+                if (group) {
+                    group.innerHTML = '';
+                    this.saved.forEach((t, i) => group.appendChild(new Option(t.name, `saved:${i}`)));
+                    group.hidden = this.saved.length === 0;
+                }
+                const savedIndex = this.savedIndex();
+                const value = this.presetKey() || (savedIndex !== -1 ? `saved:${savedIndex}` : 'custom');
+                const custom = this.select.querySelector('option[value="custom"]');
+                if (custom) custom.hidden = value !== 'custom';
+                this.select.value = value;
+            }
+
+            const deleteBtn = document.getElementById('rc-track-delete');
+            if (deleteBtn) deleteBtn.disabled = this.savedIndex() === -1;
+            const editBtn = document.getElementById('rc-track-edit');
+            if (editBtn) editBtn.textContent = this.editing ? '✅ Done Editing' : '✏️ Edit Track';
+            const help = document.getElementById('rc-track-help');
+            if (help) help.hidden = !this.editing;
+
+            const info = document.getElementById('rc-track-info');
+            if (info) {
+                const corners = track.corners.length;
+                const tightest = Math.min(...track.corners.map(c => c.radius));
+                info.textContent = `${track.name}: ${track.length.toFixed(2)} m per lap · ` +
+                    (corners ? `${corners} corner${corners === 1 ? '' : 's'} (tightest ${tightest.toFixed(2)} m radius)` : 'no corners');
+            }
+        }
+
+        /**
+         * Control points (numbered; 1 is the start line) over the track
+         */
+        drawHandles(ctx) {
+            if (!this.editing) return;
+            const view = this.view();
+
+            ctx.font = 'bold 10px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            this.track.points.forEach(([x, y], i) => {
+                const [px, py] = view.toCanvas(x, y);
+                ctx.fillStyle = i === 0 ? '#3EF1C6' : '#00D1FF';
+                ctx.beginPath();
+                ctx.arc(px, py, HANDLE_RADIUS, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#071733';
+                ctx.fillText(String(i + 1), px, py + 0.5);
+            });
+            ctx.textAlign = 'start';
+            ctx.textBaseline = 'alphabetic';
+        }
+    }
+
+    /* ============================================
+       Drivetrain Panel
+       ============================================ */
+    // Inputs in the units they show, and how each maps onto the car
+    const DRIVETRAIN_FIELDS = {
+        'rc-pinion': { min: 8, max: 40, read: p => p.pinionTeeth,
+            apply: (engine, value) => engine.setGearing(value, engine.params.spurTeeth) },
+        'rc-spur': { min: 30, max: 120, read: p => p.spurTeeth,
+            apply: (engine, value) => engine.setGearing(engine.params.pinionTeeth, value) },
+        'rc-efficiency': { min: 50, max: 100, read: p => Math.round(p.drivetrainEfficiency * 100),
+            apply: (engine, value) => { engine.params.drivetrainEfficiency = value / 100; } },
+        'rc-wheel-diameter': { min: 20, max: 150, read: p => Math.round(p.wheelRadius * 2000),
+            apply: (engine, value) => { engine.params.wheelRadius = value / 2000; } }
+    };
+
+    class DrivetrainPanel {
+        /**
+         * @param {RCCarSimulator} simulator - Its car's params hold the settings
+         */
+        constructor(simulator) {
+            this.simulator = simulator;
+            this.tyreSelect = document.getElementById('rc-tyre');
+            if (!this.tyreSelect) return;
+
+            this.ratioDisplay = document.getElementById('rc-gear-ratio');
+            this.info = document.getElementById('rc-drivetrain-info');
+
+            this.tyreSelect.innerHTML = Object.entries(TYRE_PRESETS)
+                .map(([key, tyre]) => `<option value="${key}">${tyre.name} (grip ×${tyre.grip})</option>`)
+                .join('');
+            this.bindEvents();
+        }
+
+        bindEvents() {
+            Object.entries(DRIVETRAIN_FIELDS).forEach(([id, field]) => {
+                document.getElementById(id)?.addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!(value >= field.min && value <= field.max)) return;
+                    if (field.apply(this.simulator.engine, value) === false) return; // not whole teeth
+                    this.update();
+                    this.simulator.saveCarSettings();
+                });
+            });
+
+            this.tyreSelect.addEventListener('change', (e) => {
+                if (!TYRE_PRESETS[e.target.value]) return;
+                this.simulator.params.tyre = e.target.value;
+                this.update();
+                this.simulator.saveCarSettings();
+            });
+        }
+
+        /**
+         * Set the inputs to match the car
+         */
+        sync() {
+            if (!this.tyreSelect) return;
+            const params = this.simulator.params;
+            Object.entries(DRIVETRAIN_FIELDS).forEach(([id, field]) => {
+                const input = document.getElementById(id);
+                if (input) input.value = field.read(params);
+            });
+            this.tyreSelect.value = params.tyre;
+            this.update();
+        }
+
+        /**
+         * The ratio and what it trades off, under the inputs
+         */
+        update() {
+            if (!this.tyreSelect) return;
+            const { gearRatio, topSpeed, launchForce, gripForce } = this.simulator.engine.gearingSummary();
+            if (this.ratioDisplay) this.ratioDisplay.textContent = `${gearRatio.toFixed(2)}:1`;
+            if (!this.info) return;
+
+            const params = this.simulator.params;
+            this.info.textContent = `${params.spurTeeth} ÷ ${params.pinionTeeth} = ${gearRatio.toFixed(2)}:1 - ` +
+                `the wheels turn once every ${gearRatio.toFixed(2)} motor turns. At full throttle and this charge ` +
+                `the car could reach ${topSpeed.toFixed(2)} m/s before friction and drag, and pushes off with ` +
+                `${launchForce.toFixed(2)} N (the tyres grip up to ${gripForce.toFixed(2)} N).`;
+        }
+    }
+
+    /* ============================================
+       Throttle Controller Panel
+       ============================================ */
+    // Settings each controller uses (the rest are hidden)
+    const CONTROLLER_FIELDS = {
+        'rc-target-speed': { param: 'targetSpeed', min: 0.05, max: 10, controllers: ['cruise'] },
+        'rc-kp': { param: 'kp', min: 0, max: 100, controllers: ['cruise', 'eco'] },
+        'rc-ki': { param: 'ki', min: 0, max: 100, controllers: ['cruise', 'eco'] },
+        'rc-kd': { param: 'kd', min: 0, max: 100, controllers: ['cruise', 'eco'] }
+    };
+
+    class ControllerPanel {
+        /**
+         * @param {RCCarSimulator} simulator - Its car's params hold the settings
+         */
+        constructor(simulator) {
+            this.simulator = simulator;
+            this.comparison = null;
+            this.timer = null;
+            this.select = document.getElementById('rc-controller-select');
+            if (!this.select) return;
+
+            this.info = document.getElementById('rc-controller-info');
+            this.scriptInput = document.getElementById('rc-script');
+            this.scriptStatus = document.getElementById('rc-script-status');
+            this.compareStatus = document.getElementById('rc-compare-status');
+            this.compareBtn = document.getElementById('rc-compare-run');
+            this.stopBtn = document.getElementById('rc-compare-stop');
+
+            this.bindEvents();
+        }
+
+        get params() {
+            return this.simulator.params;
+        }
+
+        bindEvents() {
+            this.select.addEventListener('change', (e) => {
+                if (!CONTROLLERS[e.target.value]) return;
+                this.params.controller = e.target.value;
+                this.simulator.engine.pid.reset();
+                this.simulator.state.setpoint = null; // the old target no longer applies
+                this.sync();
+                this.simulator.saveCarSettings();
+            });
+
+            Object.entries(CONTROLLER_FIELDS).forEach(([id, field]) => {
+                document.getElementById(id)?.addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!(value >= field.min && value <= field.max)) return;
+                    this.params[field.param] = value;
+                    this.simulator.saveCarSettings();
+                });
+            });
+
+            // A script only replaces the last good one once it parses
+            this.scriptInput?.addEventListener('input', (e) => {
+                const errors = checkThrottleScript(e.target.value);
+                this.showScriptErrors(errors);
+                if (errors.length) return;
+                this.params.script = e.target.value;
+                this.simulator.saveCarSettings();
+            });
+
+            this.compareBtn?.addEventListener('click', () => this.startComparison());
+            this.stopBtn?.addEventListener('click', () => {
+                this.stopComparison();
+                this.setCompareStatus(`Stopped after ${this.comparison.points.length} of ${this.comparison.values.length} runs.`);
+            });
+        }
+
+        /**
+         * Set the controls to match the car, showing only the settings the
+         * chosen controller uses
+         */
+        sync() {
+            if (!this.select) return;
+            const controller = this.params.controller;
+            this.select.value = controller;
+
+            Object.entries(CONTROLLER_FIELDS).forEach(([id, field]) => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                input.value = this.params[field.param];
+                input.closest('.form-group').hidden = !field.controllers.includes(controller);
+            });
+
+            const scriptGroup = document.getElementById('rc-script-group');
+            if (scriptGroup) scriptGroup.hidden = controller !== 'script';
+            if (this.scriptInput) this.scriptInput.value = this.params.script;
+            this.showScriptErrors([]);
+
+            // The slider is the constant controller's throttle
+            const throttleSlider = document.getElementById('rc-throttle');
+            if (throttleSlider) throttleSlider.disabled = controller !== 'constant';
+
+            this.update();
+        }
+
+        showScriptErrors(errors) {
+            if (!this.scriptStatus) return;
+            this.scriptStatus.textContent = errors.length ? `${errors.join('. ')}. The car keeps the last script that worked.` : '';
+        }
+
+        /**
+         * What the controller is doing right now, under the controls
+         */
+        update() {
+            if (!this.info) return;
+            const state = this.simulator.state;
+            const throttle = `${Math.round(state.drive * 100)}% throttle`;
+
+            if (this.params.controller === 'cruise') {
+                this.info.textContent = `Holding ${this.params.targetSpeed.toFixed(2)} m/s: the PID loop sets the ` +
+                    `throttle from the speed error (now ${throttle}).`;
+            } else if (this.params.controller === 'eco') {
+                const target = state.setpoint ?? this.simulator.engine.efficientSpeed();
+                this.info.textContent = `Aiming for ${target.toFixed(2)} m/s, the steady speed that uses the least ` +
+                    `energy per metre at ${state.batteryCharge.toFixed(0)}% charge (now ${throttle}).`;
+            } else if (this.params.controller === 'script') {
+                this.info.textContent = `The script sets the throttle every step (now ${throttle}).`;
+            } else {
+                this.info.textContent = 'The throttle slider sets the throttle.';
+            }
         }
 
         /* ============================================
-           Physics Calculations
+           Controller Comparison
            ============================================ */
-        calculateMotorForce() {
-            // F_motor = (τ / r) × throttle × efficiency
-            const torque = this.params.maxTorque * this.params.throttle;
-            const force = (torque / this.params.wheelRadius) * this.params.motorEfficiency;
-            return force;
+        startComparison() {
+            if (!(this.params.throttle > 0)) {
+                this.setCompareStatus('Set the throttle slider above 0% first - the constant-throttle run uses it.');
+                return;
+            }
+
+            this.stopComparison();
+            this.comparison = new ControllerComparison(this.simulator.engine, { throttle: this.params.throttle });
+            if (this.compareBtn) this.compareBtn.disabled = true;
+            if (this.stopBtn) this.stopBtn.disabled = false;
+            this.renderComparison();
+            this.tickComparison();
         }
 
-        calculateFriction() {
-            // f = μ × N = μ × m × g
-            const normalForce = this.params.mass * 9.81;
-            const friction = this.params.frictionCoeff * normalForce;
-            // Friction opposes motion
-            return this.state.velocity > 0 ? -friction : 0;
+        tickComparison() {
+            const done = this.comparison.advance(SWEEP_STEPS_PER_TICK);
+            this.renderComparison();
+
+            if (done) {
+                this.stopComparison();
+                const finished = this.comparison.points.filter(p => p.result !== null);
+                if (!finished.length) {
+                    this.setCompareStatus('Done, but no controller ran the pack flat.');
+                    return;
+                }
+                const best = finished.reduce((a, b) => (b.result > a.result ? b : a));
+                this.setCompareStatus(`Done: ${CONTROLLERS[best.value]} went furthest ` +
+                    `(${best.result.toFixed(1)} laps).`);
+                return;
+            }
+            this.setCompareStatus(`Running ${CONTROLLERS[this.comparison.values[this.comparison.points.length]]}…`);
+            this.timer = setTimeout(() => this.tickComparison(), 0);
+        }
+
+        stopComparison() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (this.compareBtn) this.compareBtn.disabled = false;
+            if (this.stopBtn) this.stopBtn.disabled = true;
         }
 
-        calculateAirResistance() {
-            // F_air = -k × v²
-            const airDrag = this.params.airResistance * this.state.velocity * Math.abs(this.state.velocity);
-            return -airDrag;
+        setCompareStatus(text) {
+            if (this.compareStatus) this.compareStatus.textContent = text;
         }
 
-        calculateAcceleration() {
-            const motorForce = this.calculateMotorForce();
-            const friction = this.calculateFriction();
-            const airDrag = this.calculateAirResistance();
+        renderComparison() {
+            const head = document.getElementById('rc-compare-head');
+            const body = document.getElementById('rc-compare-body');
+            if (!head || !body || !this.comparison) return;
+
+            const columns = ['Controller', 'Laps per charge', 'Run time (min)', 'Average speed (m/s)',
+                'Energy per lap (J)', 'Spins'];
+            head.innerHTML = `<tr>${columns.map(label => `<th>${label}</th>`).join('')}</tr>`;
+            body.innerHTML = '';
+            this.comparison.values.forEach((controller, i) => {
+                const point = this.comparison.points[i];
+                const cells = point
+                    ? [
+                        point.result === null ? '—' : formatFixed(point.result, 1),
+                        formatFixed(point.runtime / 60, 1),
+                        formatFixed(point.averageSpeed, 3),
+                        point.energyPerLap === null ? '—' : formatFixed(point.energyPerLap, 1),
+                        String(point.spins)
+                    ]
+                    : ['…', '…', '…', '…', '…'];
+                const row = document.createElement('tr');
+                [CONTROLLERS[controller], ...cells].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+        }
+    }
 
-            // F_net = F_motor + F_friction + F_air
-            const netForce = motorForce + friction + airDrag;
+    /* ============================================
+       Race Mode Panel
+       ============================================ */
+    // Starting line-ups; the first few are used
+    const RACE_CARS = [
+        { batteryPreset: '4aa-alkaline', motorPreset: 'small-dc-motor', mass: 0.5, controller: 'constant' },
+        { batteryPreset: '4aa-nimh', motorPreset: 'small-dc-motor', mass: 0.5, controller: 'constant' },
+        { batteryPreset: '4aa-alkaline', motorPreset: 'hobby-motor', mass: 0.5, controller: 'constant' },
+        { batteryPreset: '4aa-nimh', motorPreset: 'hobby-motor', mass: 0.5, controller: 'constant' }
+    ];
+
+    const RACE_STATUS = { finished: 'Finished', flat: 'Flat battery', racing: 'Racing' };
+
+    /**
+     * Seconds as "m:ss.ss" from a minute up
+     */
+    function formatRaceTime(seconds) {
+        if (seconds < 60) return `${seconds.toFixed(2)} s`;
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`;
+    }
 
-            // a = F / m
-            const acceleration = netForce / this.params.mass;
-            return acceleration;
+    class RacePanel {
+        /**
+         * @param {RCCarSimulator} simulator - Its car lends every racer the
+         *   track and the settings the race doesn't set
+         */
+        constructor(simulator) {
+            this.simulator = simulator;
+            this.race = null;        // the RCRace on the track, finished or not
+            this.running = false;
+            this.accumulator = 0;
+            this.previous = [];      // each car's distance one step ago, for smooth drawing
+            this.carsBody = document.getElementById('rc-race-cars');
+            if (!this.carsBody) return;
+
+            this.status = document.getElementById('rc-race-status');
+            this.startBtn = document.getElementById('rc-race-start');
+            this.endBtn = document.getElementById('rc-race-end');
+
+            this.bindEvents();
+            this.renderCars();
+            this.setStatus('Set up the cars, then start the race.');
         }
 
-        updateBattery(dt) {
-            if (this.params.throttle > 0) {
-                // Energy used = P × t = V × I × t
-                const power = this.params.batteryVoltage * this.params.batteryCurrent * this.params.throttle;
-                const energyUsed = power * dt;
-                this.state.totalEnergy += energyUsed;
+        bindEvents() {
+            document.getElementById('rc-race-count')?.addEventListener('change', () => this.renderCars());
+            this.startBtn?.addEventListener('click', () => this.start());
+            this.endBtn?.addEventListener('click', () => this.end('Race ended.'));
+        }
 
-                // Drain battery based on capacity
-                // Full capacity in Joules: V × (mAh × 3.6)
-                const fullCapacity = this.params.batteryVoltage * (this.params.batteryCapacity * 3.6);
-                this.state.batteryCharge = Math.max(0, 100 - (this.state.totalEnergy / fullCapacity * 100));
+        /**
+         * One row of selects per car, keeping the choices already made
+         */
+        renderCars() {
+            const count = parseInt(document.getElementById('rc-race-count')?.value, 10) || 2;
+            const current = this.readCars();
+            const options = (entries, selected) => entries
+                .map(([key, label]) => `<option value="${key}"${key === selected ? ' selected' : ''}>${label}</option>`)
+                .join('');
+            const batteries = Object.entries(BATTERY_PRESETS)
+                .filter(([, preset]) => preset.capacityMah)
+                .map(([key, preset]) => [key, `${preset.name} (${(preset.voltage * preset.series).toFixed(1)} V)`]);
+            const motors = Object.entries(MOTOR_PRESETS)
+                .filter(([, preset]) => preset.noLoadRPM)
+                .map(([key, preset]) => [key, preset.name]);
+
+            this.carsBody.innerHTML = '';
+            for (let i = 0; i < Math.min(count, MAX_RACE_CARS); i++) {
+                const car = current[i] || RACE_CARS[i];
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td><span style="color: ${CAR_COLORS[i][1]};">■</span> Car ${i + 1}</td>
+                    <td><select class="form-select" data-field="batteryPreset" aria-label="Car ${i + 1} battery pack">
+                        ${options(batteries, car.batteryPreset)}</select></td>
+                    <td><select class="form-select" data-field="motorPreset" aria-label="Car ${i + 1} motor">
+                        ${options(motors, car.motorPreset)}</select></td>
+                    <td><input type="number" class="form-input form-input--number" data-field="mass" min="50"
+                        max="20000" step="10" value="${Math.round(car.mass * 1000)}" aria-label="Car ${i + 1} mass (g)"></td>
+                    <td><select class="form-select" data-field="controller" aria-label="Car ${i + 1} controller">
+                        ${options(Object.entries(CONTROLLERS), car.controller)}</select></td>`;
+                this.carsBody.appendChild(row);
             }
         }
 
-        updatePhysics(dt) {
-            // Don't run if battery is dead
-            if (this.state.batteryCharge <= 0) {
-                this.params.throttle = 0;
+        /**
+         * The line-up as entered: [{ batteryPreset, motorPreset, mass (kg), controller }]
+         */
+        readCars() {
+            if (!this.carsBody) return [];
+            return Array.from(this.carsBody.rows).map(row => {
+                const field = name => row.querySelector(`[data-field="${name}"]`)?.value;
+                return {
+                    batteryPreset: field('batteryPreset'),
+                    motorPreset: field('motorPreset'),
+                    mass: parseFloat(field('mass')) / 1000,
+                    controller: field('controller')
+                };
+            });
+        }
+
+        start() {
+            const setup = {
+                cars: this.readCars(),
+                laps: parseFloat(document.getElementById('rc-race-laps')?.value)
+            };
+            const errors = checkRace(setup);
+            if (errors.length) {
+                this.setStatus(errors.join('. ') + '.');
+                return;
             }
 
-            // Calculate new acceleration
-            this.state.acceleration = this.calculateAcceleration();
+            this.simulator.setRunning(false);
+            if (this.simulator.trackEditor.editing) this.simulator.trackEditor.setEditing(false);
+            this.race = new RCRace(this.simulator.engine, setup);
+            this.previous = this.race.cars.map(() => 0);
+            this.accumulator = 0;
+            this.running = true;
+            if (this.endBtn) this.endBtn.disabled = false;
+            this.setSummary('');
+            this.setStatus(`Racing ${setup.laps} lap${setup.laps === 1 ? '' : 's'}…`);
+            this.renderLeaderboard();
+        }
 
-            // Update velocity: v = v₀ + at
-            this.state.velocity += this.state.acceleration * dt;
-            this.state.velocity = Math.max(0, this.state.velocity); // No negative velocity
+        /**
+         * Take the cars off the track; the leaderboard keeps the last standings
+         */
+        end(message) {
+            this.race = null;
+            this.running = false;
+            if (this.endBtn) this.endBtn.disabled = true;
+            this.setStatus(message);
+        }
 
-            // Update position: x = x₀ + vt
-            this.state.position += this.state.velocity * dt;
+        /**
+         * Run the race on by a frame's worth of time (faster at higher
+         * playback speeds), in the same fixed steps as the single car
+         */
+        update(frameTime) {
+            if (this.race.track !== this.simulator.engine.track) {
+                this.end('The track changed, so the race was called off.');
+                return;
+            }
+            if (!this.running) return;
+
+            const speed = parseFloat(document.getElementById('rc-race-speed')?.value) || 1;
+            this.accumulator += frameTime * speed;
+            while (this.accumulator >= PHYSICS_DT && !this.race.done) {
+                this.previous = this.race.cars.map(car => car.engine.distanceTravelled());
+                this.race.step();
+                this.accumulator -= PHYSICS_DT;
+            }
+            this.renderLeaderboard();
 
-            // Check for lap completion
-            if (this.state.position >= this.track.length) {
-                this.state.position -= this.track.length;
-                this.state.lapCount++;
+            if (this.race.done) this.finish();
+        }
 
-                if (this.state.lapTime > 0 && this.state.lapTime < this.state.bestLapTime) {
-                    this.state.bestLapTime = this.state.lapTime;
-                }
-                this.state.lapTime = 0;
+        finish() {
+            this.running = false;
+            this.accumulator = 0;
+            this.previous = this.race.cars.map(car => car.engine.distanceTravelled());
+            this.setStatus(`Race over after ${formatRaceTime(this.race.elapsed)}.`);
+            this.setSummary(this.summary());
+        }
+
+        /**
+         * Who won and by how much, who ran out, and who used the least energy
+         */
+        summary() {
+            const standings = this.race.standings();
+            const setupOf = entry => {
+                const battery = BATTERY_PRESETS[entry.engine.params.batteryPreset]?.name;
+                const motor = MOTOR_PRESETS[entry.engine.params.motorPreset]?.name;
+                return `on a ${battery} with a ${motor}`;
+            };
+            const parts = [];
+
+            const [winner, second] = standings;
+            if (winner.status === 'finished') {
+                const margin = second?.status === 'finished'
+                    ? `, ${(second.finishTime - winner.finishTime).toFixed(2)} s ahead of ${second.name},`
+                    : '';
+                parts.push(`🏁 ${winner.name} wins in ${formatRaceTime(winner.finishTime)}${margin} ${setupOf(winner)}.`);
+            } else {
+                parts.push(`Nobody finished: ${winner.name} got furthest (${winner.distance.toFixed(1)} m) ${setupOf(winner)}.`);
+            }
+
+            standings.filter(entry => entry.status === 'flat').forEach(entry => {
+                parts.push(`${entry.name} ran its pack flat on lap ${entry.laps + 1}.`);
+            });
+
+            const thrifty = standings.reduce((best, entry) => (entry.energy < best.energy ? entry : best));
+            if (thrifty.distance > 0) {
+                parts.push(`${thrifty.name} used the least energy: ${thrifty.energy.toFixed(0)} J, ` +
+                    `finishing with ${thrifty.charge.toFixed(1)}% charge.`);
+            }
+            return parts.join(' ');
+        }
+
+        setStatus(text) {
+            if (this.status) this.status.textContent = text;
+        }
+
+        setSummary(text) {
+            const summary = document.getElementById('rc-race-summary');
+            if (summary) summary.textContent = text;
+        }
+
+        renderLeaderboard() {
+            const head = document.getElementById('rc-race-head');
+            const body = document.getElementById('rc-race-body');
+            if (!head || !body || !this.race) return;
+
+            const columns = ['Pos', 'Car', 'Laps', 'Best lap (s)', 'Charge (%)', 'Energy (J)', 'Status'];
+            head.innerHTML = `<tr>${columns.map(label => `<th>${label}</th>`).join('')}</tr>`;
+            body.innerHTML = '';
+            this.race.standings().forEach(entry => {
+                const spun = entry.status === 'racing' && entry.engine.state.recovery > 0;
+                const status = entry.status === 'finished'
+                    ? `Finished in ${formatRaceTime(entry.finishTime)}`
+                    : spun ? 'Spun out' : RACE_STATUS[entry.status];
+                const row = document.createElement('tr');
+                [
+                    String(entry.place),
+                    entry.name,
+                    `${Math.min(entry.laps, this.race.laps)} / ${this.race.laps}`,
+                    entry.bestLapTime === null ? '—' : formatFixed(entry.bestLapTime, 2),
+                    formatFixed(entry.charge, 1),
+                    formatFixed(entry.energy, 0),
+                    status
+                ].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+        }
+
+        /**
+         * Every car on the track, placed between physics steps like the
+         * single car, and the race clock
+         */
+        draw(ctx) {
+            const alpha = this.running ? this.accumulator / PHYSICS_DT : 0;
+            const length = this.race.track.length;
+
+            this.race.cars.forEach((car, i) => {
+                const distance = car.engine.distanceTravelled();
+                const drawn = this.previous[i] + (distance - this.previous[i]) * alpha;
+                this.simulator.drawCarAt(ctx, drawn % length, car.engine.state.velocity, car.engine.state,
+                    CAR_COLORS[i], String(i + 1));
+            });
+
+            const leader = this.race.standings()[0];
+            ctx.fillStyle = 'rgba(10, 22, 40, 0.9)';
+            ctx.beginPath();
+            ctx.roundRect(10, 10, 120, 55, 8);
+            ctx.fill();
+
+            ctx.fillStyle = '#888';
+            ctx.font = '10px Inter';
+            ctx.fillText(this.running ? 'RACE' : 'RACE OVER', 20, 28);
+            ctx.fillStyle = '#00D1FF';
+            ctx.font = 'bold 16px Inter';
+            ctx.fillText(formatRaceTime(this.race.elapsed), 20, 46);
+            ctx.fillStyle = '#888';
+            ctx.font = '10px Inter';
+            ctx.fillText(`Leader: ${leader.name}, lap ${Math.min(leader.laps + 1, this.race.laps)}/${this.race.laps}`, 20, 59);
+        }
+    }
+
+    /* ============================================
+       RC Car Simulation Class
+       ============================================ */
+    class RCCarSimulator {
+        constructor(containerId) {
+            this.containerId = containerId;
+            this.container = null;
+            this.sideCanvas = null;
+            this.trackCanvas = null;
+            this.animationId = null;
+
+            // Car physics (rc-car-engine.js) - this class only draws it
+            this.engine = new RCCarEngine();
+            this.isRunning = false;
+
+            // Samples of each run for the data table / CSV
+            this.logger = new DataLogger();
+
+            // Timing: real time not yet simulated, and the car as drawn
+            // (between the last two physics steps)
+            this.lastTime = 0;
+            this.accumulator = 0;
+            this.previousDistance = 0;
+            this.previousVelocity = 0;
+            this.view = { position: 0, velocity: 0 };
+        }
+
+        // The engine's state and parameters, for the renderers and controls
+        get state() {
+            return this.engine.state;
+        }
+
+        get params() {
+            return this.engine.params;
+        }
+
+        /* ============================================
+           Battery & Motor
+           ============================================ */
+        /**
+         * Choose the battery pack: a BATTERY_PRESETS key, or 'project' for
+         * the pack saved from the battery calculator
+         */
+        setBatteryPreset(key) {
+            if (key !== 'project') {
+                this.engine.setBatteryPreset(key);
+                return;
             }
 
-            this.state.lapTime += dt;
+            const saved = window.ChargedUP.ProjectState?.get('battery');
+            if (!saved || !saved.capacityMah || !saved.cellVoltage) return;
+
+            this.engine.setBattery({
+                type: saved.chemistry || 'alkaline',
+                cellVoltage: saved.cellVoltage,
+                series: saved.series || 1,
+                parallel: saved.parallel || 1,
+                capacityMah: saved.capacityMah,
+                internalR: saved.internalR || 0.3
+            }, key);
+        }
 
-            // Update battery
-            this.updateBattery(dt);
+        /**
+         * Choose the motor: a MOTOR_PRESETS key, or 'project' for the motor
+         * (preset + armature resistance) saved from the physics simulator
+         */
+        setMotorPreset(key) {
+            if (key !== 'project') {
+                this.engine.setMotorPreset(key);
+                return;
+            }
+
+            const saved = window.ChargedUP.ProjectState?.get('motor');
+            const preset = saved && MOTOR_PRESETS[saved.preset || 'small-dc-motor'];
+            if (!preset || !preset.noLoadRPM) return;
+
+            this.engine.setMotor(preset, saved.motorR || preset.armatureR, key);
+        }
+
+        /* ============================================
+           Physics Steps
+           ============================================ */
+        /**
+         * One fixed physics step of PHYSICS_DT
+         * Steps are always the same length, so a run depends only on its
+         * inputs - not on the frame rate or a backgrounded tab.
+         */
+        updatePhysics(dt = PHYSICS_DT) {
+            // Log the starting state, so a run's table begins at t = 0
+            if (this.state.steps === 0) this.logSample();
+
+            const { drive, resistance } = this.engine.step(dt);
+
+            this.logSample();
+            this.telemetry?.push({
+                time: this.state.elapsed,
+                velocity: this.state.velocity,
+                setpoint: this.state.setpoint,
+                throttle: this.state.drive * 100,
+                acceleration: this.state.acceleration,
+                force: drive.force,
+                resistance,
+                battery: this.state.batteryCharge,
+                power: drive.power
+            });
+        }
+
+        /**
+         * Offer the current state to the data logger
+         */
+        logSample() {
+            const sample = this.logger.record(this.state.elapsed, {
+                distance: this.engine.distanceTravelled(),
+                velocity: this.state.velocity,
+                acceleration: this.state.acceleration,
+                lateralAccel: this.state.lateralAccel,
+                batteryCharge: this.state.batteryCharge,
+                energy: this.state.totalEnergy,
+                recovered: this.state.energyRecovered,
+                throttle: this.state.drive * 100,
+                setpoint: this.state.setpoint,
+                mass: this.params.mass,
+                frictionCoeff: this.params.frictionCoeff
+            });
+            if (sample) {
+                this.appendLogRow(sample);
+            } else if (this.logger.isFull) {
+                this.renderLogStatus();
+            }
         }
 
         /* ============================================
@@ -159,7 +1623,7 @@
             ctx.fillRect(0, 0, w, h);
 
             // Draw ground with moving texture based on velocity
-            const groundOffset = (this.state.position * 50) % 40;
+            const groundOffset = ((this.view.position * 50) % 40 + 40) % 40;
             ctx.fillStyle = '#1a2a40';
             ctx.fillRect(0, h - 40, w, 40);
 
@@ -221,7 +1685,7 @@
             ctx.fill();
 
             // Wheels with rotation
-            const wheelRotation = (this.state.position * 10) % (2 * Math.PI);
+            const wheelRotation = (this.view.position * 10) % (2 * Math.PI);
 
             // Front wheel
             this.drawWheel(ctx, x + 15, y + 25, 12, wheelRotation);
@@ -230,13 +1694,13 @@
             this.drawWheel(ctx, x + 65, y + 25, 12, wheelRotation);
 
             // Speed lines when moving fast
-            if (this.state.velocity > 1) {
-                const alpha = Math.min(this.state.velocity / 5, 0.6);
+            if (this.view.velocity > 1) {
+                const alpha = Math.min(this.view.velocity / 5, 0.6);
                 ctx.strokeStyle = `rgba(0, 209, 255, ${alpha})`;
                 ctx.lineWidth = 2;
                 for (let i = 0; i < 4; i++) {
                     const lineY = y + 5 + i * 6;
-                    const lineLength = 20 + this.state.velocity * 5;
+                    const lineLength = 20 + this.view.velocity * 5;
                     ctx.beginPath();
                     ctx.moveTo(x - 10, lineY);
                     ctx.lineTo(x - 10 - lineLength, lineY);
@@ -280,8 +1744,8 @@
         }
 
         drawForceVectors(ctx, x, y) {
-            const motorForce = Math.abs(this.calculateMotorForce());
-            const friction = Math.abs(this.calculateFriction());
+            const motorForce = Math.abs(this.engine.calculateMotorForce());
+            const friction = Math.abs(this.engine.calculateFriction());
             const acceleration = this.state.acceleration;
             const scale = 5;
 
@@ -327,7 +1791,7 @@
             }
 
             // Friction force (left, red)
-            if (friction > 0.1 && this.state.velocity > 0.1) {
+            if (friction > 0.1 && this.view.velocity > 0.1) {
                 ctx.strokeStyle = '#ff6347';
                 ctx.lineWidth = 2;
                 ctx.beginPath();
@@ -339,7 +1803,7 @@
 
         drawSpeedometer(ctx, x, y) {
             const maxSpeed = 5; // m/s
-            const speed = this.state.velocity;
+            const speed = this.view.velocity;
             const speedKmh = speed * 3.6;
 
             // Background
@@ -412,91 +1876,137 @@
             ctx.fillStyle = '#0a1628';
             ctx.fillRect(0, 0, w, h);
 
-            // Draw oval track
-            this.drawTrack(ctx, w, h);
-
-            // Draw car on track
-            this.drawTrackCar(ctx, w, h);
+            // Draw the track, then the car (or the race) on it
+            this.drawTrack(ctx);
+            if (this.racePanel.race) {
+                this.racePanel.draw(ctx);
+                this.trackEditor.drawHandles(ctx);
+                return;
+            }
+            this.drawTrackCar(ctx);
+            this.trackEditor.drawHandles(ctx);
 
             // Draw lap info
             this.drawLapInfo(ctx, w, h);
         }
 
-        drawTrack(ctx, w, h) {
-            const centerX = w / 2;
-            const centerY = h / 2;
-            const outerRadiusX = w * 0.4;
-            const outerRadiusY = h * 0.35;
-            const innerRadiusX = w * 0.25;
-            const innerRadiusY = h * 0.2;
-
-            // Outer track boundary
-            ctx.strokeStyle = '#333';
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.ellipse(centerX, centerY, outerRadiusX, outerRadiusY, 0, 0, Math.PI * 2);
-            ctx.stroke();
+        /**
+         * The track's spline as a road, with its corners marked (T1, T2…)
+         * and the start/finish line at the first control point
+         */
+        drawTrack(ctx) {
+            const track = this.engine.track;
+            const view = this.trackEditor.view();
+            const roadWidth = Math.max(14, TRACK_WIDTH * view.scale);
+
+            // Through the track's samples from one distance to another
+            const tracePath = (from = 0, to = track.length) => {
+                const points = [track.pointAt(from)];
+                [0, track.length].forEach(lap => {
+                    track.samples.forEach(p => {
+                        if (p.s + lap > from && p.s + lap < to) points.push(p);
+                    });
+                });
+                points.push(track.pointAt(to));
 
-            // Track surface
-            ctx.fillStyle = '#1a2a40';
-            ctx.beginPath();
-            ctx.ellipse(centerX, centerY, outerRadiusX, outerRadiusY, 0, 0, Math.PI * 2);
-            ctx.fill();
+                ctx.beginPath();
+                points.forEach((p, k) => {
+                    const [px, py] = view.toCanvas(p.x, p.y);
+                    k === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py);
+                });
+            };
 
-            // Inner boundary
-            ctx.fillStyle = '#0a1628';
-            ctx.beginPath();
-            ctx.ellipse(centerX, centerY, innerRadiusX, innerRadiusY, 0, 0, Math.PI * 2);
-            ctx.fill();
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
 
+            // Edges, then the surface over them
             ctx.strokeStyle = '#333';
-            ctx.beginPath();
-            ctx.ellipse(centerX, centerY, innerRadiusX, innerRadiusY, 0, 0, Math.PI * 2);
+            ctx.lineWidth = roadWidth + 6;
+            tracePath();
+            ctx.closePath();
+            ctx.stroke();
+
+            ctx.strokeStyle = '#1a2a40';
+            ctx.lineWidth = roadWidth;
+            tracePath();
+            ctx.closePath();
             ctx.stroke();
 
+            // Corners
+            ctx.strokeStyle = 'rgba(255, 179, 71, 0.25)';
+            track.corners.forEach(corner => {
+                const end = corner.end < corner.start ? corner.end + track.length : corner.end;
+                tracePath(corner.start, end);
+                ctx.stroke();
+            });
+
             // Track center line (dashed)
-            const midRadiusX = (outerRadiusX + innerRadiusX) / 2;
-            const midRadiusY = (outerRadiusY + innerRadiusY) / 2;
             ctx.strokeStyle = '#3a4a60';
             ctx.lineWidth = 2;
             ctx.setLineDash([10, 10]);
-            ctx.beginPath();
-            ctx.ellipse(centerX, centerY, midRadiusX, midRadiusY, 0, 0, Math.PI * 2);
+            tracePath();
+            ctx.closePath();
             ctx.stroke();
             ctx.setLineDash([]);
-
-            // Start/Finish line
+            ctx.lineCap = 'butt';
+
+            // Corner labels, on the outside of each bend
+            ctx.fillStyle = '#ffb347';
+            ctx.font = 'bold 11px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            track.corners.forEach((corner, i) => {
+                const p = track.pointAt(corner.apex);
+                const side = corner.direction === 'right' ? -1 : 1;
+                const offset = (roadWidth / 2 + 12) / view.scale * side;
+                const [px, py] = view.toCanvas(p.x - Math.sin(p.heading) * offset, p.y + Math.cos(p.heading) * offset);
+                ctx.fillText(`T${i + 1}`, px, py + 4);
+            });
+            ctx.textAlign = 'start';
+
+            // Start/Finish line, across the road
+            const start = track.pointAt(0);
+            const [sx, sy] = view.toCanvas(start.x, start.y);
+            const nx = -Math.sin(start.heading) * (roadWidth / 2 - 2);
+            const ny = Math.cos(start.heading) * (roadWidth / 2 - 2);
             ctx.strokeStyle = '#fff';
             ctx.lineWidth = 4;
             ctx.beginPath();
-            ctx.moveTo(centerX + innerRadiusX + 5, centerY);
-            ctx.lineTo(centerX + outerRadiusX - 5, centerY);
+            ctx.moveTo(sx - nx, sy - ny);
+            ctx.lineTo(sx + nx, sy + ny);
             ctx.stroke();
         }
 
-        drawTrackCar(ctx, w, h) {
-            const centerX = w / 2;
-            const centerY = h / 2;
-            const trackRadiusX = w * 0.325;
-            const trackRadiusY = h * 0.275;
-
-            // Calculate car position on track based on distance
-            const progress = (this.state.position / this.track.length) * Math.PI * 2;
-            const carX = centerX + Math.cos(progress - Math.PI / 2) * trackRadiusX;
-            const carY = centerY + Math.sin(progress - Math.PI / 2) * trackRadiusY;
+        drawTrackCar(ctx) {
+            this.drawCarAt(ctx, this.view.position, this.view.velocity, this.state, CAR_COLORS[0]);
+        }
 
-            // Car direction (tangent to track)
-            const angle = progress;
+        /**
+         * One car on the track, seen from above
+         * @param {number} position - m along the lap
+         * @param {number} velocity - m/s, for the speed trail
+         * @param {Object} state - The car's engine state (brake, recovery)
+         * @param {string[]} colors - Body [edge, middle] colours
+         * @param {string} label - Drawn beside the car (e.g. its race number)
+         */
+        drawCarAt(ctx, position, velocity, state, colors, label = '') {
+            const track = this.engine.track;
+            const view = this.trackEditor.view();
+
+            // Car position on the spline, by distance along it
+            const here = track.pointAt(position);
+            const [carX, carY] = view.toCanvas(here.x, here.y);
 
             ctx.save();
             ctx.translate(carX, carY);
-            ctx.rotate(angle);
+            ctx.rotate(here.heading + Math.PI / 2); // the car is drawn nose up
 
-            // Car body (top view)
+            // Car body (top view) - red while it recovers from sliding off
+            const spun = state.recovery > 0;
+            const [edge, middle] = spun ? SPUN_COLORS : colors;
             const gradient = ctx.createLinearGradient(-12, 0, 12, 0);
-            gradient.addColorStop(0, '#00A0CC');
-            gradient.addColorStop(0.5, '#00D1FF');
-            gradient.addColorStop(1, '#00A0CC');
+            gradient.addColorStop(0, edge);
+            gradient.addColorStop(0.5, middle);
+            gradient.addColorStop(1, edge);
 
             ctx.fillStyle = gradient;
             ctx.beginPath();
@@ -514,18 +2024,34 @@
             ctx.fillRect(-10, 2, 4, 8);
             ctx.fillRect(6, 2, 4, 8);
 
+            // Brake lights
+            if (state.brake > 0) {
+                ctx.fillStyle = '#ff6347';
+                ctx.fillRect(-7, 10, 4, 2);
+                ctx.fillRect(3, 10, 4, 2);
+            }
+
             ctx.restore();
 
+            if (label) {
+                ctx.fillStyle = middle;
+                ctx.font = 'bold 11px Inter';
+                ctx.fillText(label, carX - 18, carY - 10);
+            }
+            if (spun) {
+                ctx.fillStyle = '#ff6347';
+                ctx.font = 'bold 12px Inter';
+                ctx.fillText('SPUN OUT!', carX + 14, carY - 10);
+            }
+
             // Speed trail
-            if (this.state.velocity > 0.5) {
-                const trailLength = Math.min(this.state.velocity * 10, 30);
-                const prevProgress = ((this.state.position - this.state.velocity * 0.1) / this.track.length) * Math.PI * 2;
-                const prevX = centerX + Math.cos(prevProgress - Math.PI / 2) * trackRadiusX;
-                const prevY = centerY + Math.sin(prevProgress - Math.PI / 2) * trackRadiusY;
+            if (Math.abs(velocity) > 0.5) {
+                const behind = track.pointAt(position - velocity * 0.1);
+                const [prevX, prevY] = view.toCanvas(behind.x, behind.y);
 
                 const trailGradient = ctx.createLinearGradient(prevX, prevY, carX, carY);
-                trailGradient.addColorStop(0, 'rgba(0, 209, 255, 0)');
-                trailGradient.addColorStop(1, 'rgba(0, 209, 255, 0.5)');
+                trailGradient.addColorStop(0, `${middle}00`);
+                trailGradient.addColorStop(1, `${middle}80`);
 
                 ctx.strokeStyle = trailGradient;
                 ctx.lineWidth = 4;
@@ -555,10 +2081,14 @@
             ctx.font = '10px Inter';
             ctx.fillText(`Time: ${this.state.lapTime.toFixed(1)}s`, 20, 72);
 
+            // Slides off the track
+            ctx.fillStyle = this.state.spins > 0 ? '#ff6347' : '#888';
+            ctx.fillText(`Spins: ${this.state.spins}`, 75, 72);
+
             // Best lap
             if (this.state.bestLapTime < Infinity) {
                 ctx.fillStyle = '#3EF1C6';
-                ctx.fillText(`Best: ${this.state.bestLapTime.toFixed(1)}s`, 70, 28);
+                ctx.fillText(`Best: ${this.state.bestLapTime.toFixed(2)}s`, 70, 28);
             }
 
             // Energy per lap
@@ -585,27 +2115,62 @@
            ============================================ */
         animate(timestamp) {
             if (!this.lastTime) this.lastTime = timestamp;
-            const dt = Math.min((timestamp - this.lastTime) / 1000, 0.1);
+            const frameTime = Math.min((timestamp - this.lastTime) / 1000, MAX_FRAME_TIME);
             this.lastTime = timestamp;
 
-            if (this.state.isRunning) {
-                this.updatePhysics(dt);
+            // A race takes over the track; the simulator's own car waits
+            if (this.racePanel.race) {
+                this.racePanel.update(frameTime);
+            } else if (this.isRunning) {
+                this.accumulator += frameTime;
+                while (this.accumulator >= PHYSICS_DT) {
+                    this.previousDistance = this.engine.distanceTravelled();
+                    this.previousVelocity = this.state.velocity;
+                    this.updatePhysics(PHYSICS_DT);
+                    this.accumulator -= PHYSICS_DT;
+                }
             }
+            this.updateView();
 
             this.renderSideView();
             this.renderTrackView();
+            if (this.isRunning && !this.telemetry.paused) this.telemetry.draw();
             this.updateControls();
 
             this.animationId = requestAnimationFrame((t) => this.animate(t));
         }
 
+        /**
+         * Place the drawn car between the last two physics steps, by the
+         * fraction of a step of real time left over, so motion looks
+         * smooth at any frame rate
+         */
+        updateView() {
+            if (!this.isRunning) {
+                this.accumulator = 0;
+                this.previousDistance = this.engine.distanceTravelled();
+                this.previousVelocity = this.state.velocity;
+                this.view = { position: this.state.position, velocity: this.state.velocity };
+                return;
+            }
+
+            const alpha = this.accumulator / PHYSICS_DT;
+            const distance = this.previousDistance + (this.engine.distanceTravelled() - this.previousDistance) * alpha;
+            this.view = {
+                position: distance % this.engine.track.length,
+                velocity: this.previousVelocity + (this.state.velocity - this.previousVelocity) * alpha
+            };
+        }
+
         updateControls() {
             // Update display values
             const throttleDisplay = document.getElementById('rc-throttle-display');
             const massDisplay = document.getElementById('rc-mass-display');
             const frictionDisplay = document.getElementById('rc-friction-display');
 
+            const brakeDisplay = document.getElementById('rc-brake-display');
             if (throttleDisplay) throttleDisplay.textContent = `${Math.round(this.params.throttle * 100)}%`;
+            if (brakeDisplay) brakeDisplay.textContent = `${Math.round(this.params.brake * 100)}%`;
             if (massDisplay) massDisplay.textContent = `${(this.params.mass * 1000).toFixed(0)} g`;
             if (frictionDisplay) frictionDisplay.textContent = this.params.frictionCoeff.toFixed(2);
 
@@ -615,13 +2180,76 @@
             const velocityResult = document.getElementById('rc-result-velocity');
             const powerResult = document.getElementById('rc-result-power');
 
-            const motorForce = this.calculateMotorForce();
-            const power = this.params.batteryVoltage * this.params.batteryCurrent * this.params.throttle;
+            const drive = this.engine.solveDrivetrain();
 
-            if (forceResult) forceResult.textContent = `${motorForce.toFixed(3)} N`;
+            if (forceResult) forceResult.textContent = `${drive.force.toFixed(3)} N`;
             if (accelResult) accelResult.textContent = `${this.state.acceleration.toFixed(3)} m/s²`;
             if (velocityResult) velocityResult.textContent = `${this.state.velocity.toFixed(2)} m/s (${(this.state.velocity * 3.6).toFixed(1)} km/h)`;
-            if (powerResult) powerResult.textContent = `${power.toFixed(2)} W`;
+            if (powerResult) powerResult.textContent = `${drive.power.toFixed(2)} W`;
+
+            // Cornering
+            const centripetalResult = document.getElementById('rc-result-centripetal');
+            const gripResult = document.getElementById('rc-result-grip');
+            const gripForce = this.engine.gripLimit() * this.params.mass;
+            const centripetal = this.params.mass * this.state.lateralAccel;
+
+            if (centripetalResult) {
+                centripetalResult.textContent = `${centripetal.toFixed(3)} N (${(gripForce > 0 ? centripetal / gripForce * 100 : 0).toFixed(0)}% of grip)`;
+            }
+            if (gripResult) gripResult.textContent = `${gripForce.toFixed(3)} N`;
+
+            // Update drivetrain results
+            const voltageResult = document.getElementById('rc-result-voltage');
+            const currentResult = document.getElementById('rc-result-current');
+            const rpmResult = document.getElementById('rc-result-rpm');
+            const chargeResult = document.getElementById('rc-result-charge');
+
+            if (voltageResult) voltageResult.textContent = `${drive.terminalVoltage.toFixed(2)} V (open-circuit ${drive.openCircuitVoltage.toFixed(2)} V)`;
+            if (currentResult) currentResult.textContent = `${drive.batteryCurrent.toFixed(2)} A (motor ${drive.motorCurrent.toFixed(2)} A)`;
+            if (rpmResult) rpmResult.textContent = `${Math.round(drive.motorRpm).toLocaleString()} RPM (back-EMF ${drive.backEmf.toFixed(2)} V)`;
+            const wheelResult = document.getElementById('rc-result-wheel-rpm');
+            if (wheelResult) {
+                wheelResult.textContent = `${Math.round(drive.motorRpm / this.params.gearRatio).toLocaleString()} RPM ` +
+                    `(motor ÷ ${this.params.gearRatio.toFixed(2)})`;
+            }
+            if (chargeResult) chargeResult.textContent = `${this.state.batteryCharge.toFixed(1)}% (${this.state.deliveredMah.toFixed(0)} mAh used)`;
+
+            // Regenerative braking
+            const recoveredResult = document.getElementById('rc-result-recovered');
+            if (recoveredResult) {
+                const share = this.state.totalEnergy > 0 ? this.state.energyRecovered / this.state.totalEnergy * 100 : 0;
+                recoveredResult.textContent = `${this.state.energyRecovered.toFixed(2)} J (${share.toFixed(1)}% of energy used)`;
+            }
+            const regenStatus = document.getElementById('rc-regen-status');
+            if (regenStatus) regenStatus.textContent = this.regenStatus(drive);
+
+            const chargeDisplay = document.getElementById('rc-charge-display');
+            if (chargeDisplay) chargeDisplay.textContent = `${this.params.startCharge}%`;
+
+            this.drivetrainPanel.update();
+            this.controllerPanel.update();
+        }
+
+        /**
+         * What regenerative braking is doing, for the note under its box
+         */
+        regenStatus(drive) {
+            if (!this.params.regenBraking) return '';
+            if (!this.engine.canRegenerate()) {
+                return `${this.batteryName()} cells aren't rechargeable - charging them can make them leak or burst, ` +
+                    'so the brakes only use friction. Pick a rechargeable pack (NiMH, NiCd, Li-ion or LiPo) ' +
+                    'to recover energy.';
+            }
+            if (drive.regenerating) {
+                return `Generating: back-EMF ${Math.abs(drive.backEmf).toFixed(2)} V drives ` +
+                    `${(-drive.batteryCurrent).toFixed(2)} A back into the pack (${(-drive.power).toFixed(2)} W).`;
+            }
+            return 'Brake with the throttle off and the motor charges the pack as it slows the car.';
+        }
+
+        batteryName() {
+            const type = this.engine.battery.type;
+            return CHEMISTRIES[type]?.name || type;
         }
 
         /* ============================================
@@ -644,8 +2272,18 @@
                 this.trackCanvas.height = 300;
             }
 
+            this.telemetry = new TelemetryChart('rc-telemetry-canvas');
+            this.sweepPanel = new SweepPanel(this);
+            this.trackEditor = new TrackEditor(this);
+            this.drivetrainPanel = new DrivetrainPanel(this);
+            this.controllerPanel = new ControllerPanel(this);
+            this.racePanel = new RacePanel(this);
+
             this.setupEventListeners();
-            this.loadBatteryData();
+            this.setupDataLogger();
+            this.loadFromProject();
+            this.syncControls();
+            this.bindProjectSync();
             this.animate(0);
         }
 
@@ -655,17 +2293,26 @@
             if (throttleSlider) {
                 throttleSlider.addEventListener('input', (e) => {
                     this.params.throttle = parseFloat(e.target.value) / 100;
-                    if (this.params.throttle > 0 && !this.state.isRunning) {
-                        this.state.isRunning = true;
+                    if (this.params.throttle > 0 && !this.isRunning) {
+                        this.setRunning(true);
                     }
                 });
             }
 
+            // Brake slider: braking cuts the throttle while it's on
+            const brakeSlider = document.getElementById('rc-brake');
+            if (brakeSlider) {
+                brakeSlider.addEventListener('input', (e) => {
+                    this.params.brake = parseFloat(e.target.value) / 100;
+                });
+            }
+
             // Mass slider
             const massSlider = document.getElementById('rc-mass');
             if (massSlider) {
                 massSlider.addEventListener('input', (e) => {
                     this.params.mass = parseFloat(e.target.value) / 1000;
+                    this.saveCarSettings();
                 });
             }
 
@@ -674,6 +2321,73 @@
             if (frictionSlider) {
                 frictionSlider.addEventListener('input', (e) => {
                     this.params.frictionCoeff = parseFloat(e.target.value);
+                    this.saveCarSettings();
+                });
+            }
+
+            // Start-of-run charge slider
+            const chargeSlider = document.getElementById('rc-charge');
+            if (chargeSlider) {
+                chargeSlider.addEventListener('input', (e) => {
+                    this.params.startCharge = parseInt(e.target.value, 10);
+                    if (!this.isRunning) this.setCharge(this.params.startCharge);
+                    this.saveCarSettings();
+                });
+            }
+
+            // Battery and motor presets
+            const batterySelect = document.getElementById('rc-battery-preset');
+            if (batterySelect) {
+                batterySelect.addEventListener('change', (e) => {
+                    this.setBatteryPreset(e.target.value);
+                    this.reset();
+                    this.saveCarSettings();
+                });
+            }
+
+            const motorSelect = document.getElementById('rc-motor-preset');
+            if (motorSelect) {
+                motorSelect.addEventListener('change', (e) => {
+                    this.setMotorPreset(e.target.value);
+                    this.saveCarSettings();
+                });
+            }
+
+            // Integration method
+            const integratorSelect = document.getElementById('rc-integrator');
+            if (integratorSelect) {
+                integratorSelect.addEventListener('change', (e) => {
+                    if (!INTEGRATORS[e.target.value]) return;
+                    this.params.integrator = e.target.value;
+                    this.saveCarSettings();
+                });
+            }
+
+            const cornerBrakingBox = document.getElementById('rc-corner-braking');
+            if (cornerBrakingBox) {
+                cornerBrakingBox.addEventListener('change', (e) => {
+                    this.params.cornerBraking = e.target.checked;
+                    this.saveCarSettings();
+                });
+            }
+
+            const reverseBox = document.getElementById('rc-reverse');
+            if (reverseBox) {
+                reverseBox.addEventListener('change', (e) => {
+                    this.params.reverse = e.target.checked;
+                    this.saveCarSettings();
+                });
+            }
+
+            const regenBox = document.getElementById('rc-regen');
+            if (regenBox) {
+                regenBox.addEventListener('change', (e) => {
+                    this.params.regenBraking = e.target.checked;
+                    if (this.params.regenBraking && !this.engine.canRegenerate()) {
+                        window.ChargedUP.showNotification(
+                            `${this.batteryName()} cells can't be recharged - braking stays friction-only`, 'error');
+                    }
+                    this.saveCarSettings();
                 });
             }
 
@@ -686,53 +2400,262 @@
             // Start/Stop button
             const startBtn = document.getElementById('rc-start');
             if (startBtn) {
-                startBtn.addEventListener('click', () => {
-                    this.state.isRunning = !this.state.isRunning;
-                    startBtn.textContent = this.state.isRunning ? '⏸ Pause' : '▶ Start';
-                });
+                startBtn.addEventListener('click', () => this.setRunning(!this.isRunning));
             }
         }
 
-        loadBatteryData() {
-            const batteryData = localStorage.getItem('chargedup-chemistry-data');
-            if (batteryData) {
-                try {
-                    const data = JSON.parse(batteryData);
-                    if (data.packVoltage) this.params.batteryVoltage = data.packVoltage;
-                    if (data.capacityMah) this.params.batteryCapacity = data.capacityMah;
-                    if (data.internalR) this.params.internalR = data.internalR;
-                    if (data.motorCurrent) this.params.batteryCurrent = data.motorCurrent;
-                } catch (e) {
-                    console.log('No battery data to load');
+        /**
+         * Start or pause the car. Driving it ends a race, putting it back
+         * on the track.
+         */
+        setRunning(running) {
+            if (running && this.racePanel?.race) this.racePanel.end('Race ended - back to your car.');
+            this.isRunning = running;
+
+            const startBtn = document.getElementById('rc-start');
+            if (startBtn) startBtn.textContent = running ? '⏸ Pause' : '▶ Start';
+        }
+
+        /**
+         * Pick up the car settings, battery and motor from the shared
+         * project state. Without saved car settings, a battery or motor
+         * saved from the calculators is used in place of the defaults.
+         */
+        loadFromProject() {
+            const state = window.ChargedUP.ProjectState;
+            if (!state) return;
+
+            const car = state.get('car');
+            const hasBattery = Boolean(state.get('battery'));
+            const hasMotor = Boolean(state.get('motor'));
+
+            if (car) this.applyCarSettings(car);
+            this.trackEditor.load(state.get('track'));
+
+            this.setBatteryPreset(car?.batteryPreset || (hasBattery ? 'project' : this.params.batteryPreset));
+            this.setMotorPreset(car?.motorPreset || (hasMotor ? 'project' : this.params.motorPreset));
+            this.setCharge(this.params.startCharge);
+        }
+
+        applyCarSettings(car) {
+            if (car.mass) this.params.mass = car.mass;
+            if (car.frictionCoeff !== undefined) this.params.frictionCoeff = car.frictionCoeff;
+            if (car.gearRatio) this.params.gearRatio = car.gearRatio;
+            if (car.pinionTeeth && car.spurTeeth) this.engine.setGearing(car.pinionTeeth, car.spurTeeth);
+            if (car.drivetrainEfficiency) this.params.drivetrainEfficiency = car.drivetrainEfficiency;
+            if (car.wheelRadius) this.params.wheelRadius = car.wheelRadius;
+            if (TYRE_PRESETS[car.tyre]) this.params.tyre = car.tyre;
+            if (car.startCharge !== undefined) this.params.startCharge = car.startCharge;
+            if (INTEGRATORS[car.integrator]) this.params.integrator = car.integrator;
+            ['cornerBraking', 'regenBraking', 'reverse'].forEach(key => {
+                if (typeof car[key] === 'boolean') this.params[key] = car[key];
+            });
+            if (CONTROLLERS[car.controller]) this.params.controller = car.controller;
+            ['targetSpeed', 'kp', 'ki', 'kd', 'script'].forEach(key => {
+                if (car[key] !== undefined) this.params[key] = car[key];
+            });
+        }
+
+        /**
+         * Start over from the defaults with the active project's settings,
+         * e.g. after switching projects
+         */
+        reloadProject() {
+            this.engine.params = { ...RC_CAR_DEFAULTS };
+            this.setBatteryPreset(this.params.batteryPreset);
+            this.setMotorPreset(this.params.motorPreset);
+            this.reset();
+            this.loadFromProject();
+            this.syncControls();
+        }
+
+        /**
+         * Follow battery, motor, car and track edits made in other tabs
+         * A run in progress keeps its state of charge.
+         */
+        bindProjectSync() {
+            const state = window.ChargedUP.ProjectState;
+            if (!state) return;
+
+            state.onChange(({ section, value, source }) => {
+                if (source === 'local' || !['battery', 'motor', 'car', 'track'].includes(section)) return;
+
+                // Another project (or a cleared section) - nothing to merge into
+                if (source === 'switch' || !value) {
+                    this.reloadProject();
+                    return;
                 }
-            }
+
+                if (section === 'battery' && this.params.batteryPreset === 'project') {
+                    this.setBatteryPreset('project');
+                } else if (section === 'motor' && this.params.motorPreset === 'project') {
+                    this.setMotorPreset('project');
+                } else if (section === 'track') {
+                    this.trackEditor.load(value);
+                } else if (section === 'car') {
+                    this.applyCarSettings(value);
+                    if (value.batteryPreset) this.setBatteryPreset(value.batteryPreset);
+                    if (value.motorPreset) this.setMotorPreset(value.motorPreset);
+                    if (!this.isRunning) this.setCharge(this.params.startCharge);
+                }
+
+                this.syncControls();
+            });
         }
 
-        reset() {
-            this.state = {
-                position: 0,
-                velocity: 0,
-                acceleration: 0,
-                batteryCharge: 100,
-                lapCount: 0,
-                lapTime: 0,
-                bestLapTime: Infinity,
-                totalEnergy: 0,
-                isRunning: false
+        saveCarSettings() {
+            window.ChargedUP.ProjectState?.set('car', {
+                batteryPreset: this.params.batteryPreset,
+                motorPreset: this.params.motorPreset,
+                mass: this.params.mass,
+                frictionCoeff: this.params.frictionCoeff,
+                startCharge: this.params.startCharge,
+                gearRatio: this.params.gearRatio,
+                pinionTeeth: this.params.pinionTeeth,
+                spurTeeth: this.params.spurTeeth,
+                drivetrainEfficiency: this.params.drivetrainEfficiency,
+                wheelRadius: this.params.wheelRadius,
+                tyre: this.params.tyre,
+                integrator: this.params.integrator,
+                cornerBraking: this.params.cornerBraking,
+                regenBraking: this.params.regenBraking,
+                reverse: this.params.reverse,
+                controller: this.params.controller,
+                targetSpeed: this.params.targetSpeed,
+                kp: this.params.kp,
+                ki: this.params.ki,
+                kd: this.params.kd,
+                script: this.params.script
+            });
+        }
+
+        /**
+         * Set the sliders and selects to match this.params
+         */
+        syncControls() {
+            const state = window.ChargedUP.ProjectState;
+            const setValue = (id, value) => {
+                const el = document.getElementById(id);
+                if (el) el.value = value;
             };
-            this.params.throttle = 0;
 
-            const throttleSlider = document.getElementById('rc-throttle');
-            if (throttleSlider) throttleSlider.value = 0;
+            setValue('rc-mass', Math.round(this.params.mass * 1000));
+            setValue('rc-friction', this.params.frictionCoeff);
+            setValue('rc-charge', this.params.startCharge);
 
-            const startBtn = document.getElementById('rc-start');
-            if (startBtn) startBtn.textContent = '▶ Start';
+            // "From calculator" options only make sense once something is saved
+            const projectBattery = document.querySelector('#rc-battery-preset option[value="project"]');
+            if (projectBattery) projectBattery.disabled = !state?.get('battery');
+            const projectMotor = document.querySelector('#rc-motor-preset option[value="project"]');
+            if (projectMotor) projectMotor.disabled = !state?.get('motor');
+
+            setValue('rc-battery-preset', this.params.batteryPreset);
+            setValue('rc-motor-preset', this.params.motorPreset);
+            setValue('rc-integrator', this.params.integrator);
+
+            const setChecked = (id, checked) => {
+                const el = document.getElementById(id);
+                if (el) el.checked = checked;
+            };
+            setChecked('rc-corner-braking', this.params.cornerBraking);
+            setChecked('rc-regen', this.params.regenBraking);
+            setChecked('rc-reverse', this.params.reverse);
+
+            this.drivetrainPanel.sync();
+            this.controllerPanel.sync();
+        }
+
+        setCharge(percent) {
+            this.engine.setCharge(percent);
+        }
+
+        reset() {
+            this.engine.reset();
+            this.setRunning(false);
+
+            ['rc-throttle', 'rc-brake'].forEach(id => {
+                const slider = document.getElementById(id);
+                if (slider) slider.value = 0;
+            });
+
+            this.clearLog();
+            this.telemetry?.clear();
+        }
+
+        /* ============================================
+           Data Logger Table
+           ============================================ */
+        setupDataLogger() {
+            const rateSelect = document.getElementById('rc-log-rate');
+            if (rateSelect) {
+                this.logger.setRate(parseFloat(rateSelect.value));
+                rateSelect.addEventListener('change', (e) => {
+                    this.logger.setRate(parseFloat(e.target.value));
+                });
+            }
+
+            const head = document.getElementById('rc-log-head');
+            if (head) {
+                head.innerHTML = `<tr>${LOG_COLUMNS.map(col => `<th>${col.label}</th>`).join('')}</tr>`;
+            }
+
+            const downloadBtn = document.getElementById('rc-log-download');
+            if (downloadBtn) {
+                downloadBtn.addEventListener('click', () => {
+                    if (this.logger.samples.length === 0) {
+                        window.ChargedUP.showNotification('Nothing logged yet - start the car first', 'info');
+                        return;
+                    }
+                    window.ChargedUP.exportToCSV(this.logger.toRows(), 'rc-car-run.csv');
+                });
+            }
+
+            const clearBtn = document.getElementById('rc-log-clear');
+            if (clearBtn) {
+                clearBtn.addEventListener('click', () => this.clearLog());
+            }
+
+            this.renderLogStatus();
+        }
+
+        appendLogRow(sample) {
+            const body = document.getElementById('rc-log-body');
+            if (body) {
+                const row = document.createElement('tr');
+                this.logger.formatSample(sample).forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            }
+            this.renderLogStatus();
+        }
+
+        clearLog() {
+            this.logger.clear();
+            const body = document.getElementById('rc-log-body');
+            if (body) body.innerHTML = '';
+            this.renderLogStatus();
+        }
+
+        renderLogStatus() {
+            const status = document.getElementById('rc-log-status');
+            if (!status) return;
+
+            const count = this.logger.samples.length;
+            const last = this.logger.samples[count - 1];
+            status.textContent = count === 0
+                ? 'No samples yet - the logger records while the car runs.'
+                : `${count} sample${count === 1 ? '' : 's'} over ${last.time.toFixed(1)} s` +
+                    (this.logger.isFull ? ' (log full - download or clear it to keep logging)' : '');
         }
 
         destroy() {
             if (this.animationId) {
                 cancelAnimationFrame(this.animationId);
             }
+            this.sweepPanel?.stop();
         }
     }
 
@@ -0,0 +1,282 @@
+/* ============================================
+   ChargedUP: RC Car Controllers
+   What can hold the throttle instead of a student: a PID loop for
+   cruise control and throttle scripts (a timeline or an expression)
+   ============================================ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChargedUP = root.ChargedUP || {};
+        Object.assign(root.ChargedUP, factory());
+    }
+}(typeof window !== 'undefined' ? window : this, function () {
+    'use strict';
+
+    /* ============================================
+       Constants
+       ============================================ */
+    const CONTROLLERS = {
+        constant: 'Constant throttle',
+        cruise: 'Cruise control (PID)',
+        eco: 'Eco (most laps per charge)',
+        script: 'Scripted throttle'
+    };
+
+    const MAX_SCRIPT_LENGTH = 500; // characters
+
+    // What a throttle script can read, each step
+    const SCRIPT_VARIABLES = {
+        t: 'time since the start (s)',
+        v: 'speed (m/s)',
+        d: 'distance driven (m)',
+        lap: 'laps completed',
+        charge: 'battery charge (%)'
+    };
+
+    const SCRIPT_FUNCTIONS = {
+        min: Math.min,
+        max: Math.max,
+        abs: Math.abs,
+        sqrt: Math.sqrt,
+        sin: Math.sin,
+        cos: Math.cos,
+        exp: Math.exp,
+        floor: Math.floor,
+        round: Math.round,
+        if: (condition, a, b) => (condition ? a : b)
+    };
+
+    /* ============================================
+       PID Controller
+       ============================================ */
+    // Output = Kp × e + Ki × ∫e dt + Kd × de/dt, held within [min, max]
+    class PIDController {
+        constructor(min = 0, max = 1) {
+            this.min = min;
+            this.max = max;
+            this.reset();
+        }
+
+        reset() {
+            this.integral = 0;
+            this.lastError = null;
+        }
+
+        /**
+         * One control step
+         * @param {number} error - Setpoint minus measurement
+         * @param {number} dt - s since the last step
+         * @param {{ kp: number, ki: number, kd: number }} gains - Read every
+         *   step, so they can be tuned while the loop runs
+         * @returns {number} Output within [min, max]
+         */
+        update(error, dt, { kp, ki, kd }) {
+            const derivative = this.lastError === null ? 0 : (error - this.lastError) / dt;
+            this.lastError = error;
+
+            const integral = this.integral + error * dt;
+            const output = kp * error + ki * integral + kd * derivative;
+            const clamped = Math.min(this.max, Math.max(this.min, output));
+
+            // Anti-windup: stop integrating while the output is pinned at a
+            // limit and the error would push it further past
+            if (clamped === output || Math.sign(error) !== Math.sign(output - clamped)) {
+                this.integral = integral;
+            }
+            return clamped;
+        }
+    }
+
+    /* ============================================
+       Throttle Scripts
+       ============================================ */
+    // A script gives the throttle (%) either as a timeline of
+    // "time: throttle" pairs held until the next one, e.g.
+    //   0: 100, 10: 60, 30: 0
+    // or as an expression of SCRIPT_VARIABLES, e.g.
+    //   if(v < 0.8, 100, 40)
+    const TIMELINE_PATTERN = /^\s*\d*\.?\d+\s*:/;
+
+    function tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d*\.?\d+(?:e[+-]?\d+)?)|([a-z_]\w*)|(<=|>=|[-+*/^(),<>]))/iy;
+        while (pattern.lastIndex < source.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(source);
+            if (!match) {
+                if (!source.slice(start).trim()) break;
+                throw new Error(`"${source.slice(start).trim()[0]}" isn't allowed (character ${start + 1})`);
+            }
+            if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            else if (match[2]) tokens.push({ type: 'name', value: match[2] });
+            else tokens.push({ type: 'symbol', value: match[3] });
+        }
+        return tokens;
+    }
+
+    /**
+     * Recursive-descent parse into a function of the variables - names
+     * are looked up in SCRIPT_VARIABLES and SCRIPT_FUNCTIONS only, so a
+     * script can't reach anything else on the page
+     */
+    function parseExpression(source) {
+        const tokens = tokenize(source);
+        let index = 0;
+        const peek = () => tokens[index];
+        const isSymbol = (...symbols) => peek()?.type === 'symbol' && symbols.includes(peek().value);
+        const expect = (symbol) => {
+            if (!isSymbol(symbol)) throw new Error(`expected "${symbol}"${peek() ? ` before "${peek().value}"` : ' at the end'}`);
+            index++;
+        };
+
+        const comparison = () => {
+            const left = sum();
+            if (!isSymbol('<', '>', '<=', '>=')) return left;
+            const op = tokens[index++].value;
+            const right = sum();
+            const compare = {
+                '<': (a, b) => a < b, '>': (a, b) => a > b, '<=': (a, b) => a <= b, '>=': (a, b) => a >= b
+            }[op];
+            return vars => (compare(left(vars), right(vars)) ? 1 : 0);
+        };
+        const sum = () => {
+            let left = product();
+            while (isSymbol('+', '-')) {
+                const op = tokens[index++].value;
+                const a = left;
+                const b = product();
+                left = op === '+' ? vars => a(vars) + b(vars) : vars => a(vars) - b(vars);
+            }
+            return left;
+        };
+        const product = () => {
+            let left = unary();
+            while (isSymbol('*', '/')) {
+                const op = tokens[index++].value;
+                const a = left;
+                const b = unary();
+                left = op === '*' ? vars => a(vars) * b(vars) : vars => a(vars) / b(vars);
+            }
+            return left;
+        };
+        const unary = () => {
+            if (isSymbol('-')) {
+                index++;
+                const operand = unary();
+                return vars => -operand(vars);
+            }
+            return power();
+        };
+        const power = () => {
+            const base = atom();
+            if (!isSymbol('^')) return base;
+            index++;
+            const exponent = unary(); // right-associative: 2^3^2 = 2^9
+            return vars => Math.pow(base(vars), exponent(vars));
+        };
+        const atom = () => {
+            const token = tokens[index++];
+            if (!token) throw new Error('the expression ends too soon');
+            if (token.type === 'number') return () => token.value;
+            if (token.type === 'symbol' && token.value === '(') {
+                const inner = comparison();
+                expect(')');
+                return inner;
+            }
+            if (token.type === 'name') {
+                if (Object.prototype.hasOwnProperty.call(SCRIPT_FUNCTIONS, token.value)) {
+                    const fn = SCRIPT_FUNCTIONS[token.value];
+                    expect('(');
+                    const args = [comparison()];
+                    while (isSymbol(',')) {
+                        index++;
+                        args.push(comparison());
+                    }
+                    expect(')');
+                    return vars => fn(...args.map(arg => arg(vars)));
+                }
+                if (Object.prototype.hasOwnProperty.call(SCRIPT_VARIABLES, token.value)) {
+                    return vars => vars[token.value];
+                }
+                throw new Error(`"${token.value}" isn't a variable or function`);
+            }
+            throw new Error(`unexpected "${token.value}"`);
+        };
+
+        const expression = comparison();
+        if (peek()) throw new Error(`unexpected "${peek().value}"`);
+        return expression;
+    }
+
+    /**
+     * "time: throttle" pairs, separated by commas, semicolons or lines
+     */
+    function parseTimeline(source) {
+        const entries = source.split(/[,;\n]/).filter(part => part.trim()).map(part => {
+            const match = /^\s*(\d*\.?\d+)\s*:\s*(-?\d*\.?\d+)\s*%?\s*$/.exec(part);
+            if (!match) throw new Error(`"${part.trim()}" should be time: throttle, e.g. 10: 60`);
+            return { time: parseFloat(match[1]), throttle: parseFloat(match[2]) };
+        });
+        entries.forEach((entry, i) => {
+            if (i > 0 && entry.time <= entries[i - 1].time) {
+                throw new Error(`times must go up (${entry.time} s comes after ${entries[i - 1].time} s)`);
+            }
+        });
+        // Nothing until the first time; then each throttle holds until the next
+        return vars => {
+            let throttle = 0;
+            for (const entry of entries) {
+                if (entry.time > vars.t) break;
+                throttle = entry.throttle;
+            }
+            return throttle;
+        };
+    }
+
+    /**
+     * Turn a throttle script into a function of SCRIPT_VARIABLES giving
+     * the throttle in % (0-100; anything outside is clamped, and a result
+     * that isn't a number counts as 0)
+     * @returns {{ throttleAt: Function|null, errors: string[] }}
+     */
+    function compileThrottleScript(source) {
+        if (typeof source !== 'string' || !source.trim()) {
+            return { throttleAt: null, errors: ['The script is empty'] };
+        }
+        if (source.length > MAX_SCRIPT_LENGTH) {
+            return { throttleAt: null, errors: [`The script must be at most ${MAX_SCRIPT_LENGTH} characters`] };
+        }
+
+        let script;
+        try {
+            script = TIMELINE_PATTERN.test(source) ? parseTimeline(source) : parseExpression(source);
+        } catch (error) {
+            return { throttleAt: null, errors: [`Script: ${error.message}`] };
+        }
+        return {
+            throttleAt: vars => {
+                const value = script(vars);
+                return Number.isNaN(value) ? 0 : Math.min(100, Math.max(0, value));
+            },
+            errors: []
+        };
+    }
+
+    /**
+     * Problems with a throttle script, as messages (empty when it's fine)
+     */
+    function checkThrottleScript(source) {
+        return compileThrottleScript(source).errors;
+    }
+
+    return {
+        CONTROLLERS,
+        SCRIPT_VARIABLES,
+        MAX_SCRIPT_LENGTH,
+        PIDController,
+        compileThrottleScript,
+        checkThrottleScript
+    };
+}));
@@ -0,0 +1,320 @@
+/* ============================================
+   ChargedUP: RC Car Tracks
+   A closed cubic spline through control points (in metres), measured by
+   arc length, with its corners found from the curvature
+   ============================================ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChargedUP = root.ChargedUP || {};
+        Object.assign(root.ChargedUP, factory());
+    }
+}(typeof window !== 'undefined' ? window : this, function () {
+    'use strict';
+
+    /* ============================================
+       Constants
+       ============================================ */
+    const SAMPLES_PER_SEGMENT = 32;  // points computed between control points
+    const CORNER_RADIUS = 3;         // m - bends tighter than this are corners
+    const CORNER_EXIT = 0.8;         // ...until they open out past CORNER_RADIUS / 0.8
+    const MIN_TRACK_POINTS = 3;
+    const MAX_TRACK_POINTS = 40;
+    const TRACK_LIMIT = 50;          // m - control points stay within ±50 m
+    const MIN_POINT_SPACING = 0.05;  // m - closer neighbours make a needle-sharp bend
+
+    // Control points as [x, y] in metres (y down, as drawn)
+    const TRACK_PRESETS = {
+        oval: { // a 20 m lap
+            name: 'Oval',
+            points: [[4.03, 0], [2.85, 1.56], [0, 2.22], [-2.85, 1.56], [-4.03, 0], [-2.85, -1.56], [0, -2.22], [2.85, -1.56]]
+        },
+        'rounded-square': {
+            name: 'Rounded Square',
+            points: [[4, 0], [3.6, 3.6], [0, 4], [-3.6, 3.6], [-4, 0], [-3.6, -3.6], [0, -4], [3.6, -3.6]]
+        },
+        kidney: {
+            name: 'Kidney Bean',
+            points: [[5, 0], [4, 2.5], [0, 3], [-4, 2.5], [-5, 0], [-4, -2.5], [-1.5, -1.2], [1.5, -1.2], [4, -2.5]]
+        },
+        hairpin: {
+            name: 'Hairpin',
+            points: [[7, 0], [6, 1.8], [0, 2.2], [-5.5, 1], [-6.2, 0], [-5.5, -1], [0, -2.2], [6, -1.8]]
+        }
+    };
+
+    const DEFAULT_TRACK = 'oval';
+
+    /**
+     * Problems with a list of control points, as messages (empty when fine)
+     */
+    function checkTrackPoints(points) {
+        if (!Array.isArray(points)) return ['must be a list of points'];
+        if (points.length < MIN_TRACK_POINTS || points.length > MAX_TRACK_POINTS) {
+            return [`must have ${MIN_TRACK_POINTS}–${MAX_TRACK_POINTS} points`];
+        }
+        const bad = points.findIndex(p => !Array.isArray(p) || p.length !== 2 ||
+            !p.every(v => Number.isFinite(v) && Math.abs(v) <= TRACK_LIMIT));
+        if (bad !== -1) return [`point ${bad + 1} must be [x, y] within ±${TRACK_LIMIT} m`];
+
+        // Neighbours, including the last point and the first (the lap is closed)
+        const close = points.findIndex((p, i) => {
+            const q = points[(i + 1) % points.length];
+            return Math.hypot(q[0] - p[0], q[1] - p[1]) < MIN_POINT_SPACING;
+        });
+        return close === -1 ? [] : [`points ${close + 1} and ${(close + 1) % points.length + 1} must be at least ${MIN_POINT_SPACING} m apart`];
+    }
+
+    /**
+     * Second derivatives of a closed cubic spline through values at knots
+     * spaced h[i] apart (the periodic tridiagonal system, solved directly -
+     * tracks have few points)
+     */
+    function periodicSplineMoments(values, h) {
+        const n = values.length;
+        const rows = values.map((_, i) => {
+            const prev = (i - 1 + n) % n;
+            const next = (i + 1) % n;
+            const row = new Array(n + 1).fill(0);
+            row[prev] += h[prev];
+            row[i] += 2 * (h[prev] + h[i]);
+            row[next] += h[i];
+            row[n] = 6 * ((values[next] - values[i]) / h[i] - (values[i] - values[prev]) / h[prev]);
+            return row;
+        });
+
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+            for (let r = col + 1; r < n; r++) {
+                const factor = rows[r][col] / rows[col][col];
+                if (!factor) continue;
+                for (let c = col; c <= n; c++) rows[r][c] -= factor * rows[col][c];
+            }
+        }
+        const moments = new Array(n).fill(0);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = rows[r][n];
+            for (let c = r + 1; c < n; c++) sum -= rows[r][c] * moments[c];
+            moments[r] = sum / rows[r][r];
+        }
+        return moments;
+    }
+
+    /* ============================================
+       RC Track Class
+       ============================================ */
+    // A track isn't changed once built - an edit makes a new one
+    class RCTrack {
+        /**
+         * @param {Array<number[]>} points - Control points [x, y] in m (see checkTrackPoints)
+         * @param {string} name
+         */
+        constructor(points = TRACK_PRESETS[DEFAULT_TRACK].points, name = TRACK_PRESETS[DEFAULT_TRACK].name) {
+            this.name = name;
+            this.points = points.map(([x, y]) => [x, y]);
+            this.build();
+        }
+
+        /**
+         * Sample the spline and measure it: this.samples holds
+         * { x, y, s (arc length from the start line), curvature (1/m,
+         * + turning right as drawn) }, and this.length the lap in m
+         */
+        build() {
+            const n = this.points.length;
+            const xs = this.points.map(p => p[0]);
+            const ys = this.points.map(p => p[1]);
+
+            // Knots spaced by the distance between control points, so
+            // uneven spacing doesn't bunch or stretch the curve
+            const h = this.points.map((p, i) => {
+                const q = this.points[(i + 1) % n];
+                return Math.max(1e-3, Math.hypot(q[0] - p[0], q[1] - p[1]));
+            });
+            const mx = periodicSplineMoments(xs, h);
+            const my = periodicSplineMoments(ys, h);
+            const spline = (values, moments, i, u) => {
+                const next = (i + 1) % n;
+                const a = 1 - u;
+                return a * values[i] + u * values[next] +
+                    ((a * a * a - a) * moments[i] + (u * u * u - u) * moments[next]) * h[i] * h[i] / 6;
+            };
+
+            const samples = [];
+            let s = 0;
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < SAMPLES_PER_SEGMENT; j++) {
+                    const u = j / SAMPLES_PER_SEGMENT;
+                    const x = spline(xs, mx, i, u);
+                    const y = spline(ys, my, i, u);
+                    const prev = samples[samples.length - 1];
+                    if (prev) s += Math.hypot(x - prev.x, y - prev.y);
+                    samples.push({ x, y, s, segment: i, curvature: 0 });
+                }
+            }
+            const first = samples[0];
+            const last = samples[samples.length - 1];
+            this.length = s + Math.hypot(first.x - last.x, first.y - last.y);
+
+            // Menger curvature through each sample and its neighbours
+            const count = samples.length;
+            samples.forEach((b, i) => {
+                const a = samples[(i - 1 + count) % count];
+                const c = samples[(i + 1) % count];
+                const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+                const sides = Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - b.x, c.y - b.y) *
+                    Math.hypot(c.x - a.x, c.y - a.y);
+                b.curvature = sides > 0 ? 2 * cross / sides : 0;
+            });
+
+            this.samples = samples;
+            this.corners = this.findCorners();
+        }
+
+        /**
+         * Runs of samples bending tighter than CORNER_RADIUS
+         * @returns {Array<{ start, end, apex (s in m), radius (m), direction }>}
+         */
+        findCorners() {
+            const samples = this.samples;
+            // A corner starts bending tighter than CORNER_RADIUS and lasts
+            // while it stays near that, so a bend right at the limit isn't
+            // chopped into many short corners
+            const bending = samples.map(p => Math.abs(p.curvature) > CORNER_EXIT / CORNER_RADIUS);
+            const isCorner = run => run.some(p => Math.abs(p.curvature) > 1 / CORNER_RADIUS);
+
+            if (bending.every(Boolean)) {
+                return isCorner(samples) ? [this.describeCorner(samples, 0, this.length)] : [];
+            }
+
+            // Start from a straight sample so no corner is split by the start line
+            const offset = bending.indexOf(false);
+            const corners = [];
+            let run = [];
+            for (let k = 1; k <= samples.length; k++) {
+                const i = (offset + k) % samples.length;
+                if (bending[i]) {
+                    run.push(samples[i]);
+                } else if (run.length) {
+                    if (isCorner(run)) corners.push(this.describeCorner(run, run[0].s, run[run.length - 1].s));
+                    run = [];
+                }
+            }
+            return corners.sort((a, b) => a.apex - b.apex);
+        }
+
+        describeCorner(run, start, end) {
+            const apex = run.reduce((best, p) => Math.abs(p.curvature) > Math.abs(best.curvature) ? p : best);
+            return {
+                start,
+                end,
+                apex: apex.s,
+                radius: 1 / Math.abs(apex.curvature),
+                direction: apex.curvature > 0 ? 'right' : 'left'
+            };
+        }
+
+        /**
+         * Position, heading (rad, 0 = +x) and curvature a distance s (m)
+         * along the track, from the start line
+         */
+        pointAt(s) {
+            const samples = this.samples;
+            const d = ((s % this.length) + this.length) % this.length;
+            const lo = this.indexAt(d);
+            const a = samples[lo];
+            const b = samples[(lo + 1) % samples.length];
+            const span = (lo + 1 < samples.length ? b.s : this.length) - a.s;
+            const f = span > 0 ? (d - a.s) / span : 0;
+
+            return {
+                x: a.x + (b.x - a.x) * f,
+                y: a.y + (b.y - a.y) * f,
+                heading: Math.atan2(b.y - a.y, b.x - a.x),
+                curvature: a.curvature + (b.curvature - a.curvature) * f
+            };
+        }
+
+        /**
+         * Index of the last sample at or before a distance s (m) along the lap
+         */
+        indexAt(s) {
+            const samples = this.samples;
+            const d = ((s % this.length) + this.length) % this.length;
+            let lo = 0;
+            let hi = samples.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (samples[mid].s <= d) lo = mid; else hi = mid - 1;
+            }
+            return lo;
+        }
+
+        /**
+         * Fastest safe speed at each sample (m/s): through a bend of
+         * curvature κ, v²κ must stay under lateralLimit, and before one
+         * the car can only slow at brakingDecel, so
+         *   v = min(√(a_lat / κ), √(v_next² + 2 × a_brake × Δs))
+         * worked backwards around the lap.
+         * @param {number} lateralLimit - Sideways acceleration allowed (m/s²)
+         * @param {number} brakingDecel - Slowing the car can count on (m/s²)
+         * @returns {number[]} One speed per sample (Infinity on straights)
+         */
+        speedProfile(lateralLimit, brakingDecel) {
+            const samples = this.samples;
+            const count = samples.length;
+            const speeds = samples.map(p => Math.sqrt(lateralLimit / Math.max(Math.abs(p.curvature), 1e-9)));
+
+            // Twice round, so braking for a corner just past the line reaches back across it
+            for (let k = 2 * count - 1; k >= 0; k--) {
+                const i = k % count;
+                const next = (i + 1) % count;
+                const ds = next === 0 ? this.length - samples[i].s : samples[next].s - samples[i].s;
+                speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[next] * speeds[next] + 2 * brakingDecel * ds));
+            }
+            return speeds;
+        }
+
+        /**
+         * Where a new control point near (x, y) belongs: the index to
+         * insert it at, after the nearest stretch of track
+         */
+        insertIndex(x, y) {
+            const nearest = this.samples.reduce((best, p) =>
+                Math.hypot(p.x - x, p.y - y) < Math.hypot(best.x - x, best.y - y) ? p : best);
+            return nearest.segment + 1;
+        }
+
+        /**
+         * Smallest box around the spline, in m
+         */
+        bounds() {
+            const xs = this.samples.map(p => p.x);
+            const ys = this.samples.map(p => p.y);
+            return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+        }
+
+        toJSON() {
+            return { name: this.name, points: this.points.map(([x, y]) => [x, y]) };
+        }
+    }
+
+    return {
+        RCTrack,
+        TRACK_PRESETS,
+        DEFAULT_TRACK,
+        CORNER_RADIUS,
+        MIN_TRACK_POINTS,
+        MAX_TRACK_POINTS,
+        TRACK_LIMIT,
+        MIN_POINT_SPACING,
+        checkTrackPoints
+    };
+}));
@@ -0,0 +1,317 @@
+/* ============================================
+   ChargedUP: Stoichiometry
+   Balanced reactions typed as text ("Cd + 2NiOOH + 2H2O -> Cd(OH)2 +
+   2Ni(OH)2"): molar masses from the formulas, the limiting reagent and
+   the electrons transferred
+   ============================================ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./formula.js'));
+    } else {
+        root.ChargedUP = root.ChargedUP || {};
+        Object.assign(root.ChargedUP, factory(root.ChargedUP));
+    }
+}(typeof window !== 'undefined' ? window : this, function (formulas) {
+    'use strict';
+
+    const { parseFormula } = formulas;
+
+    /* ============================================
+       Constants
+       ============================================ */
+    const MAX_EQUATION_LENGTH = 200; // characters
+
+    const ARROW_PATTERN = /\s*(?:→|⟶|->|=>|=)\s*/;
+
+    // Oxidation-state rules (see oxidationStates)
+    const GROUP_1 = ['Li', 'Na', 'K', 'Rb', 'Cs', 'Fr'];
+    const GROUP_2 = ['Be', 'Mg', 'Ca', 'Sr', 'Ba', 'Ra'];
+    const HALOGENS = ['Cl', 'Br', 'I'];
+    const NONMETALS = [
+        'H', 'He', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Si', 'P', 'S', 'Cl', 'Ar',
+        'Ge', 'As', 'Se', 'Br', 'Kr', 'Sb', 'Te', 'I', 'Xe', 'At', 'Rn'
+    ];
+    // Usual state of a nonmetal written last, as in the S of CdS
+    const ANION_STATES = { C: -4, N: -3, P: -3, As: -3, S: -2, Se: -2, Te: -2 };
+    // Metals whose MS₂ has the pyrite structure: M²⁺ with S₂²⁻ (MoS₂, TiS₂
+    // and SnS₂ hold S²⁻ instead)
+    const PYRITE_METALS = ['Fe', 'Co', 'Ni', 'Mn', 'Ru', 'Os'];
+    // Polyatomic ions whose atoms the rules can't tell apart from the
+    // cation's, with the states they give and when a species holds them
+    const POLYATOMIC_IONS = [
+        {
+            formula: 'SO₄²⁻',
+            states: { S: 6, O: -2 },
+            holds: atoms => atoms.S > 0 && atoms.O === 4 * atoms.S // all the O in SO₄ groups, as in PbSO₄
+        },
+        {
+            formula: 'S₂²⁻',
+            states: { S: -1 },
+            holds: (atoms, symbols) => symbols.length === 2 && PYRITE_METALS.includes(symbols[0]) &&
+                atoms.S === 2 * atoms[symbols[0]]
+        }
+    ];
+
+    /* ============================================
+       Equations
+       ============================================ */
+    function parseSide(side) {
+        // With spaces around the pluses, an ion's own + stays with it (H+ + OH-)
+        const terms = side.split(/\s\+\s/.test(side) ? /\s\+\s/ : '+').map(term => term.trim());
+        if (terms.some(term => !term)) throw new Error('a "+" has nothing on one side');
+
+        return terms.map(term => {
+            const [, written, rest] = /^(\d*\.?\d*)\s*(.*)$/.exec(term);
+            const coefficient = written ? Number(written) : 1;
+            if (!(coefficient > 0)) throw new Error(`"${term}" needs a coefficient above 0`);
+
+            const { formula, errors } = parseFormula(rest);
+            if (!formula) throw new Error(errors[0]);
+            return {
+                formula: formula.text,
+                coefficient,
+                atoms: formula.atoms,
+                charge: formula.charge,
+                molarMass: formula.molarMass,
+                label: coefficient === 1 ? formula.text : `${coefficient}${formula.text}`
+            };
+        });
+    }
+
+    function sideTotals(side) {
+        return side.reduce((totals, species) => {
+            Object.entries(species.atoms).forEach(([symbol, n]) => {
+                totals[symbol] = (totals[symbol] || 0) + n * species.coefficient;
+            });
+            return totals;
+        }, {});
+    }
+
+    function checkBalance(reactants, products) {
+        const left = sideTotals(reactants);
+        const right = sideTotals(products);
+        const symbols = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+        const errors = symbols
+            .filter(symbol => Math.abs((left[symbol] || 0) - (right[symbol] || 0)) > 1e-9)
+            .map(symbol => `${symbol} isn't balanced: ${left[symbol] || 0} on the left, ${right[symbol] || 0} on the right`);
+
+        const charge = side => side.reduce((sum, species) => sum + species.charge * species.coefficient, 0);
+        if (Math.abs(charge(reactants) - charge(products)) > 1e-9) {
+            errors.push(`The charge isn't balanced: ${charge(reactants)} on the left, ${charge(products)} on the right`);
+        }
+        return errors;
+    }
+
+    /**
+     * Read a balanced equation, e.g. "Zn + 2MnO2 -> ZnO + Mn2O3" (→, ->,
+     * => or = for the arrow; formulas as parseFormula reads them)
+     * @returns {{ equation: { text, reactants, products }|null, errors: string[] }}
+     *   Each species: { formula, coefficient, atoms, charge, molarMass (g/mol), label }
+     */
+    function parseEquation(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return { equation: null, errors: ['The equation is empty'] };
+        }
+        if (text.length > MAX_EQUATION_LENGTH) {
+            return { equation: null, errors: [`The equation must be at most ${MAX_EQUATION_LENGTH} characters`] };
+        }
+
+        const sides = text.trim().split(ARROW_PATTERN);
+        if (sides.length !== 2) {
+            return { equation: null, errors: ['The equation needs one arrow (→ or ->) between reactants and products'] };
+        }
+        if (sides.some(side => !side)) {
+            return { equation: null, errors: ['The equation needs reactants before the arrow and products after it'] };
+        }
+
+        let reactants, products;
+        try {
+            [reactants, products] = sides.map(parseSide);
+        } catch (error) {
+            return { equation: null, errors: [`Equation: ${error.message}`] };
+        }
+
+        const errors = checkBalance(reactants, products);
+        if (errors.length) return { equation: null, errors };
+
+        const label = side => side.map(species => species.label).join(' + ');
+        return {
+            equation: { text: `${label(reactants)} → ${label(products)}`, reactants, products },
+            errors: []
+        };
+    }
+
+    /* ============================================
+       Oxidation States
+       ============================================ */
+    /**
+     * Oxidation state of each element in a species of the given charge,
+     * or null when the rules can't settle it. An element on its own
+     * shares out the charge; otherwise F is −1,
+     * group 1 +1, group 2 +2, Al +3, H +1 (−1 with only metals), O −2 and
+     * Cl, Br, I −1 without oxygen. The atoms of a sulfate (SO₄²⁻) or
+     * disulfide (S₂²⁻, as in FeS₂) ion take that ion's states. A nonmetal
+     * written last then takes its usual negative state, and whatever
+     * element is left balances the charge.
+     */
+    function oxidationStates(atoms, charge = 0) {
+        const symbols = Object.keys(atoms);
+        if (symbols.length === 1) return { [symbols[0]]: charge / atoms[symbols[0]] };
+
+        const onlyMetals = symbols.every(symbol => symbol === 'H' || !NONMETALS.includes(symbol));
+        const states = {};
+        symbols.forEach(symbol => {
+            if (symbol === 'F') states[symbol] = -1;
+            else if (GROUP_1.includes(symbol)) states[symbol] = 1;
+            else if (GROUP_2.includes(symbol)) states[symbol] = 2;
+            else if (symbol === 'Al') states[symbol] = 3;
+            else if (symbol === 'H') states[symbol] = onlyMetals ? -1 : 1;
+            else if (symbol === 'O') states[symbol] = -2;
+            else if (HALOGENS.includes(symbol) && !atoms.O) states[symbol] = -1;
+        });
+
+        const ion = POLYATOMIC_IONS.find(candidate => candidate.holds(atoms, symbols));
+        if (ion) {
+            Object.entries(ion.states).forEach(([symbol, state]) => {
+                if (!(symbol in states)) states[symbol] = state;
+            });
+        }
+
+        let unknown = symbols.filter(symbol => !(symbol in states));
+        const last = symbols[symbols.length - 1];
+        if (unknown.length > 1 && unknown.includes(last) && last in ANION_STATES) {
+            states[last] = ANION_STATES[last];
+            unknown = unknown.filter(symbol => symbol !== last);
+        }
+
+        const known = symbols.reduce((sum, symbol) => (symbol in states ? sum + states[symbol] * atoms[symbol] : sum), 0);
+        if (unknown.length === 0) return Math.abs(known - charge) < 1e-9 ? states : null;
+        if (unknown.length > 1) return null;
+        states[unknown[0]] = (charge - known) / atoms[unknown[0]];
+        return states;
+    }
+
+    /**
+     * Atoms of an element matched from reactants to products, lowest state
+     * to lowest, so the fewest electrons move: in Pb + PbO₂ → 2PbSO₄ the
+     * Pb(0) becomes one Pb(+2) and the Pb(+4) the other
+     * @param {Array<{ state, count }>} from - Reactant atoms, by state
+     * @param {Array<{ state, count }>} to - Product atoms, by state
+     * @returns {Array<{ from, to, count }>}
+     */
+    function pairStates(from, to) {
+        const byState = (a, b) => a.state - b.state;
+        const left = from.map(entry => ({ ...entry })).sort(byState);
+        const right = to.map(entry => ({ ...entry })).sort(byState);
+        const pairs = [];
+        let i = 0;
+        let j = 0;
+        while (i < left.length && j < right.length) {
+            const count = Math.min(left[i].count, right[j].count);
+            pairs.push({ from: left[i].state, to: right[j].state, count });
+            left[i].count -= count;
+            right[j].count -= count;
+            if (left[i].count < 1e-9) i++;
+            if (right[j].count < 1e-9) j++;
+        }
+        return pairs;
+    }
+
+    /**
+     * Electrons passed from the oxidized species to the reduced ones each
+     * time the reaction happens as written. Each species' atoms keep their
+     * own state, so an element that is both oxidized and reduced (Pb in
+     * lead-acid) is counted both ways rather than cancelling out.
+     * @returns {{ electrons: number|null, changes: Array<{ symbol, from, to, electrons }>, errors: string[] }}
+     *   changes - each change of state, with the electrons it takes up
+     *   (+ lost, − gained)
+     */
+    function electronsTransferred(equation) {
+        const atomStates = side => {
+            const bySymbol = {};
+            for (const species of side) {
+                const states = oxidationStates(species.atoms, species.charge);
+                if (!states) return { failed: species.formula };
+                Object.entries(species.atoms).forEach(([symbol, n]) => {
+                    (bySymbol[symbol] = bySymbol[symbol] || []).push({ state: states[symbol], count: n * species.coefficient });
+                });
+            }
+            return { bySymbol };
+        };
+
+        const before = atomStates(equation.reactants);
+        const after = atomStates(equation.products);
+        const failed = before.failed || after.failed;
+        if (failed) {
+            return { electrons: null, changes: [], errors: [`Can't work out the oxidation states in ${failed}`] };
+        }
+
+        const round = value => Math.round(value * 1e6) / 1e6;
+        const changes = [];
+        Object.keys(before.bySymbol).forEach(symbol => {
+            pairStates(before.bySymbol[symbol], after.bySymbol[symbol]).forEach(({ from, to, count }) => {
+                if (Math.abs(to - from) < 1e-9) return;
+                const same = changes.find(change => change.symbol === symbol &&
+                    Math.abs(change.from - from) < 1e-9 && Math.abs(change.to - to) < 1e-9);
+                if (same) same.electrons += (to - from) * count;
+                else changes.push({ symbol, from, to, electrons: (to - from) * count });
+            });
+        });
+        changes.forEach(change => {
+            change.from = round(change.from);
+            change.to = round(change.to);
+            change.electrons = round(change.electrons);
+        });
+
+        const electrons = round(changes.reduce((sum, change) => sum + Math.max(0, change.electrons), 0));
+        if (!electrons) {
+            return { electrons: null, changes, errors: ['Nothing is oxidized or reduced, so no electrons flow'] };
+        }
+        return { electrons, changes, errors: [] };
+    }
+
+    /* ============================================
+       Limiting Reagent
+       ============================================ */
+    /**
+     * Moles of each reactant and how many times the reaction can happen
+     * @param {Object} equation - From parseEquation
+     * @param {Array<number|null>} masses - g of each reactant, in order;
+     *   null for one in excess (such as water from the electrolyte)
+     * @returns {{ reactants: Array, limiting: Object|null, molesReaction: number }}
+     *   Each reactant adds mass, moles and excessMoles (null when in
+     *   excess) and limiting
+     */
+    function solveStoichiometry(equation, masses) {
+        const measured = equation.reactants.map((species, i) => {
+            const mass = Number.isFinite(masses[i]) ? masses[i] : null;
+            return { ...species, mass, moles: mass === null ? null : mass / species.molarMass };
+        });
+
+        // The reactant that allows the fewest reactions runs out first
+        let limiting = null;
+        measured.forEach(reactant => {
+            if (reactant.moles === null) return;
+            if (!limiting || reactant.moles / reactant.coefficient < limiting.moles / limiting.coefficient) {
+                limiting = reactant;
+            }
+        });
+        const molesReaction = limiting ? limiting.moles / limiting.coefficient : 0;
+
+        const reactants = measured.map(reactant => ({
+            ...reactant,
+            excessMoles: reactant.moles === null ? null : reactant.moles - reactant.coefficient * molesReaction,
+            limiting: reactant === limiting
+        }));
+        return { reactants, limiting: reactants.find(reactant => reactant.limiting) || null, molesReaction };
+    }
+
+    return {
+        MAX_EQUATION_LENGTH,
+        parseEquation,
+        oxidationStates,
+        electronsTransferred,
+        solveStoichiometry
+    };
+}));
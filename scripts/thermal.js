@@ -0,0 +1,515 @@
+/**
+ * ChargedUP: Behind The Scenes of an RC Car
+ * Thermal Module - I²R Heating in the Battery Pack and Motor
+ *
+ * Lumped thermal model: the pack and the motor armature are each treated as
+ * a single temperature with a heat capacity (J/K) and a heat-transfer
+ * coefficient to the surrounding air (W/K). Educational approximation only.
+ */
+
+window.ChargedUP = window.ChargedUP || {};
+
+/* ============================================
+   Thermal Constants (with source citations)
+   ============================================ */
+const THERMAL_CONSTANTS = {
+    AMBIENT_C: 20, // °C (room temperature)
+
+    // Temperature coefficient of resistance for copper windings
+    ALPHA_COPPER: 0.00393, // 1/K at 20 °C (CRC Handbook)
+
+    // Battery internal resistance falls as the electrolyte warms
+    BATTERY_R_TEMP_COEFF: -0.01, // 1/K (approximate, manufacturer data)
+    BATTERY_R_MIN_FACTOR: 0.5 // Never below half the room-temperature value
+};
+
+/* ============================================
+   Thermal Properties (educational estimates)
+   ============================================ */
+const THERMAL_PROPERTIES = {
+    // Per cell: mass × specific heat (≈ 0.85 J/(g·K)); an alkaline AA is ≈ 23-26 g
+    battery: {
+        alkaline: {
+            name: 'Alkaline AA cell',
+            heatCapacity: 20, // J/K
+            heatTransfer: 0.02, // W/K (cell enclosed in a battery box)
+            warnC: 45, // °C
+            limitC: 55 // °C (maximum rated operating temperature)
+        },
+        nimh: {
+            name: 'NiMH AA cell',
+            heatCapacity: 22,
+            heatTransfer: 0.02,
+            warnC: 45,
+            limitC: 60
+        },
+        'zinc-carbon': {
+            name: 'Zinc-carbon AA cell',
+            heatCapacity: 15, // lighter than alkaline (≈ 17 g)
+            heatTransfer: 0.02,
+            warnC: 45,
+            limitC: 54
+        },
+        'lithium-fes2': {
+            name: 'Lithium (Li-FeS₂) AA cell',
+            heatCapacity: 14, // ≈ 15 g
+            heatTransfer: 0.02,
+            warnC: 50,
+            limitC: 60
+        },
+        nicd: {
+            name: 'NiCd sub-C cell',
+            heatCapacity: 45, // ≈ 50 g
+            heatTransfer: 0.03,
+            warnC: 45,
+            limitC: 60
+        },
+        'li-ion': {
+            name: 'Li-ion 18650 cell',
+            heatCapacity: 40, // ≈ 45 g
+            heatTransfer: 0.025,
+            warnC: 45,
+            limitC: 60
+        },
+        lipo: {
+            name: 'LiPo pouch cell',
+            heatCapacity: 50, // ≈ 55 g (2200 mAh)
+            heatTransfer: 0.04, // flat pouch, more surface
+            warnC: 50,
+            limitC: 60 // LiPo cells swell and can catch fire beyond this
+        }
+    },
+    // Armature: copper windings plus iron core
+    motor: {
+        'small-dc-motor': {
+            name: 'Small Brushed DC Motor',
+            heatCapacity: 8, // J/K
+            heatTransfer: 0.05, // W/K
+            warnC: 80,
+            limitC: 120 // °C (typical enamel wire / brush limit)
+        },
+        'hobby-motor': {
+            name: 'Hobby Motor (540 size)',
+            heatCapacity: 40,
+            heatTransfer: 0.25,
+            warnC: 80,
+            limitC: 130
+        }
+    }
+};
+
+/* ============================================
+   Thermal Model Class
+   ============================================ */
+class ThermalModel {
+    /**
+     * @param {object} pack - { resistance, heatCapacity, heatTransfer, warnC, limitC }
+     * @param {object} motor - { resistance, heatCapacity, heatTransfer, warnC, limitC }
+     * @param {number} ambientC - Air temperature (°C)
+     */
+    constructor(pack, motor, ambientC = THERMAL_CONSTANTS.AMBIENT_C) {
+        this.constants = THERMAL_CONSTANTS;
+        this.pack = pack;
+        this.motor = motor;
+        this.ambientC = ambientC;
+    }
+
+    /**
+     * Battery internal resistance at temperature T
+     * R(T) = R₂₀ × (1 + β × (T - 20)), β < 0
+     */
+    packResistanceAt(tempC) {
+        const factor = 1 + this.constants.BATTERY_R_TEMP_COEFF * (tempC - 20);
+        return this.pack.resistance * Math.max(this.constants.BATTERY_R_MIN_FACTOR, factor);
+    }
+
+    /**
+     * Armature resistance at temperature T
+     * R(T) = R₂₀ × (1 + α × (T - 20))
+     */
+    motorResistanceAt(tempC) {
+        return this.motor.resistance * (1 + this.constants.ALPHA_COPPER * (tempC - 20));
+    }
+
+    /**
+     * Integrate pack and motor temperatures over a run
+     * C × dT/dt = I²R - h × (T - T_ambient)
+     *
+     * Current is either fixed (currentA), set by the DC motor's operating
+     * point (motorModel and loadTorque), or recomputed every step from the
+     * supply voltage through the temperature-dependent resistances:
+     * I = (V - E_back) / (R_pack(T) + R_motor(T))
+     *
+     * A motor turning a load draws I = (τ_load + τ_friction) / Kₜ whatever
+     * the voltage; the voltage left after the I·R drops is its back-EMF.
+     * It only falls back to the stall current V / R when nothing is left.
+     *
+     * With discharge given, the pack voltage follows its open-circuit
+     * curve as charge is drawn (1 mAh = 3.6 C), and the current stops once
+     * the loaded voltage reaches the cutoff.
+     *
+     * @param {object} options - voltage, backEmf, currentA, durationS, dt,
+     *   motorModel (DCMotorModel) and loadTorque (N·m), discharge:
+     *   { capacityMah, openCircuitVoltage(soc), cutoffVoltage } for the pack
+     * @returns {object} Temperature time series, energy totals and warnings
+     */
+    simulate(options) {
+        const {
+            voltage = 0,
+            backEmf = 0,
+            currentA = null,
+            motorModel = null,
+            loadTorque = 0,
+            discharge = null,
+            durationS = 1800,
+            dt = 1
+        } = options;
+
+        const ambient = this.ambientC;
+        let packT = ambient;
+        let motorT = ambient;
+        let packHeatJ = 0;
+        let motorHeatJ = 0;
+        let dissipatedJ = 0;
+        let soc = 1;
+        let cutoffAt = null;
+
+        const samples = [];
+        const warnings = [];
+        const crossed = {};
+        const sampleEvery = Math.max(1, Math.round(durationS / dt / 300));
+        const steps = Math.ceil(durationS / dt);
+
+        const checkLimits = (part, label, tempC, limits, t) => {
+            ['warnC', 'limitC'].forEach(key => {
+                const id = `${part}-${key}`;
+                if (!crossed[id] && tempC >= limits[key]) {
+                    crossed[id] = true;
+                    const level = key === 'limitC' ? 'limit' : 'warning';
+                    warnings.push({
+                        part,
+                        level,
+                        time: t,
+                        tempC,
+                        message: level === 'limit'
+                            ? `${label} exceeded its ${limits[key]} °C limit after ${(t / 60).toFixed(1)} min`
+                            : `${label} passed ${limits[key]} °C after ${(t / 60).toFixed(1)} min - getting hot`
+                    });
+                }
+            });
+        };
+
+        for (let step = 0; step <= steps; step++) {
+            const t = step * dt;
+            const packR = this.packResistanceAt(packT);
+            const motorR = this.motorResistanceAt(motorT);
+            const supply = discharge ? discharge.openCircuitVoltage(soc) : voltage;
+
+            let current;
+            let emf = backEmf;
+            if (cutoffAt !== null) {
+                current = 0;
+                emf = 0;
+            } else if (currentA !== null) {
+                current = currentA;
+            } else if (motorModel) {
+                const loadCurrent = (loadTorque + motorModel.frictionTorque) / motorModel.Kt;
+                emf = supply - loadCurrent * (packR + motorR);
+                current = emf > 0 ? loadCurrent : supply / (packR + motorR);
+                emf = Math.max(0, emf);
+            } else {
+                current = Math.max(0, (supply - backEmf) / (packR + motorR));
+            }
+
+            if (discharge && cutoffAt === null && (soc <= 0 || supply - current * packR <= discharge.cutoffVoltage)) {
+                cutoffAt = t;
+                current = 0;
+                emf = 0;
+            }
+
+            // I²R heating in each part
+            const packPower = current * current * packR;
+            const motorPower = current * current * motorR;
+
+            // Newton's law of cooling to the surrounding air
+            const packLoss = this.pack.heatTransfer * (packT - ambient);
+            const motorLoss = this.motor.heatTransfer * (motorT - ambient);
+
+            if (step % sampleEvery === 0 || step === steps) {
+                samples.push({ t, packT, motorT, current, packPower, motorPower, packR, motorR, soc, supply, backEmf: emf });
+            }
+
+            checkLimits('pack', 'Battery pack', packT, this.pack, t);
+            checkLimits('motor', 'Motor armature', motorT, this.motor, t);
+
+            if (step === steps) break;
+
+            packT += (packPower - packLoss) / this.pack.heatCapacity * dt;
+            motorT += (motorPower - motorLoss) / this.motor.heatCapacity * dt;
+
+            packHeatJ += packPower * dt;
+            motorHeatJ += motorPower * dt;
+            dissipatedJ += (packLoss + motorLoss) * dt;
+            if (discharge) soc = Math.max(0, soc - current * dt / 3.6 / discharge.capacityMah);
+        }
+
+        // Heat still held in the parts (C × ΔT)
+        const storedJ = this.pack.heatCapacity * (packT - ambient)
+            + this.motor.heatCapacity * (motorT - ambient);
+
+        return {
+            samples,
+            warnings,
+            ambientC: ambient,
+            peakPackC: Math.max(...samples.map(s => s.packT)),
+            peakMotorC: Math.max(...samples.map(s => s.motorT)),
+            packHeatJ,
+            motorHeatJ,
+            totalHeatJ: packHeatJ + motorHeatJ,
+            storedJ,
+            dissipatedJ,
+            startCurrent: samples[0].current,
+            endCurrent: samples[samples.length - 1].current,
+            startBackEmf: samples[0].backEmf,
+            finalSoc: soc,
+            cutoffAt
+        };
+    }
+}
+
+/* ============================================
+   Thermal Simulator UI (Integrated page)
+   ============================================ */
+class ThermalSimulatorUI {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.bindElements();
+        this.bindEvents();
+        this.bindProjectSync();
+        this.run();
+    }
+
+    /**
+     * Re-run when the battery or motor changes in another tab or a
+     * different project is opened
+     */
+    bindProjectSync() {
+        window.ChargedUP.ProjectState?.onChange(({ section }) => {
+            if (section === null || section === 'battery' || section === 'motor') this.run();
+        });
+    }
+
+    bindElements() {
+        this.inputDuration = document.getElementById('thermal-duration');
+        this.inputAmbient = document.getElementById('thermal-ambient');
+        this.btnRun = document.getElementById('btn-run-thermal');
+        this.canvas = document.getElementById('thermal-canvas');
+
+        this.resultPeakPack = document.getElementById('thermal-peak-pack');
+        this.resultPeakMotor = document.getElementById('thermal-peak-motor');
+        this.resultHeat = document.getElementById('thermal-heat');
+        this.resultStored = document.getElementById('thermal-stored');
+        this.resultDissipated = document.getElementById('thermal-dissipated');
+        this.resultCurrent = document.getElementById('thermal-current');
+        this.warningsList = document.getElementById('thermal-warnings');
+        this.sourceNote = document.getElementById('thermal-source');
+    }
+
+    bindEvents() {
+        if (this.btnRun) {
+            this.btnRun.addEventListener('click', () => this.run());
+        }
+
+        window.addEventListener('resize', () => {
+            if (this.lastResult) this.drawChart(this.lastResult);
+        });
+    }
+
+    /**
+     * Build the pack and motor descriptions from the saved calculator data,
+     * falling back to the worked example (4×AA alkaline + 3 Ω motor at
+     * 0.5 A). The motor's operating point and the pack's discharge curve
+     * come from physics.js and chemistry.js when the page loads them.
+     */
+    loadSetup() {
+        const { ProjectState: state, DCMotorModel, MOTOR_PRESETS, BatteryCalculator, CHEMISTRIES } = window.ChargedUP;
+        const battery = state ? state.get('battery') : null;
+        const motor = state ? state.get('motor') : null;
+
+        const chemistry = THERMAL_PROPERTIES.battery[battery?.chemistry] ? battery.chemistry : 'alkaline';
+        const series = battery?.series || 4;
+        const cells = series * (battery?.parallel || 1);
+        const cell = THERMAL_PROPERTIES.battery[chemistry];
+        const motorKey = THERMAL_PROPERTIES.motor[motor?.preset] ? motor.preset : 'small-dc-motor';
+        const motorProps = THERMAL_PROPERTIES.motor[motorKey];
+        const voltage = battery?.packVoltage || motor?.voltage || 6;
+        const motorR = motor?.motorR || 3;
+
+        // The motor turns the load it had at its saved current
+        const motorPreset = MOTOR_PRESETS?.[motorKey];
+        const motorModel = DCMotorModel && motorPreset?.noLoadRPM ? new DCMotorModel(motorPreset, motorR) : null;
+        const operatingCurrent = motor?.current || battery?.motorCurrent || 0.5;
+        const loadTorque = motorModel ? Math.max(0, motorModel.Kt * operatingCurrent - motorModel.frictionTorque) : 0;
+
+        // The pack runs down its open-circuit curve as it is drained
+        let discharge = null;
+        if (BatteryCalculator && CHEMISTRIES) {
+            const calculator = new BatteryCalculator();
+            const curve = CHEMISTRIES[chemistry];
+            const cellVoltage = battery?.cellVoltage || voltage / series;
+            discharge = {
+                capacityMah: battery?.packCapacityMah || 2000,
+                openCircuitVoltage: soc => calculator.getOpenCircuitVoltage(chemistry, soc, cellVoltage) * series,
+                cutoffVoltage: curve.cutoffVoltage * cellVoltage / curve.nominalVoltage * series
+            };
+        }
+
+        return {
+            fromSaved: Boolean(battery || motor),
+            voltage,
+            motorModel,
+            loadTorque,
+            operatingCurrent,
+            discharge,
+            pack: {
+                resistance: battery?.packInternalR || 1.2,
+                heatCapacity: cell.heatCapacity * cells,
+                heatTransfer: cell.heatTransfer * cells,
+                warnC: cell.warnC,
+                limitC: cell.limitC
+            },
+            motor: {
+                resistance: motorR,
+                heatCapacity: motorProps.heatCapacity,
+                heatTransfer: motorProps.heatTransfer,
+                warnC: motorProps.warnC,
+                limitC: motorProps.limitC
+            },
+            labels: { pack: `${cells} × ${cell.name}`, motor: motorProps.name }
+        };
+    }
+
+    run() {
+        const durationMin = parseFloat(this.inputDuration?.value) || 30;
+        const ambientC = parseFloat(this.inputAmbient?.value);
+        const setup = this.loadSetup();
+
+        const model = new ThermalModel(setup.pack, setup.motor,
+            Number.isFinite(ambientC) ? ambientC : THERMAL_CONSTANTS.AMBIENT_C);
+        const result = model.simulate({
+            voltage: setup.voltage,
+            motorModel: setup.motorModel,
+            loadTorque: setup.loadTorque,
+            discharge: setup.discharge,
+            durationS: durationMin * 60
+        });
+
+        this.lastResult = result;
+        this.displayResults(result, setup);
+        this.drawChart(result);
+    }
+
+    displayResults(result, setup) {
+        if (this.resultPeakPack) this.resultPeakPack.textContent = `${result.peakPackC.toFixed(1)} °C`;
+        if (this.resultPeakMotor) this.resultPeakMotor.textContent = `${result.peakMotorC.toFixed(1)} °C`;
+        if (this.resultHeat) this.resultHeat.textContent = `${(result.totalHeatJ / 1000).toFixed(2)} kJ`;
+        if (this.resultStored) this.resultStored.textContent = `${(result.storedJ / 1000).toFixed(2)} kJ`;
+        if (this.resultDissipated) this.resultDissipated.textContent = `${(result.dissipatedJ / 1000).toFixed(2)} kJ`;
+        if (this.resultCurrent) {
+            this.resultCurrent.textContent = `${result.startCurrent.toFixed(2)} A → ${result.endCurrent.toFixed(2)} A`;
+        }
+
+        if (this.sourceNote) {
+            const load = setup.motorModel
+                ? ` The motor turns the load it had at ${setup.operatingCurrent} A, with ${result.startBackEmf.toFixed(2)} V of back-EMF at the start.`
+                : '';
+            this.sourceNote.textContent = (setup.fromSaved
+                ? `Using your saved setup: ${setup.labels.pack}, ${setup.labels.motor}, ${setup.voltage} V.`
+                : 'No saved data found - using the worked example (4×AA alkaline, 3 Ω motor, 6 V, 0.5 A).') + load;
+        }
+
+        if (this.warningsList) {
+            const items = result.warnings.length
+                ? result.warnings.map(w => `<li style="color: ${w.level === 'limit' ? '#ff6347' : '#ffb347'};">⚠️ ${w.message}</li>`)
+                : ['<li class="text-teal">✅ Both parts stay within their temperature limits.</li>'];
+            if (result.cutoffAt !== null) {
+                items.push(`<li class="text-muted">🔋 The pack reached its cutoff voltage after ${(result.cutoffAt / 60).toFixed(1)} min - both parts cool from there.</li>`);
+            }
+            this.warningsList.innerHTML = items.join('');
+        }
+    }
+
+    drawChart(result) {
+        const canvas = this.canvas;
+        if (!canvas) return;
+
+        canvas.width = canvas.offsetWidth || 500;
+        canvas.height = canvas.offsetHeight || 200;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const pad = { left: 44, right: 12, top: 14, bottom: 24 };
+        const plotW = w - pad.left - pad.right;
+        const plotH = h - pad.top - pad.bottom;
+
+        ctx.fillStyle = '#071733';
+        ctx.fillRect(0, 0, w, h);
+
+        const samples = result.samples;
+        const tMax = samples[samples.length - 1].t || 1;
+        const tempMax = Math.max(result.peakPackC, result.peakMotorC, result.ambientC + 10) * 1.05;
+        const tempMin = result.ambientC - 2;
+
+        const x = t => pad.left + (t / tMax) * plotW;
+        const y = temp => pad.top + (1 - (temp - tempMin) / (tempMax - tempMin)) * plotH;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+
+        const drawLine = (key, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            samples.forEach((s, i) => {
+                i === 0 ? ctx.moveTo(x(s.t), y(s[key])) : ctx.lineTo(x(s.t), y(s[key]));
+            });
+            ctx.stroke();
+        };
+
+        drawLine('packT', '#00D1FF');
+        drawLine('motorT', '#ff6347');
+
+        ctx.font = '11px Inter, sans-serif';
+        ctx.fillStyle = '#B6C0C9';
+        ctx.fillText(`${tempMax.toFixed(0)} °C`, 4, pad.top + 8);
+        ctx.fillText(`${tempMin.toFixed(0)} °C`, 4, pad.top + plotH);
+        ctx.fillText('0', pad.left, h - 8);
+        ctx.fillText(`${(tMax / 60).toFixed(0)} min`, pad.left + plotW - 40, h - 8);
+        ctx.fillStyle = '#00D1FF';
+        ctx.fillText('Battery pack', pad.left + 8, pad.top + 14);
+        ctx.fillStyle = '#ff6347';
+        ctx.fillText('Motor armature', pad.left + 8, pad.top + 28);
+    }
+}
+
+/* ============================================
+   Initialize on DOM Ready
+   ============================================ */
+let thermalSimulatorUI = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('thermal-simulator')) {
+        thermalSimulatorUI = new ThermalSimulatorUI();
+    }
+});
+
+// Export to global namespace
+window.ChargedUP.ThermalModel = ThermalModel;
+window.ChargedUP.ThermalSimulatorUI = ThermalSimulatorUI;
+window.ChargedUP.THERMAL_CONSTANTS = THERMAL_CONSTANTS;
+window.ChargedUP.THERMAL_PROPERTIES = THERMAL_PROPERTIES;